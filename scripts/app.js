@@ -1,37 +1,30 @@
 // Import path helpers
-import { siteBase, hrefAbs } from './boot/siteBase.js';
+import { hrefAbs } from './boot/siteBase.js';
 export function href(p){ return hrefAbs(p); } // use absolute URL everywhere
 
-// Store implementation
-export const store = {
-  get: (path) => {
-    if (path === 'auth') {
-      const state = localStorage.getItem('replink_state_v1');
-      if (state) {
-        const parsed = JSON.parse(state);
-        return parsed.auth || { isAuthed: false, user: null, token: null };
-      }
-      return { isAuthed: false, user: null, token: null };
-    }
-    return null;
-  },
-  clearAuth: () => {
-    const state = localStorage.getItem('replink_state_v1');
-    if (state) {
-      const parsed = JSON.parse(state);
-      parsed.auth = { isAuthed: false, user: null, token: null };
-      localStorage.setItem('replink_state_v1', JSON.stringify(parsed));
-    }
-    window.dispatchEvent(new Event('auth:changed'));
-  }
-};
+// Single shared store; every page reads auth through it
+import { store, AUTH_CHANGED } from './data/store.js';
+import './ui/syncStatus.js';
+import { endSession } from './ui/sessionWatch.js';
+import { api } from './data/api.js';
+import { Toast } from './ui/components.js';
+export { store };
+
+export function currentUser(){ return store.get('auth.user') || null; }
+export function isAuthed(){ return !!store.get('auth.isAuthed'); }
+export function dashboardHrefFor(user){ return dashboardFor(user); }
 
 
+const DASHBOARDS = { business:'/pages/business-dashboard.html', admin:'/pages/admin-dashboard.html' };
+const ROLE_LABELS = { business:'Business', admin:'Admin' };
+
 function dashboardFor(user){ 
-  return href(user?.role==='business'?'/pages/business-dashboard.html':'/pages/rep-dashboard.html'); 
+  return href(DASHBOARDS[user?.role] || '/pages/rep-dashboard.html'); 
 }
 
+// Admins have no profile page; their console stands in for it
 function profileHref(user){
+  if (user?.role === 'admin') return dashboardFor(user);
   return href(user?.role === 'business' ? '/pages/business-profile.html' : '/pages/rep-profile.html');
 }
 
@@ -41,7 +34,7 @@ function renderHeader(){
     return;
   }
 
-  const auth = store?.get?.('auth') || { isAuthed:false };
+  const auth = store.get('auth', { isAuthed:false });
   const user = auth.user;
 
   const desktopNav = auth.isAuthed ? `
@@ -51,7 +44,7 @@ function renderHeader(){
       <a class="nav__link" href="${profileHref(user)}">Profile</a>
       <div class="user-info">
         <span class="user-name">${user?.name || 'User'}</span>
-        <span class="user-role">${user?.role === 'business' ? 'Business' : 'Sales Rep'}</span>
+        <span class="user-role">${ROLE_LABELS[user?.role] || 'Sales Rep'}</span>
       </div>
       <button class="nav__link" data-action="logout" type="button">Logout</button>
     </nav>` : `
@@ -104,16 +97,56 @@ function renderHeader(){
   `;
   
           slot.innerHTML = headerHTML;
+  renderVerifyBanner(slot, auth);
+}
+
+// Unverified accounts can browse but not apply or post until they click the emailed link
+function renderVerifyBanner(slot, auth){
+  let banner = document.querySelector('[data-verify-banner]');
+  if(!(auth.isAuthed && auth.user?.emailVerified === false)){ banner?.remove(); return; }
+  if(!banner){
+    banner = document.createElement('div');
+    banner.className = 'verify-banner';
+    banner.setAttribute('data-verify-banner', '');
+    banner.setAttribute('role', 'status');
+    slot.after(banner);
+  }
+  banner.innerHTML = `
+    <div class="container verify-banner__inner">
+      <span>Verify your email address to apply to or post opportunities. We sent a link to <strong></strong>.</span>
+      <button class="btn btn--small btn--secondary" data-action="resend-verification" type="button">Resend link</button>
+    </div>`;
+  banner.querySelector('strong').textContent = auth.user.email || 'your inbox';
 }
 
 document.addEventListener('DOMContentLoaded', () => {
   renderHeader();
 });
 
-window.addEventListener('auth:changed', () => {
+// Browser-only profile data of a deleted account goes once the deletion takes effect
+if(store.get('localWipes', []).some(w => Date.parse(w.effectiveAt) <= Date.now())){
+  import('./features/accountData.js').then(m => m.forgetDeletedAccounts());
+}
+
+window.addEventListener(AUTH_CHANGED, () => {
+  renderHeader();
+});
+
+// Boot scripts ask for a render when the header slot is still empty
+window.addEventListener('header:render', () => {
   renderHeader();
 });
 
 document.addEventListener('click', (e)=>{
-  const out=e.target.closest('[data-action="logout"]'); if(out){ e.preventDefault(); store?.clearAuth?.(); renderHeader(); location.href=href('/index.html'); }
+  const out=e.target.closest('[data-action="logout"]'); if(out){ e.preventDefault(); endSession({ redirect: href('/index.html') }); }
+});
+
+document.addEventListener('click', async (e)=>{
+  const btn=e.target.closest('[data-action="resend-verification"]'); if(!btn) return;
+  btn.disabled = true;
+  const res = await api.request('auth/email/resend', { method:'POST' });
+  btn.disabled = false;
+  if(!res.success){ new Toast().show(res.error || 'Could not send a new link', 'error'); return; }
+  if(res.data.alreadyVerified){ store.updateUser({ emailVerified: true }); return; }
+  new Toast().show('Verification link sent. Check your email.', 'success');
 });
\ No newline at end of file
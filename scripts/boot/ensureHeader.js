@@ -29,10 +29,10 @@
 
   // 3) Ensure core scripts are loaded (idempotent)
   const needs = (src) => ![...document.scripts].some(s => (s.src||'').endsWith(src));
-  // Don't inject app.js if it's already loaded to avoid redeclaration errors
-  if (needs('/scripts/app.js') && !window.store) {
+  // app.js is an ES module; injecting it twice is harmless but wasteful
+  if (needs('/scripts/app.js')) {
     const s = document.createElement('script');
-    s.src = js('/scripts/app.js'); document.body.appendChild(s);
+    s.type = 'module'; s.src = js('/scripts/app.js'); document.body.appendChild(s);
   }
   if (needs('/scripts/ui/mobileNav.js')) {
     const s = document.createElement('script');
@@ -47,7 +47,7 @@
     }
     // If header hasn't been populated by app.js, ping it again.
     if (!host.firstElementChild && typeof window !== 'undefined') {
-      window.dispatchEvent(new Event('auth:changed'));
+      window.dispatchEvent(new Event('header:render'));
     }
   }
   if (document.readyState === 'loading') {
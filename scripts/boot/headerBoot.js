@@ -57,7 +57,7 @@
     var host = document.querySelector('[data-header]');
     if (host && !host.firstElementChild) {
       // app.js listens to this to re-render header
-      window.dispatchEvent(new Event('auth:changed'));
+      window.dispatchEvent(new Event('header:render'));
     }
   }
   if (document.readyState === 'loading') {
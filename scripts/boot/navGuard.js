@@ -88,7 +88,7 @@
   addModule('/scripts/ui/mobileNav.js');
 
   // When the app renders header, keep our CSS and close states; if mobile list is empty, the fallback remains.
-  function ping(){ window.dispatchEvent(new Event('auth:changed')); ensureFallback(); }
+  function ping(){ window.dispatchEvent(new Event('header:render')); ensureFallback(); }
   if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', ()=>setTimeout(ping,50), {once:true});
   else setTimeout(ping,50);
 
@@ -1,16 +1,137 @@
 import { resolve } from '../boot/paths.js';
+import { siteBase } from '../boot/siteBase.js';
+import { store } from './store.js';
+import { MockBackend } from './mockBackend.js';
+import { Outbox, isOffline } from './outbox.js';
+import { RequestCache } from './requestCache.js';
+
+const BACKEND_KEY = 'replink_api_backend';
+const CLIENT_KEY = 'replink_client_id';
+
+/**
+ * Where api.request() goes. One setting, checked in this order:
+ *   <meta name="api-backend" content="..."> on the page, then localStorage[replink_api_backend].
+ * 'mock' (default) answers in this browser; 'server' uses /api on this origin (node server.cjs);
+ * a full URL such as 'http://localhost:8004/api' points at a server elsewhere.
+ * Returns the API base URL, or null for the in-browser mock.
+ */
+export function apiBase(){
+  const setting = (document.querySelector('meta[name="api-backend"]')?.content
+    || localStorage.getItem(BACKEND_KEY) || 'mock').trim();
+  if (setting === 'mock') return null;
+  if (setting === 'server') return `${siteBase()}/api`;
+  return setting.replace(/\/+$/,'');
+}
+
+export function setApiBackend(value){
+  if (!value || value === 'mock') localStorage.removeItem(BACKEND_KEY);
+  else localStorage.setItem(BACKEND_KEY, value);
+}
+
+let backend = null;
+function mockBackend(){
+  return backend ??= new MockBackend(store, { load: (p) => api.get(p) });
+}
+
+async function serverRequest(base, route, options){
+  const url = new URL(`${base}/${String(route).replace(/^\/+/,'')}`);
+  Object.entries(options.query || {}).forEach(([k,v]) => { if (v != null) url.searchParams.set(k, v); });
+
+  const headers = { 'Content-Type': 'application/json', ...(options.headers || {}) };
+  const body = options.body == null || typeof options.body === 'string' ? options.body : JSON.stringify(options.body);
+  try {
+    const r = await fetch(url, { method: options.method || 'GET', headers, body, cache: 'no-store' });
+    if (r.status === 304) return { success: true, notModified: true, status: 304 };
+    const payload = await r.json().catch(() => null);
+    if (payload && r.headers.get('ETag')) payload.etag = r.headers.get('ETag');
+    return payload ?? { success: false, error: `Request ${route} failed (${r.status})`, status: r.status };
+  } catch (err) {
+    return { success: false, error: 'Server unreachable', status: 0 };
+  }
+}
+
+/**
+ * Raw transport to whichever backend is configured. Both backends identify
+ * the caller by the session token, never by what this tab claims.
+ */
+function send(route, options = {}){
+  const base = apiBase();
+  const token = store.get('auth.token');
+  const headers = { 'X-RepLink-Client': clientId(), ...(options.headers || {}) };
+  if (token && !headers.Authorization) headers.Authorization = `Bearer ${token}`;
+  const authed = { ...options, headers };
+  return base ? serverRequest(base, route, authed) : mockBackend().handle(route, authed);
+}
+
+/**
+ * Stable id for this browser, which the backend counts login attempts against
+ */
+function clientId(){
+  let id = localStorage.getItem(CLIENT_KEY);
+  if (!id) {
+    id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    localStorage.setItem(CLIENT_KEY, id);
+  }
+  return id;
+}
+
+/**
+ * Which cached resource a write makes stale: 'proposals/create' -> 'proposals'
+ */
+function resourceOf(route){
+  const name = String(route).replace(/^\/+/,'').split(/[/?]/)[0];
+  return name === 'auth' ? 'users' : name;
+}
+
+export const cache = new RequestCache();
 
 export const api = {
-  async get(p) {
-    const r = await fetch(resolve(p), { cache: 'no-store' });
-    if (!r.ok) throw new Error(`Fetch ${p} failed (${r.status})`);
-    return r.json();
+  /**
+   * Static JSON via the request cache. Options: { fresh: true } skips it.
+   */
+  async get(p, options = {}) {
+    return cache.get(p, async (entry) => {
+      const headers = entry?.etag ? { 'If-None-Match': entry.etag } : {};
+      const r = await fetch(resolve(p), { cache: 'no-store', headers });
+      if (r.status === 304) return { notModified: true };
+      if (!r.ok) throw new Error(`Fetch ${p} failed (${r.status})`);
+      return { data: await r.json(), etag: r.headers.get('ETag') };
+    }, options);
+  },
+
+  /**
+   * Resource request, e.g. request('proposals/update/7', { method:'PUT', body })
+   * Resolves to { success, data, error } and never throws for API failures.
+   * Queueable writes made while offline resolve to { success:true, queued:true, data }
+   * and are replayed by the outbox once the backend is reachable.
+   */
+  async request(route, options = {}){
+    const queueable = outbox.accepts(route, options.method, options.body);
+    if (queueable && isOffline()) return outbox.enqueue(route, options);
+    const res = await send(route, options);
+    if (queueable && res.status === 0) return outbox.enqueue(route, options);
+    if (res.success && (options.method || 'GET').toUpperCase() !== 'GET') cache.invalidate(resourceOf(route));
+    return res;
   },
 
-  async users(){ return this.get('/mock/users.json'); },
-  async opportunities(){ return this.get('/mock/opportunities.json'); },
-  async products(){ return this.get('/mock/products.json'); },
-  async campaigns(){ return this.get('/mock/campaigns.json'); },
+  /**
+   * Collection list from the active backend (seeded from its mock/ file), so
+   * pages see writes made through api.request() here and in other tabs.
+   * Served stale-while-revalidate; options: { fresh: true } skips the cache.
+   */
+  async collection(name, options = {}){
+    return cache.get(name, async (entry) => {
+      const headers = entry?.etag ? { 'If-None-Match': entry.etag } : {};
+      const res = await this.request(name, { headers });
+      if (!res.success) throw new Error(res.error || `Fetch ${name} failed`);
+      return res.notModified ? res : { data: res.data, etag: res.etag };
+    }, options);
+  },
+
+  async users(){ return this.collection('users'); },
+  async opportunities(){ return this.collection('opportunities'); },
+  async products(){ return this.collection('products'); },
+  async campaigns(){ return this.collection('campaigns'); },
   async onboarding(){ return this.get('/mock/onboarding.json'); },
   async partners(){ return this.get('/mock/partners.json'); },
   async singpassRep(){ return this.get('/mock/singpass/rep.json'); },
@@ -18,17 +139,71 @@ export const api = {
   async helpIndex(){ return this.get('/mock/help/articles.json'); },
   async helpFAQ(){ return this.get('/mock/help/faq.json'); },
 
+  /**
+   * Sign in through the backend. Resolves to { user, token, expiresAt }, or to
+   * { twoFactorRequired, challenge } when the account needs a code as well.
+   * Rejects with .code and, when attempts are being throttled, .retryAfter
+   * (seconds until the next try is accepted).
+   */
   async login(email, password){
-    const users = await this.users().catch(() => [
-      {id:'u-rep-001', name:'Demo Rep', email:'rep@replink.dev', role:'rep', __pw:'RepLink#2025'},
-      {id:'u-biz-001', name:'Demo Business', email:'business@replink.dev', role:'business', company:'Rep-Link Demo Co.', __pw:'RepLink#2025'}
-    ]);
-    const em = String(email||'').trim().toLowerCase();
-    const u = users.find(x => String(x.email).toLowerCase() === em);
-    await new Promise(r=>setTimeout(r,200));
-    const expected = u?.password ?? u?.__pw;
-    if(!u) throw new Error('No such user');
-    if(String(expected)!==String(password)) throw new Error('Incorrect password');
-    const {password:_a, __pw:_b, ...safe} = u; return safe;
+    const res = await this.request('auth/login', { method:'POST', body: JSON.stringify({ email, password }) });
+    if (!res.success) throw Object.assign(new Error(res.error || 'Login failed'), { code: res.code, retryAfter: res.retryAfter });
+    return res.data;
+  },
+
+  /**
+   * Redeem the link emailed when an account locks. Resolves to { unlocked, email }.
+   */
+  async unlockAccount(token){
+    const res = await this.request('auth/unlock', { method:'POST', body: JSON.stringify({ token }) });
+    if (!res.success) throw new Error(res.error || 'Could not unlock the account');
+    return res.data;
+  },
+
+  /**
+   * Second login step: the challenge from login() plus an authenticator or
+   * recovery code. Resolves to { user, token, expiresAt }; rejects with .code
+   * 'challenge_expired' when the password has to be entered again.
+   */
+  async loginWithCode(challenge, code){
+    const res = await this.request('auth/2fa/login', { method:'POST', body: JSON.stringify({ challenge, code }) });
+    if (!res.success) throw Object.assign(new Error(res.error || 'Login failed'), { code: res.code });
+    return res.data;
+  },
+
+  /**
+   * Swap the current token for one with a later expiry. Resolves to
+   * { user, token, expiresAt }; rejects with .status 401 once the session is gone.
+   */
+  async refreshSession(){
+    const res = await this.request('auth/refresh', { method:'POST' });
+    if (!res.success) throw Object.assign(new Error(res.error || 'Refresh failed'), { status: res.status });
+    return res.data;
+  },
+
+  /**
+   * Revoke the current session on the backend. Never throws: signing out
+   * locally must work even when the backend can't be reached.
+   */
+  async logout(){
+    try { await this.request('auth/logout', { method:'POST' }); }
+    catch (error) { console.warn('Logout request failed:', error); }
+  }
+};
+
+// Replays queued writes on load, on reconnect and on a backoff timer
+export const outbox = new Outbox(store, send);
+
+// The in-browser mock keeps collections in the Store, so any commit to one
+// (here or in another tab) makes its cached list stale. A different user
+// must never see the previous user's cached responses.
+let cachedFor = store.get('auth.user.id') || null;
+store.subscribe('*', (state, paths) => {
+  const userId = state.auth?.user?.id || null;
+  if (userId !== cachedFor) {
+    cachedFor = userId;
+    cache.clear();
+    return;
   }
-};
\ No newline at end of file
+  cache.invalidate(...new Set(paths.map(path => path.split('.')[0])));
+});
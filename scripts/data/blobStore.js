@@ -0,0 +1,205 @@
+/**
+ * Blob Store
+ * Files (avatars, logos, attachments, evidence) kept in IndexedDB by id
+ */
+
+'use strict';
+
+const DB_NAME = 'replink_blobs';
+const DB_VERSION = 1;
+const FILES = 'files';
+const MB = 1024 * 1024;
+
+/**
+ * Per-kind limits. `types` is matched against the MIME type, falling back to
+ * the file extension because browsers leave `type` empty for some documents.
+ */
+export const BLOB_KINDS = {
+    avatar: { label: 'Profile photo', maxBytes: 2 * MB, types: /^image\/(png|jpe?g|gif|webp)$/, extensions: /\.(png|jpe?g|gif|webp)$/i },
+    logo: { label: 'Company logo', maxBytes: 2 * MB, types: /^image\/(png|jpe?g|gif|webp|svg\+xml)$/, extensions: /\.(png|jpe?g|gif|webp|svg)$/i },
+    proposal: { label: 'Proposal attachment', maxBytes: 10 * MB, extensions: /\.(pdf|docx?|txt)$/i },
+    evidence: { label: 'Milestone evidence', maxBytes: 10 * MB, extensions: /\.(pdf|docx?|xlsx?|jpe?g|png|txt)$/i },
+    dispute: { label: 'Dispute evidence', maxBytes: 10 * MB, extensions: /\.(pdf|docx?|jpe?g|png|txt)$/i },
+    message: { label: 'Message attachment', maxBytes: 5 * MB }
+};
+
+/** Total bytes a single owner may keep in this browser */
+export const OWNER_QUOTA_BYTES = 50 * MB;
+
+function fail(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+function formatBytes(bytes) {
+    return bytes >= MB ? `${Math.round(bytes / MB)}MB` : `${Math.round(bytes / 1024)}KB`;
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Metadata safe to embed in API records: everything but the bytes
+ */
+export function toRef(record) {
+    const { blob, ...meta } = record;
+    return meta;
+}
+
+/**
+ * BlobStore Class
+ * Records are { id, name, type, size, owner, kind, createdAt, blob }.
+ * Files only exist in the browser that stored them; API records carry the
+ * metadata returned by toRef() and look the bytes up here by id.
+ */
+export class BlobStore {
+    constructor(idb = typeof indexedDB !== 'undefined' ? indexedDB : null) {
+        this.idb = idb;
+        this.db = null;
+        this.urls = new Map();
+    }
+
+    open() {
+        if (!this.idb) return Promise.reject(fail(503, 'File storage is not available in this browser'));
+        this.db ??= new Promise((resolve, reject) => {
+            const request = this.idb.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const files = request.result.createObjectStore(FILES, { keyPath: 'id' });
+                files.createIndex('owner', 'owner');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(error => {
+            this.db = null;
+            throw error;
+        });
+        return this.db;
+    }
+
+    async run(mode, fn) {
+        const db = await this.open();
+        const tx = db.transaction(FILES, mode);
+        const result = await promisify(fn(tx.objectStore(FILES)));
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || fail(500, 'File storage transaction aborted'));
+        });
+        return result;
+    }
+
+    /**
+     * Check a file against its kind's limits and the owner's quota.
+     * Throws an Error with `status` 413 (too large) or 415 (wrong type).
+     */
+    async validate(file, { owner, kind }) {
+        const rule = BLOB_KINDS[kind];
+        if (!rule) throw fail(400, `Unknown file kind: ${kind}`);
+
+        const typeOk = !rule.types && !rule.extensions
+            || rule.types?.test(file.type || '')
+            || rule.extensions?.test(file.name || '');
+        if (!typeOk) throw fail(415, `${file.name} is not an accepted file type for ${rule.label.toLowerCase()}`);
+        if (file.size > rule.maxBytes) throw fail(413, `${file.name} is too large (max ${formatBytes(rule.maxBytes)})`);
+
+        const used = await this.usage(owner);
+        if (used + file.size > OWNER_QUOTA_BYTES) {
+            throw fail(413, `Storage full: ${formatBytes(OWNER_QUOTA_BYTES)} per account. Remove some files and try again.`);
+        }
+    }
+
+    /**
+     * Store a File or Blob and resolve to its metadata
+     * @param {Blob} file
+     * @param {Object} options - { owner, kind, name? }
+     */
+    async put(file, { owner, kind, name } = {}) {
+        if (!owner) throw fail(401, 'Sign in to upload files');
+        const record = {
+            id: `blob-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+            name: name || file.name || 'file',
+            type: file.type || 'application/octet-stream',
+            size: file.size,
+            owner,
+            kind,
+            createdAt: new Date().toISOString(),
+            blob: file
+        };
+        await this.validate(record, { owner, kind });
+        await this.run('readwrite', files => files.put(record));
+        return toRef(record);
+    }
+
+    /**
+     * Store several files of one kind; nothing is kept if any of them is rejected
+     */
+    async putAll(files, options) {
+        const refs = [];
+        try {
+            for (const file of files) refs.push(await this.put(file, options));
+        } catch (error) {
+            await Promise.all(refs.map(ref => this.remove(ref.id)));
+            throw error;
+        }
+        return refs;
+    }
+
+    get(id) {
+        return this.run('readonly', files => files.get(id)).then(record => record || null);
+    }
+
+    async meta(id) {
+        const record = await this.get(id);
+        return record ? toRef(record) : null;
+    }
+
+    async list({ owner, kind } = {}) {
+        const records = await this.run('readonly', files =>
+            owner ? files.index('owner').getAll(owner) : files.getAll());
+        return records.filter(r => !kind || r.kind === kind).map(toRef);
+    }
+
+    async usage(owner) {
+        const refs = await this.list({ owner });
+        return refs.reduce((sum, ref) => sum + ref.size, 0);
+    }
+
+    /**
+     * Object URL for previews and downloads, cached until revoke()/remove().
+     * Resolves to null when the file is not in this browser.
+     */
+    async url(id) {
+        if (this.urls.has(id)) return this.urls.get(id);
+        const record = await this.get(id);
+        if (!record) return null;
+        const url = URL.createObjectURL(record.blob);
+        this.urls.set(id, url);
+        return url;
+    }
+
+    revoke(id) {
+        const url = this.urls.get(id);
+        if (url) URL.revokeObjectURL(url);
+        this.urls.delete(id);
+    }
+
+    async remove(id) {
+        if (!id) return;
+        this.revoke(id);
+        await this.run('readwrite', files => files.delete(id));
+    }
+
+    /**
+     * Move a legacy base64 data URL (profiles saved before files moved to
+     * IndexedDB) into the store
+     */
+    async importDataURL(dataURL, options) {
+        const blob = await (await fetch(dataURL)).blob();
+        return this.put(blob, options);
+    }
+}
+
+export const blobStore = new BlobStore();
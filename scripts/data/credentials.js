@@ -0,0 +1,211 @@
+/**
+ * Credentials
+ * Salted password hashing, signed session tokens and TOTP codes on Web
+ * Crypto, so the same code runs in the in-browser mock and under node server.cjs
+ */
+
+'use strict';
+
+const PBKDF2_ITERATIONS = 100000;
+const HASH_BYTES = 32;
+const SALT_BYTES = 16;
+const HASH_SCHEME = 'pbkdf2-sha256';
+
+// RFC 6238 defaults every authenticator app understands
+const TOTP_STEP_S = 30;
+const TOTP_DIGITS = 6;
+const TOTP_SECRET_BYTES = 20;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const encoder = new TextEncoder();
+
+function subtle() {
+    const api = globalThis.crypto?.subtle;
+    if (!api) throw new Error('Web Crypto is not available; serve the site over https or localhost');
+    return api;
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(String(text).replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+function randomBytes(length) {
+    return globalThis.crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * Compare without returning early, so timing doesn't leak how much matched
+ */
+function equalBytes(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+    return diff === 0;
+}
+
+async function pbkdf2(password, salt, iterations) {
+    const key = await subtle().importKey('raw', encoder.encode(String(password)), 'PBKDF2', false, ['deriveBits']);
+    const bits = await subtle().deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, HASH_BYTES * 8);
+    return new Uint8Array(bits);
+}
+
+async function hmac(secret, data) {
+    const key = await subtle().importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return new Uint8Array(await subtle().sign('HMAC', key, encoder.encode(data)));
+}
+
+/**
+ * Hash a password for storage
+ * @returns {Promise<string>} 'pbkdf2-sha256$<iterations>$<salt>$<hash>'
+ */
+export async function hashPassword(password, { iterations = PBKDF2_ITERATIONS } = {}) {
+    const salt = randomBytes(SALT_BYTES);
+    const hash = await pbkdf2(password, salt, iterations);
+    return [HASH_SCHEME, iterations, toBase64Url(salt), toBase64Url(hash)].join('$');
+}
+
+/**
+ * Check a password against a stored hash. Malformed hashes never match.
+ */
+export async function verifyPassword(password, stored) {
+    const [scheme, iterations, salt, hash] = String(stored || '').split('$');
+    if (scheme !== HASH_SCHEME || !Number(iterations) || !salt || !hash) return false;
+    const actual = await pbkdf2(password, fromBase64Url(salt), Number(iterations));
+    return equalBytes(actual, fromBase64Url(hash));
+}
+
+/**
+ * Random secret for signing tokens
+ */
+export function randomSecret() {
+    return toBase64Url(randomBytes(32));
+}
+
+/**
+ * SHA-256 of a string, base64url. For one-time tokens stored only as hashes.
+ */
+export async function digest(text) {
+    return toBase64Url(await subtle().digest('SHA-256', encoder.encode(String(text))));
+}
+
+/**
+ * PKCE S256 code challenge for a code verifier (RFC 7636)
+ */
+export async function pkceChallenge(verifier) {
+    return digest(verifier);
+}
+
+/**
+ * Sign a payload: '<base64url JSON>.<base64url HMAC-SHA256>'
+ */
+export async function signToken(payload, secret) {
+    const body = toBase64Url(encoder.encode(JSON.stringify(payload)));
+    return `${body}.${toBase64Url(await hmac(secret, body))}`;
+}
+
+/**
+ * Payload of a token with a valid signature that hasn't expired, else null
+ * @param {string} token
+ * @param {string} secret
+ * @param {number} [now] - Clock in ms, for checking `exp` (seconds)
+ */
+export async function readToken(token, secret, now = Date.now()) {
+    const [body, signature, extra] = String(token || '').split('.');
+    if (!body || !signature || extra !== undefined) return null;
+    try {
+        if (!equalBytes(await hmac(secret, body), fromBase64Url(signature))) return null;
+        const payload = JSON.parse(new TextDecoder().decode(fromBase64Url(body)));
+        if (!payload.exp || payload.exp * 1000 <= now) return null;
+        return payload;
+    } catch {
+        return null;
+    }
+}
+
+function toBase32(bytes) {
+    let bits = 0;
+    let value = 0;
+    let out = '';
+    bytes.forEach(byte => {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    });
+    if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return out;
+}
+
+function fromBase32(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index < 0) throw new Error('Invalid base32 secret');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return new Uint8Array(bytes);
+}
+
+/**
+ * New TOTP shared secret, base32 as authenticator apps expect it
+ */
+export function totpSecret() {
+    return toBase32(randomBytes(TOTP_SECRET_BYTES));
+}
+
+/**
+ * TOTP code (RFC 6238, HMAC-SHA1) for one time step
+ * @param {string} secret - Base32 shared secret
+ * @param {number} step - Unix time / 30
+ */
+export async function totpCode(secret, step, digits = TOTP_DIGITS) {
+    const counter = new Uint8Array(8);
+    new DataView(counter.buffer).setUint32(0, Math.floor(step / 2 ** 32));
+    new DataView(counter.buffer).setUint32(4, step >>> 0);
+    const key = await subtle().importKey('raw', fromBase32(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+    const mac = new Uint8Array(await subtle().sign('HMAC', key, counter));
+    const offset = mac[mac.length - 1] & 15;
+    const binary = new DataView(mac.buffer).getUint32(offset) & 0x7fffffff;
+    return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Check a code against the current time step and one either side (clock
+ * drift). Resolves to the matching step, so callers can refuse a code that
+ * was already used, or null.
+ */
+export async function verifyTotp(secret, code, { now = Date.now(), window = 1 } = {}) {
+    const given = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(given)) return null;
+    const current = Math.floor(now / 1000 / TOTP_STEP_S);
+    for (let step = current - window; step <= current + window; step++) {
+        if (equalBytes(encoder.encode(await totpCode(secret, step)), encoder.encode(given))) return step;
+    }
+    return null;
+}
+
+/**
+ * otpauth:// URI that authenticator apps import from a QR code
+ */
+export function otpauthUri({ secret, issuer, account }) {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: TOTP_DIGITS, period: TOTP_STEP_S });
+    return `otpauth://totp/${label}?${params}`;
+}
@@ -0,0 +1,2446 @@
+/**
+ * Mock Backend
+ * In-browser resource router behind api.request(), seeded from mock/*.json
+ */
+
+'use strict';
+
+import { validateRecord, formatErrors } from './validator.js';
+import { hashPassword, verifyPassword, randomSecret, signToken, readToken, pkceChallenge, digest, totpSecret, verifyTotp, otpauthUri } from './credentials.js';
+import { SINGPASS_ISSUER, SINGPASS_CLIENT_ID, SINGPASS_CALLBACK_PATH, profileFromMyInfo } from './myinfo.js';
+import { isValidNric, isValidUen, isValidBankAccount } from './sgFormats.js';
+import { isTeamRole, teamCan, teamRoleLabel, rolesWith, PERMISSION_LABELS } from './teamRoles.js';
+import { normalizeSearch, isEmptySearch, searchQueryString, describeSearch, matchOpportunities } from './opportunitySearch.js';
+
+const LATENCY_MS = 150;
+// Sessions slide forward on refresh while the user is active, up to a hard cap
+const SESSION_TTL_MS = 30 * 60 * 1000;
+const SESSION_MAX_MS = 12 * 60 * 60 * 1000;
+const AUTO_RELEASE_DAYS = 14;
+// The statuses a milestone may be moved to, and the ones it may come from
+const MILESTONE_MOVES = {
+    submitted: ['pending', 'in_progress', 'rejected'],
+    approved: ['submitted'],
+    rejected: ['submitted']
+};
+
+// One-time links sent by email
+const RESET_TTL_MS = 30 * 60 * 1000;
+const VERIFY_TTL_MS = 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+// Signup step-2 details kept in users[].profile, per role
+const PROFILE_FIELDS = {
+    rep: ['address', 'nationalId'],
+    business: ['uen', 'billingEmail', 'contact']
+};
+// Identifiers the forms check too; rejected here so no other client skips them
+const PROFILE_CHECKS = {
+    nationalId: [isValidNric, 'NRIC/FIN is not valid'],
+    uen: [isValidUen, 'UEN is not valid']
+};
+
+// Root-relative so the dev mail page can resolve them wherever the site is hosted
+const MAIL_LINKS = {
+    reset: 'pages/reset-password.html',
+    verify: 'pages/verify-email.html',
+    admin: 'pages/admin-dashboard.html',
+    invite: 'pages/accept-invite.html',
+    team: 'pages/business-dashboard.html#team',
+    unlock: 'pages/login.html',
+    opportunities: 'pages/opportunities.html',
+    repProfile: 'pages/rep-profile.html#your-data',
+    businessProfile: 'pages/business-profile.html#your-data'
+};
+
+// Login throttling. Failures count per email and per client: after a few,
+// each one doubles the wait before the next try, and enough on one account
+// lock it until the lockout ends or the emailed unlock link is used.
+const LOGIN_FAILED_MESSAGE = 'Incorrect email or password';
+const LOGIN_LOCKED_MESSAGE = 'Too many failed attempts. Try again later, or use the unlock link sent to the account\'s email.';
+const LOGIN_FREE_ATTEMPTS = 3;
+const LOGIN_BACKOFF_BASE_MS = 2 * 1000;
+const LOGIN_BACKOFF_MAX_MS = 5 * 60 * 1000;
+const LOGIN_LOCKOUT_ATTEMPTS = 10;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+const LOGIN_WINDOW_MS = 60 * 60 * 1000;
+
+// TOTP second factor for business accounts. Codes prove possession for a few
+// minutes of sensitive actions (step-up) before being asked for again.
+const TWO_FACTOR_ISSUER = 'Rep-Link';
+const TWO_FACTOR_CHALLENGE_TTL_S = 5 * 60;
+const STEP_UP_TTL_MS = 5 * 60 * 1000;
+const RECOVERY_CODE_COUNT = 10;
+const MAX_CODE_ATTEMPTS = 5;
+const CODE_LOCKOUT_MS = 5 * 60 * 1000;
+
+// Moderation: what the admin console lists and how much history it shows
+const MODERATED_ROLES = ['rep', 'business'];
+const AUDIT_PAGE_SIZE = 100;
+const DISPUTE_REASONS = ['payment', 'quality', 'scope', 'communication', 'other'];
+
+// Business teams: invitation links stay valid for a week
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// PDPA: deletion requests wait this long so the user can change their mind
+const DELETION_GRACE_DAYS = 14;
+const DELETED_USER_NAME = 'Deleted user';
+const EXPORT_FORMAT = 'replink-export/1';
+
+// Saved searches: how many a rep may keep, and how long a name may be
+const MAX_SAVED_SEARCHES = 20;
+const MAX_SEARCH_NAME_LENGTH = 60;
+
+// Local Singpass stand-in: codes are single use and short lived like the real ones
+const SINGPASS_PERSONAS = '/mock/singpass/personas.json';
+const SINGPASS_CODE_TTL_MS = 60 * 1000;
+const SINGPASS_TOKEN_TTL_S = 10 * 60;
+const SINGPASS_LINK_TTL_S = 15 * 60;
+
+/**
+ * Collections served by the backend and the seed file each one starts from
+ */
+const SEEDS = {
+    users: '/mock/users.json',
+    businesses: '/mock/businesses.json',
+    opportunities: '/mock/opportunities.json',
+    proposals: '/mock/proposals.json',
+    contracts: '/mock/contracts.json',
+    campaigns: '/mock/campaigns.json',
+    messages: '/mock/messages.json',
+    products: '/mock/products.json',
+    faq: '/mock/faq.json'
+};
+
+/**
+ * Seeded collections whose rows only the people involved may read through
+ * the plain list/get routes (admins read all of them), by who that is
+ */
+const PRIVATE_READERS = {
+    proposals(user, proposal) {
+        return proposal.repId === user.id || this.actsForOpportunity(user, this.opportunityFor(proposal.oppId));
+    },
+    contracts(user, contract) {
+        return this.isContractParty(user, contract);
+    },
+    campaigns(user, campaign) {
+        return campaign.repId === user.id || campaign.businessId === user.id
+            || this.actsForOpportunity(user, this.opportunityFor(campaign.opportunityId));
+    },
+    messages(user, message) {
+        return message.fromId === user.id || message.toId === user.id;
+    }
+};
+
+// Seeded collections written only through routes of their own
+const OWN_ROUTES = ['users', 'contracts', 'proposals', 'messages'];
+
+const ID_PREFIX = {
+    users: 'u',
+    businesses: 'biz',
+    opportunities: 'opp',
+    proposals: 'prop',
+    contracts: 'ctr',
+    campaigns: 'camp',
+    messages: 'msg',
+    products: 'prod',
+    faq: 'faq',
+    sessions: 'sess',
+    authTokens: 'tok',
+    mail: 'mail',
+    twoFactor: 'tfa',
+    disputes: 'dsp',
+    auditLog: 'audit',
+    companies: 'co',
+    invitations: 'inv',
+    savedSearches: 'ss',
+    notifications: 'ntf'
+};
+
+/**
+ * Build an error carrying an HTTP-style status code
+ */
+function fail(status, message, code) {
+    const error = new Error(message);
+    error.status = status;
+    if (code) error.code = code;
+    return error;
+}
+
+function newId(collection) {
+    const rand = Math.random().toString(36).slice(2, 7);
+    return `${ID_PREFIX[collection] || 'id'}-${Date.now().toString(36)}${rand}`;
+}
+
+function nowISO() {
+    return new Date().toISOString();
+}
+
+function addDays(iso, days) {
+    return new Date(new Date(iso).getTime() + days * 86400000).toISOString();
+}
+
+/**
+ * Strip credentials before a user record leaves the backend
+ */
+export function publicUser(user) {
+    if (!user) return null;
+    const { password: _a, __pw: _b, passwordHash: _c, ...safe } = user;
+    return safe;
+}
+
+// What anyone may see of someone else's account: no contact details,
+// identity numbers, bank account or Singpass link
+const DIRECTORY_FIELDS = ['id', 'name', 'role', 'avatar', 'company', 'companyId', 'bio', 'verified', 'deleted', 'createdAt'];
+
+/**
+ * An account as other people see it
+ */
+export function directoryUser(user) {
+    if (!user) return null;
+    return Object.fromEntries(DIRECTORY_FIELDS.filter(key => user[key] !== undefined).map(key => [key, user[key]]));
+}
+
+function bearerToken(headers = {}) {
+    return String(headers.Authorization || headers.authorization || '').replace(/^Bearer\s+/i, '');
+}
+
+/**
+ * Who is calling, for per-client limits: the browser's id in the mock, the
+ * socket address behind server.cjs (which overwrites the header)
+ */
+function clientId(headers = {}) {
+    return String(headers['X-RepLink-Client'] || headers['x-replink-client'] || 'unknown');
+}
+
+/**
+ * Turn a pattern like 'proposals/update/:id' into a matcher
+ */
+function compile(pattern) {
+    const names = [];
+    const source = pattern
+        .split('/')
+        .map(part => {
+            if (part.startsWith(':')) {
+                names.push(part.slice(1));
+                return '([^/]+)';
+            }
+            return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('/');
+    const regex = new RegExp(`^${source}$`);
+
+    return (path) => {
+        const match = regex.exec(path);
+        if (!match) return null;
+        return names.reduce((params, name, i) => {
+            params[name] = decodeURIComponent(match[i + 1]);
+            return params;
+        }, {});
+    };
+}
+
+/**
+ * Mock Backend Class
+ * Matches 'resource/action/:param' route strings plus HTTP verbs to handlers
+ * that read and write Store collections, returning { success, data, error }
+ */
+export class MockBackend {
+    /**
+     * @param {Object} storeInstance - Store used for persistence
+     * @param {Object} options
+     * @param {Function} options.load - Fetches a seed file by root-relative path
+     * @param {number} [options.latency] - Simulated network delay in ms
+     * @param {string} [options.secret] - Token signing secret; generated and stored when omitted
+     * @param {boolean} [options.requireTwoFactor] - Make 2FA mandatory for business accounts,
+     *   overriding the admin setting in the Store
+     * @param {boolean} [options.devMail=true] - Serve the mail outbox at dev/mail. Anyone who can
+     *   reach the API could read reset links from it, so only turn it on for a local backend.
+     */
+    constructor(storeInstance, { load, latency = LATENCY_MS, secret, requireTwoFactor, devMail = true } = {}) {
+        this.store = storeInstance;
+        this.load = load;
+        this.latency = latency;
+        this.secret = secret || null;
+        this.requireTwoFactor = requireTwoFactor ?? null;
+        this.devMail = devMail;
+        this.routes = [];
+        this.seeding = null;
+
+        this.registerRoutes();
+    }
+
+    /**
+     * Register a handler for a verb and route pattern
+     */
+    on(method, pattern, handler) {
+        this.routes.push({ method, match: compile(pattern), handler });
+        return this;
+    }
+
+    /**
+     * Handle a request and wrap the outcome in the response envelope
+     * @param {string} route - e.g. 'contracts/milestone/1/m2' or '/proposals/list?repId=1'
+     * @param {Object} options - { method, body, headers, query }
+     * @returns {Promise<{success: boolean, data?: any, error?: string, status: number}>}
+     */
+    async handle(route, options = {}) {
+        const method = String(options.method || 'GET').toUpperCase();
+        const [rawPath, rawQuery = ''] = String(route).split('?');
+        const path = rawPath.replace(/^\/+|\/+$/g, '');
+        const query = { ...Object.fromEntries(new URLSearchParams(rawQuery)), ...(options.query || {}) };
+
+        try {
+            await this.ensureSeeded();
+            await this.delay();
+            this.purgeDueDeletions();
+
+            const body = this.parseBody(options.body);
+            const headers = options.headers || {};
+
+            for (const { method: verb, match, handler } of this.routes) {
+                if (verb !== method) continue;
+                const params = match(path);
+                if (params) {
+                    const data = await handler({ params, query, body, headers });
+                    return { success: true, data, status: 200 };
+                }
+            }
+
+            throw fail(404, `No route for ${method} ${path}`);
+        } catch (error) {
+            if (!error.status) console.error('[mockBackend]', error);
+            return {
+                success: false,
+                error: error.message,
+                status: error.status || 500,
+                ...(error.code && { code: error.code }),
+                ...(error.details && { details: error.details }),
+                ...(error.retryAfter && { retryAfter: error.retryAfter })
+            };
+        }
+    }
+
+    parseBody(body) {
+        if (body == null || body === '') return {};
+        if (typeof body !== 'string') return body;
+        try {
+            return JSON.parse(body);
+        } catch {
+            throw fail(400, 'Request body is not valid JSON');
+        }
+    }
+
+    delay() {
+        return this.latency > 0
+            ? new Promise(resolve => setTimeout(resolve, this.latency))
+            : Promise.resolve();
+    }
+
+    /**
+     * Copy seed files into empty Store collections once per browser
+     */
+    ensureSeeded() {
+        if (!this.seeding) {
+            this.seeding = this.seed().then(() => this.formCompanies()).catch(error => {
+                this.seeding = null;
+                throw error;
+            });
+        }
+        return this.seeding;
+    }
+
+    async seed() {
+        // Before merging, so a seed's hash never shadows a user's own password
+        await this.upgradePasswords();
+
+        const seeded = this.store.get('seeded') || {};
+        const pending = Object.entries(SEEDS).filter(([name]) => !seeded[name]);
+        if (pending.length === 0) return;
+
+        const loaded = await Promise.all(pending.map(async ([name, file]) => {
+            try {
+                return [name, await this.load(file)];
+            } catch (error) {
+                console.warn(`[mockBackend] seed ${file} unavailable:`, error.message);
+                return [name, null];
+            }
+        }));
+
+        for (const [name, rows] of loaded) {
+            if (!Array.isArray(rows)) continue;
+            const problems = rows.flatMap(row => validateRecord(name, row));
+            if (problems.length) console.warn(`[mockBackend] ${SEEDS[name]} does not match its schema:\n${formatErrors(problems)}`);
+
+            // Seed rows fill in fields existing records lack and add the rows that are missing
+            const existing = this.store.get(name) || [];
+            const byId = new Map(rows.map(row => [String(row.id), row]));
+            // Deleted accounts stay empty
+            const merged = existing.map(row => row.deleted ? row : { ...byId.get(String(row.id)), ...row });
+            const known = new Set(existing.map(row => String(row.id)));
+            this.store.set(name, [...merged, ...rows.filter(row => !known.has(String(row.id)))]);
+            seeded[name] = true;
+        }
+        this.store.set('seeded', seeded);
+    }
+
+    /**
+     * Replace plaintext passwords left by older seeds and sign-ups with hashes
+     */
+    async upgradePasswords() {
+        const users = this.all('users');
+        if (!users.some(u => u.password !== undefined || u.__pw !== undefined)) return;
+
+        const upgraded = await Promise.all(users.map(async (user) => {
+            const { password, __pw, ...rest } = user;
+            const plain = password ?? __pw;
+            if (plain === undefined) return user;
+            return { ...rest, passwordHash: rest.passwordHash || await hashPassword(plain) };
+        }));
+        this.store.set('users', upgraded);
+    }
+
+    // ---------------------------------------------------------------------
+    // Collection helpers
+    // ---------------------------------------------------------------------
+
+    all(collection) {
+        return this.store.get(collection) || [];
+    }
+
+    find(collection, id) {
+        const item = this.all(collection).find(row => String(row.id) === String(id));
+        if (!item) throw fail(404, `${collection} ${id} not found`);
+        return item;
+    }
+
+    insert(collection, record) {
+        const item = this.check(collection, { id: newId(collection), createdAt: nowISO(), ...record });
+        this.store.set(collection, [...this.all(collection), item]);
+        return item;
+    }
+
+    patch(collection, id, changes) {
+        const current = this.find(collection, id);
+        const updated = this.check(collection, { ...current, ...changes, id: current.id, updatedAt: nowISO() });
+        this.store.set(collection, this.all(collection).map(row => row === current ? updated : row));
+        return updated;
+    }
+
+    /**
+     * Refuse to store a record that doesn't match its collection schema
+     */
+    check(collection, record) {
+        const problems = validateRecord(collection, record);
+        if (problems.length) {
+            const error = fail(422, `Invalid ${collection} record:\n${formatErrors(problems)}`);
+            error.details = problems;
+            throw error;
+        }
+        return record;
+    }
+
+    remove(collection, id) {
+        const current = this.find(collection, id);
+        this.store.set(collection, this.all(collection).filter(row => row !== current));
+        return { id: current.id };
+    }
+
+    /**
+     * Filter rows whose fields equal every query value
+     */
+    where(rows, query) {
+        const entries = Object.entries(query).filter(([, value]) => value !== undefined && value !== '');
+        return rows.filter(row => entries.every(([key, value]) => String(row[key]) === String(value)));
+    }
+
+    // ---------------------------------------------------------------------
+    // Sessions
+    // ---------------------------------------------------------------------
+
+    signingSecret() {
+        if (!this.secret) {
+            this.secret = this.store.get('secrets')?.token;
+            if (!this.secret) {
+                this.secret = randomSecret();
+                this.store.set('secrets', { ...this.store.get('secrets'), token: this.secret });
+            }
+        }
+        return this.secret;
+    }
+
+    /**
+     * Open a session and sign a token naming it. The token alone proves who
+     * signed in and until when; the session record lets logout revoke it.
+     */
+    async startSession(user, { stepUpAt } = {}) {
+        this.requireActive(user);
+        const now = Date.now();
+        const session = {
+            id: newId('sessions'),
+            userId: user.id,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + SESSION_TTL_MS).toISOString(),
+            ...(stepUpAt && { stepUpAt })
+        };
+        const live = this.all('sessions').filter(s => s.id && new Date(s.expiresAt) > new Date(now));
+        this.store.set('sessions', [...live, session]);
+        return this.issueToken(session, user);
+    }
+
+    /**
+     * Push a live session's expiry forward (never past SESSION_MAX_MS from
+     * sign-in) and hand out a token with the new expiry
+     */
+    async extendSession(session, user) {
+        const now = Date.now();
+        const cap = new Date(session.createdAt).getTime() + SESSION_MAX_MS;
+        const expiresAt = new Date(Math.min(now + SESSION_TTL_MS, cap)).toISOString();
+        const extended = { ...session, expiresAt };
+        this.store.set('sessions', this.all('sessions').map(s => s.id === session.id ? extended : s));
+        return this.issueToken(extended, user);
+    }
+
+    async issueToken(session, user) {
+        const token = await signToken({
+            sub: user.id,
+            sid: session.id,
+            iat: Math.floor(Date.now() / 1000),
+            exp: Math.floor(new Date(session.expiresAt).getTime() / 1000)
+        }, this.signingSecret());
+        return { user: this.sessionUser(user), token, expiresAt: session.expiresAt };
+    }
+
+    /**
+     * Session behind a bearer token: signature valid, not expired, not revoked
+     */
+    async sessionFor(headers = {}) {
+        const payload = await readToken(bearerToken(headers), this.signingSecret());
+        if (!payload) return null;
+        const session = this.all('sessions').find(s => s.id === payload.sid && s.userId === payload.sub);
+        return session && new Date(session.expiresAt) > new Date() ? session : null;
+    }
+
+    /**
+     * User making the request, from the bearer token
+     */
+    async currentUser(headers = {}) {
+        const session = await this.sessionFor(headers);
+        return session ? this.all('users').find(u => u.id === session.userId) || null : null;
+    }
+
+    async requireUser(headers) {
+        const user = await this.currentUser(headers);
+        if (!user) throw fail(401, 'Not signed in');
+        return user;
+    }
+
+    async requireRole(headers, role) {
+        const user = await this.requireUser(headers);
+        if (user.role !== role) throw fail(403, 'You do not have access to this');
+        return user;
+    }
+
+    requireActive(user) {
+        if (user.suspended) {
+            throw fail(403, 'This account is suspended. Contact support@rep-link.sg for help.', 'account_suspended');
+        }
+        return user;
+    }
+
+    /**
+     * End every session a user has, e.g. when an admin suspends them
+     */
+    revokeSessions(userId) {
+        this.store.set('sessions', this.all('sessions').filter(s => s.userId !== userId));
+    }
+
+    updateSession(id, changes) {
+        this.store.set('sessions', this.all('sessions').map(s => s.id === id ? { ...s, ...changes } : s));
+    }
+
+    /**
+     * Accounts from before verification existed have no flag and count as verified
+     */
+    requireVerified(user, action) {
+        if (user.emailVerified === false) throw fail(403, `Verify your email address before ${action}`);
+        return user;
+    }
+
+    // ---------------------------------------------------------------------
+    // Mail and one-time tokens
+    // ---------------------------------------------------------------------
+
+    /**
+     * "Send" an email: kept in the local outbox shown at pages/dev-mail.html
+     */
+    sendMail({ to, subject, text, link = null }) {
+        const mail = { id: newId('mail'), to, subject, text, link, createdAt: nowISO() };
+        this.store.set('mail', [...this.all('mail'), mail]);
+        console.info(`[mail] to ${to}: ${subject}${link ? ` (${link})` : ''}`);
+        return mail;
+    }
+
+    /**
+     * Issue a single-use token; only its hash is stored. Earlier unused tokens
+     * of the same kind for the user stop working.
+     * @returns {Promise<string>} The token, to be put in a link
+     */
+    async issueOneTimeToken(kind, userId, ttlMs) {
+        const token = randomSecret();
+        const now = Date.now();
+        const record = {
+            id: newId('authTokens'),
+            kind,
+            userId,
+            hash: await digest(token),
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + ttlMs).toISOString(),
+            usedAt: null
+        };
+        const kept = this.all('authTokens').filter(t =>
+            !t.usedAt && new Date(t.expiresAt) > new Date(now) && !(t.kind === kind && t.userId === userId));
+        this.store.set('authTokens', [...kept, record]);
+        return token;
+    }
+
+    /**
+     * Spend a token: the user it was issued for, or a 400 if it is unknown,
+     * expired or already used
+     */
+    async redeemOneTimeToken(kind, token) {
+        const hash = await digest(token || '');
+        const record = this.all('authTokens').find(t => t.kind === kind && t.hash === hash);
+        if (!record || record.usedAt) throw fail(400, 'This link is invalid or has already been used');
+        if (new Date(record.expiresAt) <= new Date()) throw fail(400, 'This link has expired. Request a new one.');
+        this.store.set('authTokens', this.all('authTokens').map(t => t.id === record.id ? { ...t, usedAt: nowISO() } : t));
+        const user = this.all('users').find(u => u.id === record.userId);
+        if (!user) throw fail(400, 'This link is invalid or has already been used');
+        return user;
+    }
+
+    async sendVerificationMail(user) {
+        const token = await this.issueOneTimeToken('verify', user.id, VERIFY_TTL_MS);
+        const link = `${MAIL_LINKS.verify}?token=${encodeURIComponent(token)}`;
+        return this.sendMail({
+            to: user.email,
+            subject: 'Verify your Rep-Link email address',
+            text: `Hi ${user.name},\n\nConfirm this is your email address to start applying to and posting opportunities. The link works once and expires in 24 hours.`,
+            link
+        });
+    }
+
+    // ---------------------------------------------------------------------
+    // Login throttling
+    // ---------------------------------------------------------------------
+
+    /**
+     * Counters a login attempt is charged to: the email typed (whether or
+     * not it has an account, so lockouts reveal nothing) and the client
+     */
+    loginThrottleKeys(email, headers) {
+        return [`account:${email}`, `client:${clientId(headers)}`];
+    }
+
+    /**
+     * Refuse an attempt while any of its counters is backing off or locked
+     */
+    checkLoginThrottle(keys) {
+        const now = Date.now();
+        const waits = this.all('loginThrottle')
+            .filter(t => keys.includes(t.key))
+            .map(t => ({ until: Math.max(Date.parse(t.lockedUntil || 0), Date.parse(t.nextAttemptAt || 0)), locked: !!t.lockedUntil }))
+            .filter(w => w.until > now);
+        if (!waits.length) return;
+        const { until, locked } = waits.reduce((a, b) => b.until > a.until ? b : a);
+        const retryAfter = Math.ceil((until - now) / 1000);
+        const error = locked
+            ? fail(429, LOGIN_LOCKED_MESSAGE, 'login_locked')
+            : fail(429, `Too many attempts. Try again in ${retryAfter} seconds.`, 'login_throttled');
+        throw Object.assign(error, { retryAfter });
+    }
+
+    /**
+     * Count a failed attempt against every key. Past LOGIN_FREE_ATTEMPTS each
+     * failure doubles the wait; LOGIN_LOCKOUT_ATTEMPTS on one account locks it.
+     * @returns {{retryAfter: number, locked: boolean}} The longest wait now due
+     */
+    recordLoginFailure(keys) {
+        const now = Date.now();
+        // Counters forget failures after a quiet spell
+        const recent = this.all('loginThrottle').filter(t => now - Date.parse(t.lastFailureAt) < LOGIN_WINDOW_MS);
+        const updated = keys.map(key => {
+            const failures = (recent.find(t => t.key === key)?.failures || 0) + 1;
+            const backoff = failures > LOGIN_FREE_ATTEMPTS
+                ? Math.min(LOGIN_BACKOFF_BASE_MS * 2 ** (failures - LOGIN_FREE_ATTEMPTS - 1), LOGIN_BACKOFF_MAX_MS)
+                : 0;
+            const locked = key.startsWith('account:') && failures >= LOGIN_LOCKOUT_ATTEMPTS;
+            return {
+                key,
+                failures,
+                lastFailureAt: new Date(now).toISOString(),
+                nextAttemptAt: new Date(now + backoff).toISOString(),
+                lockedUntil: locked ? new Date(now + LOGIN_LOCKOUT_MS).toISOString() : null
+            };
+        });
+        this.store.set('loginThrottle', [...recent.filter(t => !keys.includes(t.key)), ...updated]);
+        const until = Math.max(...updated.map(t => Date.parse(t.lockedUntil || t.nextAttemptAt)));
+        return { retryAfter: Math.max(0, Math.ceil((until - now) / 1000)), locked: updated.some(t => t.lockedUntil) };
+    }
+
+    clearLoginThrottle(key) {
+        this.store.set('loginThrottle', this.all('loginThrottle').filter(t => t.key !== key));
+    }
+
+    /**
+     * Tell the owner their account was locked, with a link that lifts the lock
+     */
+    async sendUnlockMail(user) {
+        const token = await this.issueOneTimeToken('unlock', user.id, LOGIN_LOCKOUT_MS);
+        return this.sendMail({
+            to: user.email,
+            subject: 'Your Rep-Link account was locked',
+            text: `Hi ${user.name},\n\nThere were ${LOGIN_LOCKOUT_ATTEMPTS} failed attempts to log in to your account, so it is locked for ${LOGIN_LOCKOUT_MS / 60000} minutes. If that was you, unlock it now with the link below.\n\nIf it wasn't, someone may be guessing your password. Unlock the account and reset your password.`,
+            link: `${MAIL_LINKS.unlock}?unlock=${encodeURIComponent(token)}`
+        });
+    }
+
+    // ---------------------------------------------------------------------
+    // Two-factor authentication
+    // ---------------------------------------------------------------------
+
+    /**
+     * Business accounts must enrol when an admin (or the server) says so
+     */
+    twoFactorRequired(user) {
+        if (user.role !== 'business') return false;
+        return !!(this.requireTwoFactor ?? this.store.get('securityPolicy')?.requireBusinessTwoFactor);
+    }
+
+    twoFactorRecord(userId) {
+        return this.all('twoFactor').find(r => r.userId === userId) || null;
+    }
+
+    saveTwoFactor(record) {
+        this.store.set('twoFactor', [...this.all('twoFactor').filter(r => r.userId !== record.userId), record]);
+    }
+
+    removeTwoFactor(userId) {
+        this.store.set('twoFactor', this.all('twoFactor').filter(r => r.userId !== userId));
+    }
+
+    twoFactorSecret() {
+        return `${this.signingSecret()}:2fa`;
+    }
+
+    /**
+     * Fresh recovery codes; only their hashes are kept
+     */
+    async newRecoveryCodes() {
+        const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const raw = totpSecret().slice(0, 10).toLowerCase();
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+        return { codes, hashes: await Promise.all(codes.map(code => digest(code.replace('-', '')))) };
+    }
+
+    /**
+     * Check an authenticator code, or spend a recovery code. Each TOTP code
+     * works once, and a run of wrong codes locks the factor for a while.
+     * @returns {Promise<{method: string, recoveryCodesLeft: number}>}
+     */
+    async checkSecondFactor(user, code) {
+        const record = this.twoFactorRecord(user.id);
+        if (!record?.enabledAt) throw fail(400, 'Two-factor authentication is not turned on');
+        if (record.lockedUntil && new Date(record.lockedUntil) > new Date()) {
+            throw fail(429, 'Too many incorrect codes. Try again in a few minutes.');
+        }
+
+        const given = String(code || '').trim();
+        const step = await verifyTotp(record.secret, given);
+        if (step !== null && step > (record.lastStep ?? -1)) {
+            this.saveTwoFactor({ ...record, lastStep: step, failedAttempts: 0, lockedUntil: null });
+            return { method: 'totp', recoveryCodesLeft: record.recoveryHashes.length };
+        }
+
+        const hash = await digest(given.toLowerCase().replace(/[^a-z0-9]/g, ''));
+        if (step === null && record.recoveryHashes.includes(hash)) {
+            const recoveryHashes = record.recoveryHashes.filter(h => h !== hash);
+            this.saveTwoFactor({ ...record, recoveryHashes, failedAttempts: 0, lockedUntil: null });
+            return { method: 'recovery', recoveryCodesLeft: recoveryHashes.length };
+        }
+
+        const failedAttempts = (record.failedAttempts || 0) + 1;
+        const locked = failedAttempts >= MAX_CODE_ATTEMPTS;
+        this.saveTwoFactor({
+            ...record,
+            failedAttempts: locked ? 0 : failedAttempts,
+            lockedUntil: locked ? new Date(Date.now() + CODE_LOCKOUT_MS).toISOString() : null
+        });
+        throw fail(401, step === null ? 'That code is not valid' : 'That code was already used. Wait for the next one.', 'invalid_code');
+    }
+
+    /**
+     * Gate for actions that move money: with 2FA on, the session must have
+     * confirmed a code within STEP_UP_TTL_MS
+     */
+    async requireStepUp(headers, action) {
+        const session = await this.sessionFor(headers);
+        const user = session && this.all('users').find(u => u.id === session.userId);
+        if (!user) throw fail(401, 'Not signed in');
+        if (!user.twoFactorEnabled) {
+            if (this.twoFactorRequired(user)) {
+                throw fail(403, `Set up two-factor authentication before ${action}`, 'two_factor_setup_required');
+            }
+            return user;
+        }
+        const confirmedAt = session.stepUpAt ? new Date(session.stepUpAt).getTime() : 0;
+        if (Date.now() - confirmedAt > STEP_UP_TTL_MS) {
+            throw fail(403, `Enter a code from your authenticator app before ${action}`, 'step_up_required');
+        }
+        return user;
+    }
+
+    // ---------------------------------------------------------------------
+    // Business teams
+    // ---------------------------------------------------------------------
+
+    /**
+     * The company a business account acts for, found by membership so a user
+     * object read earlier in the request still finds it. Never writes:
+     * companies are made at registration and by formCompanies().
+     */
+    companyFor(user) {
+        if (user?.role !== 'business') return null;
+        return this.all('companies').find(c => c.members.some(m => m.userId === user.id)) || null;
+    }
+
+    /**
+     * Make a business account the owner of a one-person company
+     */
+    createCompany(user, name = user.company || user.name) {
+        const company = this.insert('companies', {
+            name,
+            ...(user.profile?.uen && { uen: user.profile.uen }),
+            members: [{ userId: user.id, role: 'owner', joinedAt: nowISO() }]
+        });
+        this.patch('users', user.id, { companyId: company.id });
+        return company;
+    }
+
+    /**
+     * Business accounts from before teams existed (seeded ones included)
+     * become the owner of a one-person company
+     */
+    formCompanies() {
+        this.all('users')
+            .filter(u => u.role === 'business' && !u.deleted && !this.companyFor(u))
+            .forEach(user => this.createCompany(user));
+    }
+
+    teamRole(user) {
+        return this.companyFor(user)?.members.find(m => m.userId === user.id)?.role || null;
+    }
+
+    opportunityFor(id) {
+        return this.all('opportunities').find(o => String(o.id) === String(id)) || null;
+    }
+
+    /**
+     * Whether a business account acts for the company that posted an
+     * opportunity. Opportunities from before teams existed only name the
+     * account that posted them, so its teammates count.
+     */
+    actsForOpportunity(user, opportunity) {
+        const company = this.companyFor(user);
+        if (!company || !opportunity) return false;
+        if (opportunity.companyId) return opportunity.companyId === company.id;
+        return company.members.some(m => m.userId === opportunity.businessId);
+    }
+
+    /**
+     * Refuse an action the member's role in their company doesn't allow
+     */
+    requireTeamPermission(user, permission) {
+        const role = this.teamRole(user);
+        if (!teamCan(role, permission)) {
+            throw fail(403, `As ${teamRoleLabel(role)} you can't ${PERMISSION_LABELS[permission]}. Ask someone with the ${rolesWith(permission).join(' or ')} role.`, 'team_permission');
+        }
+        return user;
+    }
+
+    /**
+     * publicUser plus, for business accounts, the team role the dashboard
+     * uses to hide what the member can't do
+     */
+    sessionUser(user) {
+        const teamRole = this.teamRole(user);
+        const current = this.all('users').find(u => u.id === user.id) || user;
+        return { ...publicUser(current), ...(teamRole && { teamRole }) };
+    }
+
+    /**
+     * Pending invitation behind an emailed token, or a 400 like other links
+     */
+    async invitationFor(token) {
+        const hash = await digest(token || '');
+        const invitation = this.all('invitations').find(i => i.tokenHash === hash);
+        if (!invitation || invitation.status !== 'pending') throw fail(400, 'This invitation is invalid or has already been used');
+        if (new Date(invitation.expiresAt) <= new Date()) throw fail(400, 'This invitation has expired. Ask for a new one.');
+        return invitation;
+    }
+
+    invitationView({ tokenHash: _hash, ...invitation }) {
+        const expired = invitation.status === 'pending' && new Date(invitation.expiresAt) <= new Date();
+        return { ...invitation, ...(expired && { status: 'expired' }) };
+    }
+
+    // ---------------------------------------------------------------------
+    // Personal data (PDPA)
+    // ---------------------------------------------------------------------
+
+    /**
+     * Everything held about a user, minus credentials, secrets and token
+     * hashes. Emails are listed without their links, which carry tokens.
+     */
+    exportFor(user) {
+        const email = String(user.email).toLowerCase();
+        const mine = (row, ...keys) => keys.some(key => row[key] === user.id);
+        const contracts = this.all('contracts').filter(c => mine(c, 'repId', 'businessId'));
+        const twoFactor = this.twoFactorRecord(user.id);
+        const company = this.companyFor(user);
+        return {
+            format: EXPORT_FORMAT,
+            exportedAt: nowISO(),
+            account: publicUser(user),
+            security: {
+                twoFactorEnabled: !!user.twoFactorEnabled,
+                twoFactorEnabledAt: twoFactor?.enabledAt || null,
+                recoveryCodesLeft: twoFactor?.enabledAt ? twoFactor.recoveryHashes.length : 0,
+                sessions: this.all('sessions').filter(s => s.userId === user.id)
+                    .map(({ createdAt, expiresAt, stepUpAt }) => ({ createdAt, expiresAt, ...(stepUpAt && { stepUpAt }) }))
+            },
+            company: company && { id: company.id, name: company.name, role: this.teamRole(user) },
+            opportunities: this.all('opportunities').filter(o => mine(o, 'businessId')),
+            proposals: this.all('proposals').filter(p => mine(p, 'repId')),
+            contracts,
+            disputes: this.all('disputes').filter(d => mine(d, 'raisedBy') || contracts.some(c => c.id === d.contractId)),
+            messages: this.all('messages').filter(m => mine(m, 'fromId', 'toId')),
+            invitationsSent: this.all('invitations').filter(i => mine(i, 'invitedBy')).map(i => this.invitationView(i)),
+            savedSearches: this.all('savedSearches').filter(s => mine(s, 'userId')),
+            notifications: this.all('notifications').filter(n => mine(n, 'userId')),
+            // Matched like anonymise() does, so the export lists every mail deletion erases
+            emails: this.all('mail').filter(m => String(m.to).toLowerCase() === email).map(({ link: _link, ...mail }) => mail)
+        };
+    }
+
+    /**
+     * Carry out deletions whose grace period is over. Shared records keep the
+     * user's id so the other party's history still adds up; the account
+     * itself becomes a "Deleted user" with no personal fields.
+     */
+    purgeDueDeletions() {
+        const now = new Date();
+        this.all('users')
+            .filter(u => u.deletion && new Date(u.deletion.effectiveAt) <= now)
+            .forEach(user => this.anonymise(user));
+    }
+
+    anonymise(user) {
+        const { id } = user;
+        const email = String(user.email).toLowerCase();
+
+        const company = this.companyFor(user);
+        if (company) {
+            const members = company.members.filter(m => m.userId !== id);
+            if (members.length) this.patch('companies', company.id, { members });
+            else this.remove('companies', company.id);
+        }
+        // Nobody is left to run what a one-person business posted
+        if (!company || company.members.length === 1) {
+            this.store.set('opportunities', this.all('opportunities').map(o =>
+                o.businessId === id && o.status === 'open' ? { ...o, status: 'closed', updatedAt: nowISO() } : o));
+        }
+        this.store.set('proposals', this.all('proposals').map(p => p.repId !== id ? p : {
+            ...p,
+            cover: '',
+            attachments: [],
+            status: p.status === 'pending' ? 'withdrawn' : p.status,
+            updatedAt: nowISO()
+        }));
+        this.store.set('messages', this.all('messages').map(m =>
+            m.fromId === id && m.attachments?.length ? { ...m, attachments: [] } : m));
+        this.store.set('invitations', this.all('invitations').filter(i => i.email !== email));
+
+        ['sessions', 'authTokens', 'twoFactor', 'savedSearches', 'notifications'].forEach(collection =>
+            this.store.set(collection, this.all(collection).filter(row => row.userId !== id)));
+        this.store.set('mail', this.all('mail').filter(m => String(m.to).toLowerCase() !== email));
+        this.clearLoginThrottle(this.loginThrottleKeys(email, {})[0]);
+
+        const placeholder = `deleted-${id}@rep-link.invalid`;
+        // The moderation history stays, but no longer names the person
+        this.store.set('auditLog', this.all('auditLog').map(entry => {
+            const named = String(entry.details?.email).toLowerCase() === email;
+            if (!named && entry.actorId !== id) return entry;
+            return {
+                ...entry,
+                ...(entry.actorId === id && { actorName: DELETED_USER_NAME }),
+                ...(named && { details: { ...entry.details, email: placeholder } })
+            };
+        }));
+
+        const deletedAt = nowISO();
+        this.store.set('users', this.all('users').map(u => u.id !== id ? u : {
+            id,
+            role: u.role,
+            name: DELETED_USER_NAME,
+            email: placeholder,
+            deleted: true,
+            deletedAt,
+            createdAt: u.createdAt
+        }));
+        console.info(`[mockBackend] deleted account ${id}`);
+    }
+
+    // ---------------------------------------------------------------------
+    // Saved searches and alerts
+    // ---------------------------------------------------------------------
+
+    /**
+     * The opportunities page with a saved search applied; `saved` tells the
+     * page to mark its matches as seen
+     */
+    savedSearchLink(saved) {
+        const query = searchQueryString(saved.search);
+        return `${MAIL_LINKS.opportunities}?${query ? `${query}&` : ''}saved=${encodeURIComponent(saved.id)}`;
+    }
+
+    /**
+     * A saved search as the client sees it: a readable summary, its link, and
+     * how many open opportunities matching it went live since it was last opened.
+     * Opportunities from before publishedAt existed count from when they were posted.
+     */
+    savedSearchView(saved) {
+        const since = new Date(saved.lastSeenAt);
+        const fresh = this.all('opportunities')
+            .filter(o => o.status === 'open' && new Date(o.publishedAt || o.createdAt) > since);
+        return {
+            ...saved,
+            summary: describeSearch(saved.search),
+            link: this.savedSearchLink(saved),
+            newCount: matchOpportunities(fresh, saved.search).length
+        };
+    }
+
+    /**
+     * Alert reps whose saved searches match a newly published opportunity:
+     * one notification and one email per rep, however many of their searches
+     * match. Suspended and deleted accounts are skipped.
+     */
+    notifySavedSearches(opportunity) {
+        const users = this.all('users');
+        const alerted = new Set();
+        this.all('savedSearches')
+            .filter(saved => saved.alerts)
+            .forEach(saved => {
+                const user = users.find(u => u.id === saved.userId);
+                if (!user || user.deleted || user.suspended || alerted.has(user.id)) return;
+                if (matchOpportunities([opportunity], saved.search).length === 0) return;
+                alerted.add(user.id);
+
+                const link = this.savedSearchLink(saved);
+                const title = `New match for "${saved.name}"`;
+                const body = `${opportunity.title} from ${opportunity.company}`;
+                this.insert('notifications', {
+                    userId: user.id,
+                    kind: 'saved_search_match',
+                    title,
+                    body,
+                    link,
+                    savedSearchId: saved.id,
+                    opportunityId: opportunity.id,
+                    read: false
+                });
+                this.sendMail({
+                    to: user.email,
+                    subject: `${title} on Rep-Link`,
+                    text: `Hi ${user.name},\n\nA new opportunity matches your saved search "${saved.name}" (${describeSearch(saved.search)}):\n\n${body}\n\nYou can turn these alerts off from your dashboard.`,
+                    link
+                });
+            });
+        return alerted.size;
+    }
+
+    // ---------------------------------------------------------------------
+    // Routes
+    // ---------------------------------------------------------------------
+
+    registerRoutes() {
+        this.registerAuthRoutes();
+        this.registerTwoFactorRoutes();
+        this.registerAccountRoutes();
+        this.registerTeamRoutes();
+        this.registerPrivacyRoutes();
+        this.registerSingpassRoutes();
+        this.registerOpportunityRoutes();
+        this.registerSavedSearchRoutes();
+        this.registerNotificationRoutes();
+        if (this.devMail) this.registerDevRoutes();
+        this.registerProposalRoutes();
+        this.registerContractRoutes();
+        this.registerMessageRoutes();
+        this.registerDisputeRoutes();
+        this.registerAdminRoutes();
+
+        // Plain CRUD for every collection, after the specific routes so they win
+        Object.keys(SEEDS).forEach(collection => this.registerCrud(collection));
+    }
+
+    registerCrud(collection) {
+        // User records never leave the backend with their credentials attached,
+        // and only the user themselves or an admin sees the personal fields
+        const projection = async (headers) => {
+            if (collection !== 'users') return (row) => row;
+            const viewer = await this.currentUser(headers);
+            return (row) => viewer && (viewer.role === 'admin' || viewer.id === row.id) ? publicUser(row) : directoryUser(row);
+        };
+        // Private collections list only the rows that involve the caller
+        const reader = PRIVATE_READERS[collection];
+        const readable = async (headers) => {
+            if (!reader) return () => true;
+            const user = await this.requireUser(headers);
+            return user.role === 'admin' ? () => true : (row) => reader.call(this, user, row);
+        };
+        const list = async ({ query, headers }) => {
+            const out = await projection(headers);
+            // Filtered after projecting, so hidden fields can't be probed with ?nric=…
+            return this.where(this.all(collection).filter(await readable(headers)).map(row => out(row)), query);
+        };
+        const get = async ({ params, headers }) => {
+            const row = this.find(collection, params.id);
+            if (!(await readable(headers))(row)) throw fail(404, `${collection} ${params.id} not found`);
+            return (await projection(headers))(row);
+        };
+
+        this.on('GET', `${collection}`, list)
+            .on('GET', `${collection}/list`, list)
+            .on('GET', `${collection}/get/:id`, get)
+            .on('GET', `${collection}/:id`, get);
+
+        // Accounts, contracts, proposals and messages change only through
+        // their own routes, which check who is asking; plain writes to the
+        // rest are for admins
+        if (OWN_ROUTES.includes(collection)) return;
+        const admin = (handler) => async (request) => {
+            await this.requireRole(request.headers, 'admin');
+            return handler(request);
+        };
+        const create = admin(({ body }) => this.insert(collection, body));
+        const update = admin(({ params, body }) => this.patch(collection, params.id, body));
+        const remove = admin(({ params }) => this.remove(collection, params.id));
+
+        this.on('POST', `${collection}`, create)
+            .on('POST', `${collection}/create`, create)
+            .on('PUT', `${collection}/update/:id`, update)
+            .on('PATCH', `${collection}/update/:id`, update)
+            .on('PUT', `${collection}/:id`, update)
+            .on('PATCH', `${collection}/:id`, update)
+            .on('DELETE', `${collection}/delete/:id`, remove)
+            .on('DELETE', `${collection}/:id`, remove);
+    }
+
+    registerAuthRoutes() {
+        // One answer for unknown emails and wrong passwords, so the form
+        // can't be used to find out who is registered
+        this.on('POST', 'auth/login', async ({ body, headers }) => {
+            const email = String(body.email || '').trim().toLowerCase();
+            const keys = this.loginThrottleKeys(email, headers);
+            this.checkLoginThrottle(keys);
+
+            const user = this.all('users').find(u => String(u.email).toLowerCase() === email);
+            // Unknown emails cost a hash check too, so timing doesn't tell them apart
+            this.dummyHash ??= await hashPassword(randomSecret());
+            if (!await verifyPassword(body.password, user?.passwordHash || this.dummyHash) || !user) {
+                const { retryAfter, locked } = this.recordLoginFailure(keys);
+                if (locked) {
+                    if (user) await this.sendUnlockMail(user);
+                    throw Object.assign(fail(429, LOGIN_LOCKED_MESSAGE, 'login_locked'), { retryAfter });
+                }
+                throw Object.assign(fail(401, LOGIN_FAILED_MESSAGE, 'invalid_credentials'), retryAfter ? { retryAfter } : {});
+            }
+            this.clearLoginThrottle(keys[0]);
+            this.requireActive(user);
+            // The password alone only earns a challenge to answer with a code
+            if (user.twoFactorEnabled) {
+                const exp = Math.floor(Date.now() / 1000) + TWO_FACTOR_CHALLENGE_TTL_S;
+                const challenge = await signToken({ typ: '2fa-challenge', sub: user.id, exp }, this.twoFactorSecret());
+                return { twoFactorRequired: true, challenge, expiresAt: new Date(exp * 1000).toISOString() };
+            }
+            const session = await this.startSession(user);
+            return this.twoFactorRequired(user) ? { ...session, twoFactorSetupRequired: true } : session;
+        });
+
+        // Only known fields are taken from the body; the password is kept as a hash
+        this.on('POST', 'auth/register', async ({ body }) => {
+            const email = String(body.email || '').trim().toLowerCase();
+            const password = String(body.password || '');
+            if (!email || !password) throw fail(400, 'Email and password are required');
+            if (password.length < MIN_PASSWORD_LENGTH) throw fail(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+            if (this.all('users').some(u => String(u.email).toLowerCase() === email)) {
+                throw fail(409, 'An account with this email already exists', 'account_exists');
+            }
+            const link = body.singpassTicket ? await this.readSingpassLink(body.singpassTicket) : null;
+
+            const role = body.role === 'business' ? 'business' : 'rep';
+            const text = (value) => String(value ?? '').trim();
+            const profile = Object.fromEntries(PROFILE_FIELDS[role]
+                .map(field => [field, text(body[field])])
+                .filter(([, value]) => value));
+            Object.entries(profile).forEach(([field, value]) => {
+                const [isValid, message] = PROFILE_CHECKS[field] || [];
+                if (isValid && !isValid(value)) throw fail(400, message);
+            });
+            if (role === 'rep' && text(body.bankAccount) && !isValidBankAccount(text(body.bankAccount))) {
+                throw fail(400, 'Bank account number does not match the bank');
+            }
+            const user = this.insert('users', {
+                id: `u-${role}-${Date.now().toString(36)}`,
+                email,
+                role,
+                name: text(body.name || body.fullName) || email,
+                ...(text(body.phone) && { phone: text(body.phone) }),
+                ...(role === 'business' && text(body.company) && { company: text(body.company) }),
+                ...(role === 'rep' && text(body.bankAccount) && { bankAccount: text(body.bankAccount) }),
+                profile,
+                passwordHash: await hashPassword(password),
+                emailVerified: false,
+                ...(link ? { singpassLinked: true, singpassSub: link.sub } : {})
+            });
+            if (role === 'business') this.createCompany(user);
+            await this.sendVerificationMail(user);
+            return this.startSession(user);
+        });
+
+        // Same answer whether or not the email has an account, so the form
+        // can't be used to find out who is registered
+        this.on('POST', 'auth/password/forgot', async ({ body }) => {
+            const email = String(body.email || '').trim().toLowerCase();
+            if (!email) throw fail(400, 'Email is required');
+            const user = this.all('users').find(u => String(u.email).toLowerCase() === email);
+            if (user) {
+                const token = await this.issueOneTimeToken('reset', user.id, RESET_TTL_MS);
+                this.sendMail({
+                    to: user.email,
+                    subject: 'Reset your Rep-Link password',
+                    text: `Hi ${user.name},\n\nSomeone asked to reset the password for this account. If it was you, choose a new password with the link below. It works once and expires in 30 minutes.\n\nIf it wasn't you, ignore this email.`,
+                    link: `${MAIL_LINKS.reset}?token=${encodeURIComponent(token)}`
+                });
+            }
+            return { sent: true };
+        });
+
+        this.on('POST', 'auth/password/reset', async ({ body }) => {
+            if (String(body.password || '').length < MIN_PASSWORD_LENGTH) {
+                throw fail(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+            }
+            const user = await this.redeemOneTimeToken('reset', body.token);
+            this.patch('users', user.id, { passwordHash: await hashPassword(body.password) });
+            // Whoever knew the old password is signed out everywhere
+            this.store.set('sessions', this.all('sessions').filter(s => s.userId !== user.id));
+            this.sendMail({
+                to: user.email,
+                subject: 'Your Rep-Link password was changed',
+                text: `Hi ${user.name},\n\nYour password was just changed and all devices were signed out. If this wasn't you, reset your password again and contact support.`
+            });
+            return { reset: true };
+        });
+
+        // Emailed when an account locks: lifts the lock early
+        this.on('POST', 'auth/unlock', async ({ body }) => {
+            const user = await this.redeemOneTimeToken('unlock', body.token);
+            this.clearLoginThrottle(this.loginThrottleKeys(String(user.email).toLowerCase(), {})[0]);
+            return { unlocked: true, email: user.email };
+        });
+
+        this.on('POST', 'auth/email/verify', async ({ body }) => {
+            const user = await this.redeemOneTimeToken('verify', body.token);
+            return publicUser(this.patch('users', user.id, { emailVerified: true, emailVerifiedAt: nowISO() }));
+        });
+
+        this.on('POST', 'auth/email/resend', async ({ headers }) => {
+            const user = await this.requireUser(headers);
+            if (user.emailVerified !== false) return { sent: false, alreadyVerified: true };
+            await this.sendVerificationMail(user);
+            return { sent: true };
+        });
+
+        // Relying-party callback: exchange the code server-side (as production
+        // must), verify the ID token, then sign in or hand back MyInfo for signup
+        this.on('POST', 'auth/singpass', async ({ body }) => {
+            const tokens = await this.exchangeSingpassCode({
+                grant_type: 'authorization_code',
+                client_id: SINGPASS_CLIENT_ID,
+                code: body.code,
+                redirect_uri: body.redirect_uri,
+                code_verifier: body.code_verifier
+            });
+            const claims = await readToken(tokens.id_token, this.singpassSecret());
+            if (!claims || claims.iss !== SINGPASS_ISSUER || claims.aud !== SINGPASS_CLIENT_ID || claims.nonce !== body.nonce) {
+                throw fail(401, 'Singpass ID token failed verification');
+            }
+            const linked = this.all('users').find(u => u.singpassSub === claims.sub);
+
+            if (body.purpose === 'login') {
+                if (!linked) throw fail(404, 'No Rep-Link account is linked to this Singpass account yet. Sign up first.');
+                // Singpass sign-in is multi-factor already, so no TOTP prompt here;
+                // sensitive actions still ask for a code (step-up)
+                return this.startSession(linked);
+            }
+            if (linked) throw fail(409, 'This Singpass account is already linked to a Rep-Link account. Log in instead.');
+
+            const myinfo = await this.singpassUserinfo(tokens.access_token);
+            const exp = Math.floor(Date.now() / 1000) + SINGPASS_LINK_TTL_S;
+            return {
+                profile: profileFromMyInfo(myinfo, body.role === 'business' ? 'business' : 'rep'),
+                myinfo,
+                // Registration trusts this, not the profile fields the browser sends back
+                singpassTicket: await signToken({ typ: 'singpass-link', sub: claims.sub, exp }, this.singpassSecret()),
+                singpassTicketExpiresAt: new Date(exp * 1000).toISOString()
+            };
+        });
+
+        this.on('POST', 'auth/logout', async ({ headers }) => {
+            const session = await this.sessionFor(headers);
+            if (session) this.store.set('sessions', this.all('sessions').filter(s => s.id !== session.id));
+            return { loggedOut: true };
+        });
+
+        this.on('POST', 'auth/refresh', async ({ headers }) => {
+            const session = await this.sessionFor(headers);
+            const user = session && this.all('users').find(u => u.id === session.userId);
+            if (!user) throw fail(401, 'Session expired');
+            return this.extendSession(session, user);
+        });
+
+        this.on('POST', 'auth/verify', async ({ headers }) => {
+            const session = await this.sessionFor(headers);
+            const user = session && this.all('users').find(u => u.id === session.userId);
+            return user ? { valid: true, user: this.sessionUser(user), expiresAt: session.expiresAt } : { valid: false };
+        });
+    }
+
+    registerTwoFactorRoutes() {
+        this.on('GET', 'auth/2fa', async ({ headers }) => {
+            const user = await this.requireUser(headers);
+            const record = this.twoFactorRecord(user.id);
+            return {
+                available: user.role === 'business',
+                enabled: !!user.twoFactorEnabled,
+                required: this.twoFactorRequired(user),
+                enabledAt: record?.enabledAt || null,
+                recoveryCodesLeft: record?.enabledAt ? record.recoveryHashes.length : 0
+            };
+        });
+
+        // Enrolment: a pending secret for the QR code, switched on once the
+        // user proves their app produces matching codes
+        this.on('POST', 'auth/2fa/setup', async ({ headers }) => {
+            const user = await this.requireUser(headers);
+            if (user.role !== 'business') throw fail(403, 'Two-factor authentication is available for business accounts');
+            if (user.twoFactorEnabled) throw fail(409, 'Two-factor authentication is already on');
+            const secret = totpSecret();
+            this.saveTwoFactor({ id: newId('twoFactor'), userId: user.id, pendingSecret: secret, createdAt: nowISO() });
+            return { secret, otpauthUri: otpauthUri({ secret, issuer: TWO_FACTOR_ISSUER, account: user.email }) };
+        });
+
+        this.on('POST', 'auth/2fa/enable', async ({ body, headers }) => {
+            const session = await this.sessionFor(headers);
+            const user = session && this.all('users').find(u => u.id === session.userId);
+            if (!user) throw fail(401, 'Not signed in');
+            const record = this.twoFactorRecord(user.id);
+            if (!record?.pendingSecret) throw fail(400, 'Start two-factor setup first');
+            const step = await verifyTotp(record.pendingSecret, body.code);
+            if (step === null) throw fail(400, "That code doesn't match. Check the time on your device and try again.", 'invalid_code');
+
+            const { codes, hashes } = await this.newRecoveryCodes();
+            const enabledAt = nowISO();
+            this.saveTwoFactor({
+                id: record.id,
+                userId: user.id,
+                secret: record.pendingSecret,
+                recoveryHashes: hashes,
+                lastStep: step,
+                failedAttempts: 0,
+                createdAt: record.createdAt,
+                enabledAt
+            });
+            const updated = this.patch('users', user.id, { twoFactorEnabled: true });
+            // Just proved possession of the device
+            this.updateSession(session.id, { stepUpAt: enabledAt });
+            this.sendMail({
+                to: user.email,
+                subject: 'Two-factor authentication is on',
+                text: `Hi ${user.name},\n\nSigning in to Rep-Link and approving payments now need a code from your authenticator app. Keep your recovery codes somewhere safe. If this wasn't you, contact support.`
+            });
+            return { user: publicUser(updated), recoveryCodes: codes };
+        });
+
+        this.on('POST', 'auth/2fa/disable', async ({ body, headers }) => {
+            const user = await this.requireUser(headers);
+            if (this.twoFactorRequired(user)) {
+                throw fail(403, 'Your administrator requires two-factor authentication for business accounts');
+            }
+            await this.checkSecondFactor(user, body.code);
+            this.removeTwoFactor(user.id);
+            const updated = this.patch('users', user.id, { twoFactorEnabled: false });
+            this.sendMail({
+                to: user.email,
+                subject: 'Two-factor authentication was turned off',
+                text: `Hi ${user.name},\n\nTwo-factor authentication was turned off for your account. If this wasn't you, reset your password and contact support.`
+            });
+            return { user: publicUser(updated) };
+        });
+
+        this.on('POST', 'auth/2fa/recovery-codes', async ({ body, headers }) => {
+            const user = await this.requireUser(headers);
+            await this.checkSecondFactor(user, body.code);
+            const { codes, hashes } = await this.newRecoveryCodes();
+            this.saveTwoFactor({ ...this.twoFactorRecord(user.id), recoveryHashes: hashes });
+            return { recoveryCodes: codes };
+        });
+
+        // Second login step: the challenge from auth/login plus a code
+        this.on('POST', 'auth/2fa/login', async ({ body }) => {
+            const claims = await readToken(body.challenge, this.twoFactorSecret());
+            const user = claims?.typ === '2fa-challenge' && this.all('users').find(u => u.id === claims.sub);
+            if (!user) throw fail(401, 'Your sign-in expired. Enter your password again.', 'challenge_expired');
+            const { method, recoveryCodesLeft } = await this.checkSecondFactor(user, body.code);
+            const session = await this.startSession(user, { stepUpAt: nowISO() });
+            return method === 'recovery' ? { ...session, recoveryCodesLeft } : session;
+        });
+
+        this.on('POST', 'auth/2fa/step-up', async ({ body, headers }) => {
+            const session = await this.sessionFor(headers);
+            const user = session && this.all('users').find(u => u.id === session.userId);
+            if (!user) throw fail(401, 'Not signed in');
+            const { recoveryCodesLeft } = await this.checkSecondFactor(user, body.code);
+            const stepUpAt = nowISO();
+            this.updateSession(session.id, { stepUpAt });
+            return { stepUpUntil: new Date(Date.now() + STEP_UP_TTL_MS).toISOString(), recoveryCodesLeft };
+        });
+
+        this.on('GET', 'admin/security-policy', async ({ headers }) => {
+            await this.requireRole(headers, 'admin');
+            return { requireBusinessTwoFactor: false, ...this.store.get('securityPolicy'), enforcedByServer: this.requireTwoFactor !== null };
+        });
+
+        this.on('PUT', 'admin/security-policy', async ({ body, headers }) => {
+            const admin = await this.requireRole(headers, 'admin');
+            const policy = { ...this.store.get('securityPolicy'), requireBusinessTwoFactor: !!body.requireBusinessTwoFactor };
+            this.store.set('securityPolicy', policy);
+            this.audit(admin, 'policy.update', { type: 'securityPolicy', id: 'securityPolicy' }, policy);
+            return policy;
+        });
+    }
+
+    // Account settings that pay out money sit behind step-up
+    registerAccountRoutes() {
+        this.on('PUT', 'account/bank', async ({ body, headers }) => {
+            const member = await this.requireUser(headers);
+            if (member.role === 'business') this.requireTeamPermission(member, 'billing.manage');
+            const user = await this.requireStepUp(headers, 'changing bank details');
+            const bankAccount = String(body.bankAccount ?? '').trim();
+            if (bankAccount && !isValidBankAccount(bankAccount)) throw fail(400, 'Bank account number does not match the bank');
+            const updated = this.patch('users', user.id, { bankAccount });
+            this.sendMail({
+                to: user.email,
+                subject: 'Your Rep-Link bank details were changed',
+                text: `Hi ${user.name},\n\nThe bank account for payouts on your Rep-Link account was just changed. If this wasn't you, contact support immediately.`
+            });
+            return publicUser(updated);
+        });
+    }
+
+    /**
+     * PDPA access and erasure: a user downloads everything held about them,
+     * and can ask for their account to be deleted after a grace period
+     */
+    registerPrivacyRoutes() {
+        this.on('GET', 'account/export', async ({ headers }) => this.exportFor(await this.requireUser(headers)));
+
+        this.on('POST', 'account/deletion', async ({ body, headers }) => {
+            const user = await this.requireUser(headers);
+            if (user.role === 'admin') throw fail(403, 'Admin accounts are removed by another admin');
+            if (user.deletion) return { deletion: user.deletion };
+            if (!await verifyPassword(body.password, user.passwordHash)) throw fail(401, 'Incorrect password');
+            const company = this.companyFor(user);
+            if (company && company.members.length > 1 && this.teamRole(user) === 'owner'
+                && company.members.filter(m => m.role === 'owner').length === 1) {
+                throw fail(409, `You're the only owner of ${company.name}. Make someone else an owner before deleting your account.`);
+            }
+
+            const requestedAt = nowISO();
+            const deletion = { requestedAt, effectiveAt: addDays(requestedAt, DELETION_GRACE_DAYS) };
+            this.patch('users', user.id, { deletion });
+            const on = new Date(deletion.effectiveAt).toLocaleDateString('en-SG', { dateStyle: 'long' });
+            this.sendMail({
+                to: user.email,
+                subject: 'Your Rep-Link account will be deleted',
+                text: `Hi ${user.name},\n\nWe received a request to delete your Rep-Link account. It will be deleted on ${on}. Until then you can sign in and cancel from your profile page.\n\nAfter that your personal details are erased. Contracts and messages you were part of stay with the other party, under "Deleted user".`,
+                link: user.role === 'business' ? MAIL_LINKS.businessProfile : MAIL_LINKS.repProfile
+            });
+            return { deletion };
+        });
+
+        this.on('DELETE', 'account/deletion', async ({ headers }) => {
+            const user = await this.requireUser(headers);
+            if (!user.deletion) return { deletion: null };
+            this.patch('users', user.id, { deletion: null });
+            this.sendMail({
+                to: user.email,
+                subject: 'Your Rep-Link account deletion was cancelled',
+                text: `Hi ${user.name},\n\nYour account will not be deleted. If you didn't cancel this yourself, change your password.`
+            });
+            return { deletion: null };
+        });
+    }
+
+    /**
+     * Business teams: members, their roles and emailed invitations. Owners
+     * manage the team; anyone may leave it unless they are the last owner.
+     */
+    registerTeamRoutes() {
+        const member = async (headers) => {
+            const user = await this.requireRole(headers, 'business');
+            return { user, company: this.companyFor(user) };
+        };
+        const manager = async (headers) => {
+            const { user, company } = await member(headers);
+            this.requireTeamPermission(user, 'team.manage');
+            return { user, company };
+        };
+        const owners = (members) => members.filter(m => m.role === 'owner').length;
+        const membership = (company, userId) => {
+            const found = company.members.find(m => m.userId === userId);
+            if (!found) throw fail(404, 'No such team member');
+            return found;
+        };
+        const join = (company, user, role) => {
+            const members = [...company.members.filter(m => m.userId !== user.id), { userId: user.id, role, joinedAt: nowISO() }];
+            this.patch('companies', company.id, { members });
+            return this.patch('users', user.id, { companyId: company.id, company: company.name });
+        };
+
+        this.on('GET', 'team', async ({ headers }) => {
+            const { user, company } = await member(headers);
+            const users = this.all('users');
+            const role = this.teamRole(user);
+            return {
+                company: { id: company.id, name: company.name, uen: company.uen || '' },
+                role,
+                members: company.members.map(m => {
+                    const account = users.find(u => u.id === m.userId);
+                    return { ...m, name: account?.name || 'Former member', email: account?.email || '' };
+                }),
+                // Only the people who manage the team see who has been invited
+                invitations: teamCan(role, 'team.manage')
+                    ? this.all('invitations').filter(i => i.companyId === company.id && i.status === 'pending').map(i => this.invitationView(i))
+                    : []
+            };
+        });
+
+        this.on('POST', 'team/invitations', async ({ body, headers }) => {
+            const { user, company } = await manager(headers);
+            const email = String(body.email || '').trim().toLowerCase();
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw fail(400, 'Enter a valid email address');
+            if (!isTeamRole(body.role)) throw fail(400, 'Choose a role for the new member');
+            const account = this.all('users').find(u => String(u.email).toLowerCase() === email);
+            if (account && company.members.some(m => m.userId === account.id)) throw fail(409, 'That person is already on your team');
+            if (account && account.role !== 'business') throw fail(409, 'That email belongs to a rep account. Invite a work email instead.');
+
+            // A new invitation replaces any earlier one to the same address
+            this.store.set('invitations', this.all('invitations').map(i =>
+                i.companyId === company.id && i.email === email && i.status === 'pending' ? { ...i, status: 'revoked', updatedAt: nowISO() } : i));
+            const token = randomSecret();
+            const invitation = this.insert('invitations', {
+                companyId: company.id,
+                email,
+                role: body.role,
+                invitedBy: user.id,
+                tokenHash: await digest(token),
+                status: 'pending',
+                expiresAt: new Date(Date.now() + INVITE_TTL_MS).toISOString()
+            });
+            this.sendMail({
+                to: email,
+                subject: `${user.name} invited you to ${company.name} on Rep-Link`,
+                text: `Hi,\n\n${user.name} invited you to join ${company.name} on Rep-Link as ${teamRoleLabel(body.role)}. Accept with the link below; it expires in 7 days.\n\nIf you weren't expecting this, ignore this email.`,
+                link: `${MAIL_LINKS.invite}?token=${encodeURIComponent(token)}`
+            });
+            return this.invitationView(invitation);
+        });
+
+        this.on('DELETE', 'team/invitations/:id', async ({ params, headers }) => {
+            const { company } = await manager(headers);
+            const invitation = this.find('invitations', params.id);
+            if (invitation.companyId !== company.id) throw fail(404, `invitations ${params.id} not found`);
+            if (invitation.status !== 'pending') throw fail(409, 'This invitation has already been used');
+            return this.invitationView(this.patch('invitations', invitation.id, { status: 'revoked' }));
+        });
+
+        this.on('PUT', 'team/members/:userId', async ({ params, body, headers }) => {
+            const { user, company } = await manager(headers);
+            if (!isTeamRole(body.role)) throw fail(400, 'Choose a role');
+            const current = membership(company, params.userId);
+            const members = company.members.map(m => m === current ? { ...m, role: body.role } : m);
+            if (!owners(members)) throw fail(409, 'A team needs at least one owner');
+            const updated = this.patch('companies', company.id, { members });
+            const account = this.all('users').find(u => u.id === params.userId);
+            if (account && account.id !== user.id) {
+                this.sendMail({
+                    to: account.email,
+                    subject: `Your role at ${company.name} changed`,
+                    text: `Hi ${account.name},\n\n${user.name} changed your role at ${company.name} on Rep-Link to ${teamRoleLabel(body.role)}.`,
+                    link: MAIL_LINKS.team
+                });
+            }
+            return updated;
+        });
+
+        this.on('DELETE', 'team/members/:userId', async ({ params, headers }) => {
+            const { user, company } = await member(headers);
+            const leaving = params.userId === user.id;
+            if (!leaving) this.requireTeamPermission(user, 'team.manage');
+            const current = membership(company, params.userId);
+            const members = company.members.filter(m => m !== current);
+            if (!owners(members)) throw fail(409, 'A team needs at least one owner. Make someone else an owner first.');
+            const updated = this.patch('companies', company.id, { members });
+            const account = this.all('users').find(u => u.id === params.userId);
+            // Out of the team, the account runs a company of its own again
+            if (account) this.createCompany(account, account.name);
+            if (account && !leaving) {
+                // Signed out so the removal takes effect at once
+                this.revokeSessions(account.id);
+                this.sendMail({
+                    to: account.email,
+                    subject: `You were removed from ${company.name}`,
+                    text: `Hi ${account.name},\n\n${user.name} removed you from ${company.name} on Rep-Link. Your account stays open but no longer acts for the company.`
+                });
+            }
+            return updated;
+        });
+
+        // Public: what the accept page shows before anyone signs in
+        this.on('GET', 'team/invitations/lookup', async ({ query }) => {
+            const invitation = await this.invitationFor(query.token);
+            const company = this.find('companies', invitation.companyId);
+            const inviter = this.all('users').find(u => u.id === invitation.invitedBy);
+            return {
+                company: company.name,
+                email: invitation.email,
+                role: invitation.role,
+                invitedBy: inviter?.name || company.name,
+                expiresAt: invitation.expiresAt,
+                accountExists: this.all('users').some(u => String(u.email).toLowerCase() === invitation.email)
+            };
+        });
+
+        // Signed in as the invited address, or new to Rep-Link with a name and
+        // password. Opening the emailed link proves the address, so new
+        // accounts start verified.
+        this.on('POST', 'team/invitations/accept', async ({ body, headers }) => {
+            const invitation = await this.invitationFor(body.token);
+            const company = this.find('companies', invitation.companyId);
+            let user = await this.currentUser(headers);
+
+            if (user) {
+                if (String(user.email).toLowerCase() !== invitation.email) {
+                    throw fail(403, `This invitation was sent to ${invitation.email}. Sign in with that account to accept it.`);
+                }
+                if (user.role !== 'business') throw fail(409, 'Only business accounts can join a company');
+                const previous = this.companyFor(user);
+                if (previous && previous.id !== company.id) {
+                    if (previous.members.length > 1) {
+                        throw fail(409, `You're on the ${previous.name} team. Leave it before joining another.`);
+                    }
+                    this.remove('companies', previous.id);
+                }
+            } else {
+                if (this.all('users').some(u => String(u.email).toLowerCase() === invitation.email)) {
+                    throw fail(409, 'An account with this email already exists. Log in to accept the invitation.', 'account_exists');
+                }
+                const password = String(body.password || '');
+                if (password.length < MIN_PASSWORD_LENGTH) throw fail(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+                user = this.insert('users', {
+                    id: `u-business-${Date.now().toString(36)}`,
+                    email: invitation.email,
+                    role: 'business',
+                    name: String(body.name || '').trim() || invitation.email,
+                    profile: {},
+                    passwordHash: await hashPassword(password),
+                    emailVerified: true,
+                    emailVerifiedAt: nowISO()
+                });
+            }
+
+            user = join(company, user, invitation.role);
+            this.patch('invitations', invitation.id, { status: 'accepted', acceptedBy: user.id, acceptedAt: nowISO() });
+            const inviter = this.all('users').find(u => u.id === invitation.invitedBy);
+            if (inviter) {
+                this.sendMail({
+                    to: inviter.email,
+                    subject: `${user.name} joined ${company.name}`,
+                    text: `Hi ${inviter.name},\n\n${user.name} (${user.email}) accepted your invitation and joined ${company.name} as ${teamRoleLabel(invitation.role)}.`,
+                    link: MAIL_LINKS.team
+                });
+            }
+            return this.startSession(user);
+        });
+    }
+
+    // ---------------------------------------------------------------------
+    // Singpass stand-in: the identity provider side of the OIDC flow
+    // ---------------------------------------------------------------------
+
+    registerSingpassRoutes() {
+        // Test identities offered on the consent page in place of a real Singpass login
+        this.on('GET', 'singpass/personas', async () =>
+            (await this.singpassPersonas()).map(({ id, label, role }) => ({ id, label, role })));
+
+        this.on('POST', 'singpass/authorize', async ({ body }) => {
+            this.checkSingpassClient(body.client_id, body.redirect_uri);
+            if (body.response_type !== 'code') throw fail(400, 'unsupported_response_type');
+            if (body.code_challenge_method !== 'S256' || !body.code_challenge) throw fail(400, 'PKCE with S256 is required');
+            if (!body.state || !body.nonce) throw fail(400, 'state and nonce are required');
+            const persona = (await this.singpassPersonas()).find(p => p.id === body.persona);
+            if (!persona) throw fail(404, 'Unknown test persona');
+
+            const now = Date.now();
+            const grant = {
+                code: randomSecret(),
+                clientId: body.client_id,
+                redirectUri: body.redirect_uri,
+                codeChallenge: body.code_challenge,
+                nonce: body.nonce,
+                scope: String(body.scope || 'openid'),
+                personaId: persona.id,
+                expiresAt: new Date(now + SINGPASS_CODE_TTL_MS).toISOString()
+            };
+            const live = this.all('singpassGrants').filter(g => new Date(g.expiresAt) > new Date(now));
+            this.store.set('singpassGrants', [...live, grant]);
+
+            const redirect = new URL(body.redirect_uri);
+            redirect.searchParams.set('code', grant.code);
+            redirect.searchParams.set('state', body.state);
+            return { redirect: redirect.href };
+        });
+
+        this.on('POST', 'singpass/token', ({ body }) => this.exchangeSingpassCode(body));
+        this.on('GET', 'singpass/userinfo', ({ headers }) => this.singpassUserinfo(bearerToken(headers)));
+    }
+
+    async singpassPersonas() {
+        return (await this.load(SINGPASS_PERSONAS)) || [];
+    }
+
+    // Kept apart from the session key so provider and app tokens never verify as each other
+    singpassSecret() {
+        return `${this.signingSecret()}:singpass`;
+    }
+
+    checkSingpassClient(clientId, redirectUri) {
+        if (clientId !== SINGPASS_CLIENT_ID) throw fail(400, 'invalid_client');
+        let url = null;
+        try { url = new URL(redirectUri); } catch { /* reported below */ }
+        if (!url || !/^https?:$/.test(url.protocol) || !url.pathname.endsWith(SINGPASS_CALLBACK_PATH) || url.search) {
+            throw fail(400, 'redirect_uri is not registered for this client');
+        }
+    }
+
+    async exchangeSingpassCode({ grant_type, code, redirect_uri, client_id, code_verifier }) {
+        if (grant_type !== 'authorization_code') throw fail(400, 'unsupported_grant_type');
+        const grants = this.all('singpassGrants');
+        const grant = grants.find(g => g.code === code);
+        // Spent even if the rest of the exchange fails, so a code can't be retried
+        if (grant) this.store.set('singpassGrants', grants.filter(g => g !== grant));
+        if (!grant || new Date(grant.expiresAt) <= new Date()) throw fail(400, 'invalid_grant: code expired or already used');
+        if (grant.clientId !== client_id || grant.redirectUri !== redirect_uri) {
+            throw fail(400, 'invalid_grant: client_id or redirect_uri does not match the authorization request');
+        }
+        if (!code_verifier || await pkceChallenge(code_verifier) !== grant.codeChallenge) {
+            throw fail(400, 'invalid_grant: code_verifier does not match code_challenge');
+        }
+
+        const persona = (await this.singpassPersonas()).find(p => p.id === grant.personaId);
+        if (!persona) throw fail(400, 'invalid_grant');
+        const iat = Math.floor(Date.now() / 1000);
+        const exp = iat + SINGPASS_TOKEN_TTL_S;
+        return {
+            token_type: 'Bearer',
+            expires_in: SINGPASS_TOKEN_TTL_S,
+            scope: grant.scope,
+            access_token: await signToken({ typ: 'singpass-access', sub: persona.sub, pid: persona.id, scope: grant.scope, exp }, this.singpassSecret()),
+            id_token: await signToken({ iss: SINGPASS_ISSUER, aud: client_id, sub: persona.sub, nonce: grant.nonce, iat, exp }, this.singpassSecret())
+        };
+    }
+
+    /**
+     * MyInfo for an access token, limited to the scopes the user consented to
+     */
+    async singpassUserinfo(accessToken) {
+        const claims = await readToken(accessToken, this.singpassSecret());
+        if (claims?.typ !== 'singpass-access') throw fail(401, 'invalid_token');
+        const persona = (await this.singpassPersonas()).find(p => p.id === claims.pid);
+        if (!persona) throw fail(401, 'invalid_token');
+
+        const scopes = claims.scope.split(' ');
+        const person = Object.fromEntries(Object.entries(persona.person).filter(([attr]) => scopes.includes(attr)));
+        const entity = persona.entity && Object.fromEntries(Object.entries(persona.entity)
+            .filter(([section]) => scopes.includes(`entity.${section}`)));
+        return entity && Object.keys(entity).length ? { sub: persona.sub, person, entity } : { sub: persona.sub, person };
+    }
+
+    async readSingpassLink(ticket) {
+        const link = await readToken(ticket, this.singpassSecret());
+        if (link?.typ !== 'singpass-link') throw fail(400, 'The Singpass link has expired. Link Singpass again.');
+        if (this.all('users').some(u => u.singpassSub === link.sub)) {
+            throw fail(409, 'This Singpass account is already linked to a Rep-Link account', 'singpass_linked');
+        }
+        return link;
+    }
+
+    // Local mail outbox for pages/dev-mail.html; a real deployment sends instead
+    registerDevRoutes() {
+        this.on('GET', 'dev/mail', ({ query }) => {
+            const to = String(query.to || '').trim().toLowerCase();
+            return this.all('mail')
+                .filter(mail => !to || String(mail.to).toLowerCase() === to)
+                .slice()
+                .reverse();
+        });
+        this.on('DELETE', 'dev/mail', () => {
+            this.store.set('mail', []);
+            return { cleared: true };
+        });
+    }
+
+    registerOpportunityRoutes() {
+        const create = async ({ body, headers }) => {
+            const user = await this.requireUser(headers);
+            if (user.role !== 'business') throw fail(403, 'Only business accounts can post opportunities');
+            this.requireVerified(user, 'posting opportunities');
+            this.requireTeamPermission(user, 'opportunities.post');
+            const { id, businessId, companyId, publishedAt, ...fields } = body;
+            const status = body.status || 'open';
+            const opportunity = this.insert('opportunities', {
+                ...fields,
+                businessId: user.id,
+                companyId: this.companyFor(user).id,
+                company: body.company || user.company || user.name,
+                status,
+                ...(status === 'open' && { publishedAt: nowISO() })
+            });
+            if (opportunity.publishedAt) this.notifySavedSearches(opportunity);
+            return opportunity;
+        };
+        this.on('POST', 'opportunities/create', create)
+            .on('POST', 'opportunities', create);
+
+        // Taken-down opportunities are hidden from everyone but the posting team and admins
+        const visibleTo = (user) => (o) => o.status !== 'removed' || user?.role === 'admin'
+            || (user && (o.businessId === user.id || (o.companyId && o.companyId === user.companyId)));
+        const list = async ({ query, headers }) =>
+            this.where(this.all('opportunities'), query).filter(visibleTo(await this.currentUser(headers)));
+        const get = async ({ params, headers }) => {
+            const opportunity = this.find('opportunities', params.id);
+            if (!visibleTo(await this.currentUser(headers))(opportunity)) throw fail(404, `opportunities ${params.id} not found`);
+            return opportunity;
+        };
+        // Only the posting team or a moderator edits an opportunity, and a
+        // moderator's edits go in the audit log. Taking down and putting back
+        // have their own admin routes. A draft opening for the first time is
+        // published, which sends saved-search alerts.
+        const update = async ({ params, body, headers }) => {
+            const user = await this.requireUser(headers);
+            const current = this.find('opportunities', params.id);
+            const moderator = user.role === 'admin';
+            if (!moderator) {
+                if (!this.actsForOpportunity(user, current)) throw fail(403, 'Only the business that posted this opportunity can change it');
+                this.requireTeamPermission(user, 'opportunities.post');
+            }
+            if (current.status === 'removed') throw fail(403, 'This opportunity was taken down by a moderator');
+            const { id, businessId, companyId, takedown, publishedAt, ...changes } = body;
+            if (changes.status === 'removed') throw fail(403, 'Only moderators can take opportunities down');
+            const publishing = changes.status === 'open' && current.status !== 'open' && !current.publishedAt;
+            const updated = this.patch('opportunities', current.id, {
+                ...changes,
+                ...(publishing && { publishedAt: nowISO() })
+            });
+            if (moderator) {
+                this.audit(user, 'opportunity.edit', { type: 'opportunity', id: current.id }, { title: current.title, fields: Object.keys(changes) });
+            }
+            if (publishing) this.notifySavedSearches(updated);
+            return updated;
+        };
+        this.on('GET', 'opportunities', list)
+            .on('GET', 'opportunities/list', list)
+            .on('GET', 'opportunities/get/:id', get)
+            .on('GET', 'opportunities/:id', get)
+            .on('PUT', 'opportunities/update/:id', update)
+            .on('PATCH', 'opportunities/update/:id', update)
+            .on('PUT', 'opportunities/:id', update)
+            .on('PATCH', 'opportunities/:id', update);
+    }
+
+    /**
+     * A rep's saved searches on the opportunities page. Listing them counts
+     * what is new since each was last opened; opening one marks it seen.
+     */
+    registerSavedSearchRoutes() {
+        const owned = async (headers, id) => {
+            const user = await this.requireRole(headers, 'rep');
+            const saved = this.find('savedSearches', id);
+            if (saved.userId !== user.id) throw fail(404, `savedSearches ${id} not found`);
+            return { user, saved };
+        };
+        const nameFor = (user, value, except = null) => {
+            const name = String(value ?? '').trim();
+            if (!name) throw fail(400, 'Give the search a name');
+            if (name.length > MAX_SEARCH_NAME_LENGTH) throw fail(400, `Keep the name to ${MAX_SEARCH_NAME_LENGTH} characters or fewer`);
+            const taken = this.all('savedSearches').some(s =>
+                s.userId === user.id && s.id !== except && s.name.toLowerCase() === name.toLowerCase());
+            if (taken) throw fail(409, `You already have a saved search called "${name}"`);
+            return name;
+        };
+
+        this.on('GET', 'saved-searches', async ({ headers }) => {
+            const user = await this.requireRole(headers, 'rep');
+            return this.all('savedSearches')
+                .filter(s => s.userId === user.id)
+                .map(s => this.savedSearchView(s));
+        });
+
+        this.on('POST', 'saved-searches', async ({ body, headers }) => {
+            const user = await this.requireRole(headers, 'rep');
+            const name = nameFor(user, body.name);
+            const search = normalizeSearch(body.search);
+            if (isEmptySearch(search)) throw fail(400, 'Search for something or pick a filter before saving');
+            if (this.all('savedSearches').filter(s => s.userId === user.id).length >= MAX_SAVED_SEARCHES) {
+                throw fail(409, `You can keep up to ${MAX_SAVED_SEARCHES} saved searches. Delete one first.`);
+            }
+            return this.savedSearchView(this.insert('savedSearches', {
+                userId: user.id,
+                name,
+                search,
+                alerts: body.alerts !== false,
+                lastSeenAt: nowISO()
+            }));
+        });
+
+        // Renaming and switching alerts; the search itself is saved anew instead
+        this.on('PATCH', 'saved-searches/:id', async ({ params, body, headers }) => {
+            const { user, saved } = await owned(headers, params.id);
+            const changes = {};
+            if (body.name !== undefined) changes.name = nameFor(user, body.name, saved.id);
+            if (body.alerts !== undefined) changes.alerts = !!body.alerts;
+            return this.savedSearchView(this.patch('savedSearches', saved.id, changes));
+        });
+
+        this.on('POST', 'saved-searches/:id/seen', async ({ params, headers }) => {
+            const { saved } = await owned(headers, params.id);
+            return this.savedSearchView(this.patch('savedSearches', saved.id, { lastSeenAt: nowISO() }));
+        });
+
+        this.on('DELETE', 'saved-searches/:id', async ({ params, headers }) => {
+            const { saved } = await owned(headers, params.id);
+            this.store.set('notifications', this.all('notifications').filter(n => n.savedSearchId !== saved.id));
+            return this.remove('savedSearches', saved.id);
+        });
+    }
+
+    /**
+     * In-app notifications for the signed-in user, newest first
+     */
+    registerNotificationRoutes() {
+        const mine = (user) => this.all('notifications').filter(n => n.userId === user.id);
+
+        this.on('GET', 'notifications', async ({ headers }) => {
+            const user = await this.requireUser(headers);
+            const notifications = mine(user).slice().reverse();
+            return { notifications, unreadCount: notifications.filter(n => !n.read).length };
+        });
+
+        this.on('POST', 'notifications/read-all', async ({ headers }) => {
+            const user = await this.requireUser(headers);
+            const now = nowISO();
+            this.store.set('notifications', this.all('notifications').map(n =>
+                n.userId === user.id && !n.read ? { ...n, read: true, updatedAt: now } : n));
+            return { unreadCount: 0 };
+        });
+
+        this.on('POST', 'notifications/:id/read', async ({ params, headers }) => {
+            const user = await this.requireUser(headers);
+            const notification = this.find('notifications', params.id);
+            if (notification.userId !== user.id) throw fail(404, `notifications ${params.id} not found`);
+            return this.patch('notifications', notification.id, { read: true });
+        });
+    }
+
+    registerProposalRoutes() {
+        this.on('POST', 'proposals/create', async ({ body, headers }) => {
+            const user = await this.requireUser(headers);
+            if (user.role !== 'rep') throw fail(403, 'Only rep accounts can apply to opportunities');
+            this.requireVerified(user, 'applying to opportunities');
+            if (!body.oppId) throw fail(400, 'oppId is required');
+            if (this.find('opportunities', body.oppId).status === 'removed') throw fail(404, `opportunities ${body.oppId} not found`);
+
+            const duplicate = this.all('proposals').some(p =>
+                String(p.oppId) === String(body.oppId) && p.repId === user.id && p.status !== 'withdrawn');
+            if (duplicate) throw fail(409, 'You have already applied to this opportunity');
+
+            const submittedAt = nowISO();
+            return this.insert('proposals', {
+                oppId: body.oppId,
+                repId: user.id,
+                cover: body.cover || '',
+                terms: {
+                    commissionAcceptance: !!body.commissionAcceptance,
+                    availability: body.availability || '',
+                    startDate: body.startDate || '',
+                    estimatedDuration: body.duration || body.estimatedDuration || ''
+                },
+                attachments: body.attachments || [],
+                status: 'pending',
+                submittedAt,
+                updatedAt: submittedAt
+            });
+        });
+
+        // The posting business accepts or rejects a pending proposal, the rep
+        // may withdraw it, and a moderator may set any status
+        const update = async ({ params, body, headers }) => {
+            const user = await this.requireUser(headers);
+            const proposal = this.find('proposals', params.id);
+            const status = body.status;
+            if (!['pending', 'accepted', 'rejected', 'withdrawn'].includes(status)) throw fail(400, 'Choose a status for the proposal');
+
+            if (user.role === 'business') {
+                if (!this.actsForOpportunity(user, this.opportunityFor(proposal.oppId))) throw fail(403, 'Only the business that posted this opportunity can answer its proposals');
+                this.requireTeamPermission(user, 'opportunities.post');
+                if (!['accepted', 'rejected'].includes(status)) throw fail(403, 'Businesses can only accept or reject proposals');
+            } else if (user.role === 'rep') {
+                if (proposal.repId !== user.id) throw fail(403, 'This is not your proposal');
+                if (status !== 'withdrawn') throw fail(403, 'You can only withdraw your proposal');
+            } else if (user.role !== 'admin') {
+                throw fail(403, 'You do not have access to this');
+            }
+            if (user.role !== 'admin' && proposal.status !== 'pending') throw fail(409, `This proposal was already ${proposal.status}`);
+            return this.patch('proposals', proposal.id, { status });
+        };
+        this.on('PUT', 'proposals/update/:id', update)
+            .on('PATCH', 'proposals/update/:id', update)
+            .on('PUT', 'proposals/:id', update)
+            .on('PATCH', 'proposals/:id', update);
+    }
+
+    registerContractRoutes() {
+        // The posting business turns an accepted proposal into a contract
+        this.on('POST', 'contracts/create', async ({ body, headers }) => {
+            const user = await this.requireRole(headers, 'business');
+            const opportunity = this.opportunityFor(body.oppId);
+            if (!this.actsForOpportunity(user, opportunity)) throw fail(403, 'Only the business that posted this opportunity can sign contracts for it');
+            this.requireTeamPermission(user, 'opportunities.post');
+            const accepted = this.all('proposals').some(p =>
+                String(p.oppId) === String(opportunity.id) && p.repId === body.repId && p.status === 'accepted');
+            if (!accepted) throw fail(409, 'Accept the rep\'s proposal before creating a contract');
+
+            const milestones = (body.milestones || []).map((m, i) => ({
+                id: m.id || `m${i + 1}`,
+                title: m.title || m.name || `Milestone ${i + 1}`,
+                description: m.description || '',
+                amount: Number(m.amount) || 0,
+                status: 'pending'
+            }));
+            const { id, status, ...fields } = body;
+            return this.insert('contracts', {
+                ...fields,
+                oppId: opportunity.id,
+                businessId: opportunity.businessId,
+                status: 'active',
+                startDate: nowISO().slice(0, 10),
+                currency: body.currency || 'SGD',
+                totalValue: body.totalValue ?? milestones.reduce((sum, m) => sum + m.amount, 0),
+                milestones
+            });
+        });
+
+        // The rep submits work; the business approves (which starts the escrow
+        // release) or rejects it. Nobody else moves a milestone.
+        this.on('PUT', 'contracts/milestone/:id/:mid', async ({ params, body, headers }) => {
+            const user = await this.requireUser(headers);
+            const contract = this.find('contracts', params.id);
+            if (!this.isContractParty(user, contract)) throw fail(403, 'Only the rep and business on this contract can update its milestones');
+            const milestone = contract.milestones.find(m => String(m.id) === String(params.mid));
+            if (!milestone) throw fail(404, `Milestone ${params.mid} not found`);
+
+            const status = body.status || 'submitted';
+            if (!MILESTONE_MOVES[status]) throw fail(400, 'A milestone can only be submitted, approved or rejected');
+            if (status === 'submitted') {
+                if (user.role !== 'rep') throw fail(403, 'Only the rep submits milestones');
+            } else {
+                if (user.role !== 'business') throw fail(403, 'Only the business can approve or reject milestones');
+                this.requireTeamPermission(user, 'milestones.approve');
+            }
+            if (!MILESTONE_MOVES[status].includes(milestone.status || 'pending')) {
+                throw fail(409, status === 'submitted'
+                    ? `This milestone is ${milestone.status} and can't be submitted again`
+                    : 'Only submitted milestones can be approved or rejected');
+            }
+            // Last, so nobody is asked for a code for a change that can't happen
+            if (status === 'approved') await this.requireStepUp(headers, 'approving milestones');
+            const at = nowISO();
+            const next = { ...milestone, status };
+
+            if (status === 'submitted') {
+                next.submittedAt = body.submittedAt || at;
+                next.submission = { notes: body.notes || '', files: body.files || [] };
+            } else if (status === 'approved') {
+                next.approvedAt = at;
+                next.autoReleaseAt = addDays(at, AUTO_RELEASE_DAYS);
+            } else if (status === 'rejected') {
+                next.rejectedAt = at;
+                next.reason = body.reason || '';
+            }
+
+            const milestones = contract.milestones.map(m => m === milestone ? next : m);
+            const done = milestones.every(m => m.status === 'approved' || m.status === 'completed');
+            return this.patch('contracts', contract.id, {
+                milestones,
+                status: done ? 'completed' : contract.status
+            });
+        });
+    }
+
+    registerMessageRoutes() {
+        this.on('GET', 'messages/threads', async ({ headers }) => {
+            const user = await this.requireUser(headers);
+            const users = this.all('users');
+            const threads = new Map();
+
+            this.all('messages').filter(m => m.fromId === user.id || m.toId === user.id).forEach(m => {
+                if (!threads.has(m.threadId)) threads.set(m.threadId, []);
+                threads.get(m.threadId).push(m);
+            });
+
+            return [...threads.entries()]
+                .map(([id, messages]) => {
+                    messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+                    const ids = [...new Set(messages.flatMap(m => [m.fromId, m.toId]))];
+                    return {
+                        id,
+                        participants: ids.map(pid => {
+                            const p = users.find(u => String(u.id) === String(pid));
+                            return { id: pid, name: p?.name, avatar: p?.avatar };
+                        }),
+                        messages,
+                        updatedAt: messages[messages.length - 1]?.timestamp
+                    };
+                })
+                .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+        });
+
+        this.on('POST', 'messages/create', async ({ body, headers }) => {
+            const user = await this.requireUser(headers);
+            const attachments = Array.isArray(body.attachments) ? body.attachments : [];
+            if (!body.threadId || (!String(body.body || '').trim() && attachments.length === 0)) {
+                throw fail(400, 'threadId and a body or attachment are required');
+            }
+            // Only the people already in a thread may write to it; an unused
+            // threadId starts a new conversation with body.toId
+            const previous = this.all('messages').filter(m => m.threadId === body.threadId);
+            const participants = [...new Set(previous.flatMap(m => [m.fromId, m.toId]).filter(Boolean))];
+            let toId;
+            if (previous.length) {
+                if (!participants.includes(user.id)) throw fail(403, 'You are not part of this conversation');
+                toId = participants.find(id => id !== user.id);
+            } else {
+                toId = body.toId;
+                if (!toId || toId === user.id || !this.all('users').some(u => u.id === toId && !u.deleted)) {
+                    throw fail(400, 'Choose who to send the message to');
+                }
+            }
+
+            return this.insert('messages', {
+                threadId: body.threadId,
+                fromId: user.id,
+                toId: toId || null,
+                body: String(body.body || '').trim(),
+                type: body.type || 'text',
+                attachments,
+                timestamp: nowISO(),
+                read: false
+            });
+        });
+    }
+
+    /**
+     * Either party to a contract can raise one dispute at a time; the
+     * contract shows as disputed until a moderator closes it
+     */
+    registerDisputeRoutes() {
+        const create = async ({ body, headers }) => {
+            const user = await this.requireUser(headers);
+            const contract = this.find('contracts', body.contractId);
+            if (!this.isContractParty(user, contract)) throw fail(403, 'Only the rep and business on this contract can raise a dispute');
+            if (!DISPUTE_REASONS.includes(body.reason)) throw fail(400, 'Choose a reason for the dispute');
+            const description = String(body.description || '').trim();
+            if (!description) throw fail(400, 'Describe the problem');
+            if (this.all('disputes').some(d => d.contractId === contract.id && d.status === 'open')) {
+                throw fail(409, 'A dispute is already open for this contract');
+            }
+
+            const dispute = this.insert('disputes', {
+                contractId: contract.id,
+                raisedBy: user.id,
+                reason: body.reason,
+                description,
+                evidence: Array.isArray(body.evidence) ? body.evidence : [],
+                status: 'open',
+                contractStatus: contract.status
+            });
+            this.patch('contracts', contract.id, { status: 'disputed' });
+            this.all('users').filter(u => u.role === 'admin').forEach(admin => this.sendMail({
+                to: admin.email,
+                subject: `New dispute on "${contract.title}"`,
+                text: `${user.name} raised a dispute (${body.reason}) on the contract "${contract.title}".\n\n${description}`,
+                link: MAIL_LINKS.admin
+            }));
+            return dispute;
+        };
+        this.on('POST', 'disputes/create', create)
+            .on('POST', 'disputes', create);
+
+        this.on('GET', 'disputes/mine', async ({ headers }) => {
+            const user = await this.requireUser(headers);
+            const contracts = new Set(this.all('contracts').filter(c => this.isContractParty(user, c)).map(c => c.id));
+            return this.all('disputes').filter(d => contracts.has(d.contractId));
+        });
+    }
+
+    /**
+     * The rep on a contract, or a member of the company behind its opportunity.
+     * Seeded contracts point at business profiles (biz-…) rather than accounts,
+     * so for those the opportunity decides.
+     */
+    isContractParty(user, contract) {
+        if (user.role === 'rep') return contract.repId === user.id;
+        if (user.role !== 'business') return false;
+        return contract.businessId === user.id || this.actsForOpportunity(user, this.opportunityFor(contract.oppId));
+    }
+
+    // ---------------------------------------------------------------------
+    // Moderation
+    // ---------------------------------------------------------------------
+
+    /**
+     * Append an entry to the audit log. Entries are never changed or removed;
+     * only anonymise() scrubs a deleted person's name and email from them.
+     */
+    audit(admin, action, target, details = {}) {
+        return this.insert('auditLog', {
+            actorId: admin.id,
+            actorName: admin.name,
+            action,
+            targetType: target.type,
+            targetId: String(target.id),
+            details
+        });
+    }
+
+    /**
+     * User as the admin console shows it: no credentials, no payout details
+     */
+    moderationView(user) {
+        const { bankAccount: _bank, ...rest } = publicUser(user);
+        return rest;
+    }
+
+    registerAdminRoutes() {
+        const admin = (headers) => this.requireRole(headers, 'admin');
+        const moderatedUser = (id) => {
+            const user = this.find('users', id);
+            if (!MODERATED_ROLES.includes(user.role)) throw fail(403, 'Admin accounts cannot be moderated here');
+            return user;
+        };
+
+        this.on('GET', 'admin/overview', async ({ headers }) => {
+            await admin(headers);
+            const users = this.all('users').filter(u => MODERATED_ROLES.includes(u.role) && !u.deleted);
+            return {
+                pendingReview: users.filter(u => !u.verified && !u.suspended).length,
+                suspended: users.filter(u => u.suspended).length,
+                openDisputes: this.all('disputes').filter(d => d.status === 'open').length,
+                removedOpportunities: this.all('opportunities').filter(o => o.status === 'removed').length
+            };
+        });
+
+        // ?role=rep|business, ?state=pending|verified|suspended, ?q= matches name, email or company
+        this.on('GET', 'admin/users', async ({ query, headers }) => {
+            await admin(headers);
+            const q = String(query.q || '').trim().toLowerCase();
+            const inState = {
+                pending: u => !u.verified && !u.suspended,
+                verified: u => u.verified && !u.suspended,
+                suspended: u => u.suspended
+            }[query.state] || (() => true);
+            return this.all('users')
+                .filter(u => MODERATED_ROLES.includes(u.role) && !u.deleted && (!query.role || u.role === query.role) && inState(u))
+                .filter(u => !q || [u.name, u.email, u.company].some(v => String(v || '').toLowerCase().includes(q)))
+                .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')))
+                .map(u => this.moderationView(u));
+        });
+
+        this.on('PUT', 'admin/users/:id/verify', async ({ params, body, headers }) => {
+            const moderator = await admin(headers);
+            const user = moderatedUser(params.id);
+            const verified = body.verified !== false;
+            const updated = this.patch('users', user.id, { verified, verifiedAt: verified ? nowISO() : null });
+            this.audit(moderator, verified ? 'user.verify' : 'user.unverify', { type: 'user', id: user.id },
+                { email: user.email, ...(body.note && { note: String(body.note) }) });
+            if (verified) {
+                this.sendMail({
+                    to: user.email,
+                    subject: 'Your Rep-Link account is verified',
+                    text: `Hi ${user.name},\n\nOur team reviewed your account and marked it as verified. The verified badge now shows on your profile.`
+                });
+            }
+            return this.moderationView(updated);
+        });
+
+        this.on('PUT', 'admin/users/:id/suspend', async ({ params, body, headers }) => {
+            const moderator = await admin(headers);
+            const user = moderatedUser(params.id);
+            const suspended = body.suspended !== false;
+            const reason = String(body.reason || '').trim();
+            if (suspended && !reason) throw fail(400, 'Give a reason for the suspension');
+
+            const updated = this.patch('users', user.id, suspended
+                ? { suspended: true, suspendedAt: nowISO(), suspensionReason: reason }
+                : { suspended: false, suspendedAt: null, suspensionReason: '' });
+            if (suspended) this.revokeSessions(user.id);
+            this.audit(moderator, suspended ? 'user.suspend' : 'user.reinstate', { type: 'user', id: user.id },
+                { email: user.email, ...(reason && { reason }) });
+            this.sendMail({
+                to: user.email,
+                subject: suspended ? 'Your Rep-Link account has been suspended' : 'Your Rep-Link account has been reinstated',
+                text: suspended
+                    ? `Hi ${user.name},\n\nYour account has been suspended: ${reason}\n\nReply to support@rep-link.sg if you think this is a mistake.`
+                    : `Hi ${user.name},\n\nYour account has been reinstated and you can sign in again.`
+            });
+            return this.moderationView(updated);
+        });
+
+        this.on('GET', 'admin/opportunities', async ({ query, headers }) => {
+            await admin(headers);
+            return this.where(this.all('opportunities'), { status: query.status })
+                .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+        });
+
+        this.on('PUT', 'admin/opportunities/:id/takedown', async ({ params, body, headers }) => {
+            const moderator = await admin(headers);
+            const opportunity = this.find('opportunities', params.id);
+            if (opportunity.status === 'removed') throw fail(409, 'This opportunity is already taken down');
+            const reason = String(body.reason || '').trim();
+            if (!reason) throw fail(400, 'Give a reason for taking the opportunity down');
+
+            const updated = this.patch('opportunities', opportunity.id, {
+                status: 'removed',
+                takedown: { reason, by: moderator.id, at: nowISO(), previousStatus: opportunity.status }
+            });
+            this.audit(moderator, 'opportunity.takedown', { type: 'opportunity', id: opportunity.id }, { title: opportunity.title, reason });
+            const owner = this.all('users').find(u => u.id === opportunity.businessId);
+            if (owner) {
+                this.sendMail({
+                    to: owner.email,
+                    subject: `"${opportunity.title}" was taken down`,
+                    text: `Hi ${owner.name},\n\nA moderator took down your opportunity "${opportunity.title}": ${reason}\n\nReps can no longer see or apply to it.`
+                });
+            }
+            return updated;
+        });
+
+        this.on('PUT', 'admin/opportunities/:id/restore', async ({ params, headers }) => {
+            const moderator = await admin(headers);
+            const opportunity = this.find('opportunities', params.id);
+            if (opportunity.status !== 'removed') throw fail(409, 'This opportunity is not taken down');
+            const updated = this.patch('opportunities', opportunity.id, {
+                status: opportunity.takedown?.previousStatus || 'closed',
+                takedown: null
+            });
+            this.audit(moderator, 'opportunity.restore', { type: 'opportunity', id: opportunity.id }, { title: opportunity.title });
+            return updated;
+        });
+
+        // Disputes with the contract and the names of everyone involved
+        this.on('GET', 'admin/disputes', async ({ query, headers }) => {
+            await admin(headers);
+            const nameOf = (id) => {
+                const row = this.all('users').find(u => u.id === id) || this.all('businesses').find(b => b.id === id);
+                return row?.company || row?.name || id;
+            };
+            return this.where(this.all('disputes'), { status: query.status })
+                .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+                .map(dispute => {
+                    const contract = this.all('contracts').find(c => c.id === dispute.contractId);
+                    return {
+                        ...dispute,
+                        raisedByName: nameOf(dispute.raisedBy),
+                        contract: contract && {
+                            id: contract.id,
+                            title: contract.title,
+                            repName: nameOf(contract.repId),
+                            businessName: nameOf(contract.businessId),
+                            totalValue: contract.totalValue,
+                            currency: contract.currency
+                        }
+                    };
+                });
+        });
+
+        // outcome 'resolved' or 'dismissed'; either way the contract goes back to its earlier status
+        this.on('PUT', 'admin/disputes/:id/resolve', async ({ params, body, headers }) => {
+            const moderator = await admin(headers);
+            const dispute = this.find('disputes', params.id);
+            if (dispute.status !== 'open') throw fail(409, 'This dispute is already closed');
+            const outcome = body.outcome === 'dismissed' ? 'dismissed' : 'resolved';
+            const note = String(body.note || '').trim();
+            if (!note) throw fail(400, 'Explain the outcome to both parties');
+
+            const updated = this.patch('disputes', dispute.id, {
+                status: outcome,
+                resolution: { note, by: moderator.id, at: nowISO() }
+            });
+            const contract = this.all('contracts').find(c => c.id === dispute.contractId);
+            if (contract?.status === 'disputed') this.patch('contracts', contract.id, { status: dispute.contractStatus || 'active' });
+            this.audit(moderator, `dispute.${outcome === 'dismissed' ? 'dismiss' : 'resolve'}`, { type: 'dispute', id: dispute.id },
+                { contractId: dispute.contractId, note });
+
+            const parties = this.all('users').filter(u => contract && (u.id === dispute.raisedBy || u.id === contract.repId || u.id === contract.businessId));
+            parties.forEach(user => this.sendMail({
+                to: user.email,
+                subject: `Dispute on "${contract.title}" ${outcome}`,
+                text: `Hi ${user.name},\n\nOur team has ${outcome} the dispute on "${contract.title}":\n\n${note}`
+            }));
+            return updated;
+        });
+
+        // Newest first; ?targetId= narrows to one user, opportunity or dispute
+        this.on('GET', 'admin/audit', async ({ query, headers }) => {
+            await admin(headers);
+            const limit = Math.min(Number(query.limit) || AUDIT_PAGE_SIZE, AUDIT_PAGE_SIZE);
+            return this.where(this.all('auditLog'), { targetId: query.targetId, action: query.action })
+                .slice()
+                .reverse()
+                .slice(0, limit);
+        });
+    }
+}
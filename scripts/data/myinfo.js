@@ -0,0 +1,90 @@
+/**
+ * MyInfo
+ * Constants shared by the local Singpass stand-in and the relying party, and
+ * the mapping from MyInfo person/entity payloads to Rep-Link profile fields
+ */
+
+'use strict';
+
+export const SINGPASS_ISSUER = 'https://singpass.replink.local';
+export const SINGPASS_CLIENT_ID = 'replink-local';
+/** Only redirect_uri the stand-in accepts, on whichever origin serves the site */
+export const SINGPASS_CALLBACK_PATH = '/pages/singpass/callback.html';
+
+/**
+ * Scopes requested per role. Businesses also ask for the entity they act for
+ * (MyInfo Business); reps only for their own person data.
+ */
+export const SINGPASS_SCOPES = {
+    rep: ['openid', 'uinfin', 'name', 'mobileno', 'email', 'regadd'],
+    business: ['openid', 'uinfin', 'name', 'mobileno', 'email', 'entity.basic-profile', 'entity.addresses']
+};
+
+/** Wording for the consent screen */
+export const SCOPE_LABELS = {
+    openid: 'Your Singpass identity',
+    uinfin: 'NRIC/FIN',
+    name: 'Name',
+    mobileno: 'Mobile number',
+    email: 'Email address',
+    regadd: 'Registered address',
+    'entity.basic-profile': 'Company UEN, name, type and status',
+    'entity.addresses': 'Company registered address'
+};
+
+function val(field) {
+    return field?.value ?? '';
+}
+
+// MyInfo returns names in capitals: 'TECHCORP SOLUTIONS PTE LTD' -> 'Techcorp Solutions Pte Ltd'
+function titleCase(text) {
+    return String(text).toLowerCase().replace(/\b([a-z])/g, c => c.toUpperCase());
+}
+
+/**
+ * One-line address: '123 Orchard Road #05-01, Singapore 238863'
+ */
+export function formatAddress(address) {
+    if (!address) return '';
+    const unit = val(address.floor) && val(address.unit) ? ` #${val(address.floor)}-${val(address.unit)}` : '';
+    const street = [val(address.block), titleCase(val(address.street))].filter(Boolean).join(' ');
+    const building = val(address.building) ? `, ${titleCase(val(address.building))}` : '';
+    const postal = val(address.postal) ? `, Singapore ${val(address.postal)}` : '';
+    return `${street}${unit}${building}${postal}`;
+}
+
+/**
+ * '+65 9123 4567' from MyInfo's { prefix, areacode, nbr }
+ */
+export function formatPhone(mobileno) {
+    const number = val(mobileno?.nbr);
+    if (!number) return '';
+    const local = number.length === 8 ? `${number.slice(0, 4)} ${number.slice(4)}` : number;
+    return `${val(mobileno.prefix) || '+'}${val(mobileno.areacode) || '65'} ${local}`;
+}
+
+/**
+ * Profile fields for the signup and profile forms
+ * @param {Object} myinfo - { person, entity } as released by the provider
+ * @param {string} role - 'rep' | 'business'
+ */
+export function profileFromMyInfo({ person = {}, entity } = {}, role = 'rep') {
+    const profile = {
+        fullName: titleCase(val(person.name)),
+        nationalId: val(person.uinfin),
+        email: val(person.email),
+        phone: formatPhone(person.mobileno),
+        address: formatAddress(person.regadd)
+    };
+    if (role !== 'business' || !entity) return profile;
+
+    const basic = entity['basic-profile'] || {};
+    return {
+        ...profile,
+        company: titleCase(val(basic['entity-name'])),
+        uen: val(basic.uen),
+        billingEmail: val(person.email),
+        contact: profile.phone,
+        address: formatAddress(entity.addresses?.['addresses-list']?.[0]) || profile.address
+    };
+}
@@ -0,0 +1,108 @@
+/**
+ * Opportunity Search
+ * What a search on opportunities.html means, shared by the page and the
+ * backend: the indexed fields, the filters, and the URL a search lives in.
+ * Saved searches store the same { searchQuery, filters, sortBy, sortOrder }
+ * the page works with, so an alert matches exactly what the rep would see.
+ */
+
+'use strict';
+
+import { SearchIndex } from './searchIndex.js';
+
+export const DEFAULT_SORT = 'relevance_desc';
+export const SORT_OPTIONS = ['relevance_desc', 'created_desc', 'created_asc', 'commission_desc', 'commission_asc'];
+
+// Opportunity fields with a .filter-select of the same name on the page
+export const SELECT_FACETS = ['sector', 'type'];
+
+// What a search term is worth, by the field it was found in
+export const SEARCH_FIELDS = {
+    title: { weight: 3 },
+    company: { weight: 2 },
+    requirements: { weight: 2 },
+    short: { weight: 1 },
+    // Posted opportunities carry the full text from post-opportunity.html here
+    description: { weight: 1 },
+    milestones: { weight: 1, get: opp => (opp.commission || []).map(milestone => milestone.title) }
+};
+
+/**
+ * Whether an opportunity passes the selects and tags, optionally ignoring one
+ * facet so that facet's own counts show what picking another value would give
+ */
+export function passesFilters(opp, filters, skip = null) {
+    const selects = SELECT_FACETS.every(facet => facet === skip || !filters[facet] || opp[facet] === filters[facet]);
+    const tags = skip === 'tags' || (filters.tags || []).every(tag => (opp.requirements || []).includes(tag));
+    return selects && tags;
+}
+
+/**
+ * Keep only what a search can hold: text, the known facets, tags and a sort
+ * the page offers. Anything else a client sends is dropped.
+ * @param {Object} search - { searchQuery, filters, sortBy, sortOrder }
+ * @returns {{searchQuery: string, filters: Object, sortBy: string, sortOrder: string}}
+ */
+export function normalizeSearch(search = {}) {
+    const filters = {};
+    SELECT_FACETS.forEach(facet => {
+        const value = String(search.filters?.[facet] ?? '').trim();
+        if (value) filters[facet] = value;
+    });
+    const tags = [...new Set([].concat(search.filters?.tags ?? []).map(tag => String(tag).trim()).filter(Boolean))];
+    if (tags.length) filters.tags = tags;
+
+    const sort = `${search.sortBy}_${search.sortOrder}`;
+    const [sortBy, sortOrder] = (SORT_OPTIONS.includes(sort) ? sort : DEFAULT_SORT).split('_');
+    return { searchQuery: String(search.searchQuery ?? '').trim(), filters, sortBy, sortOrder };
+}
+
+export function isEmptySearch(search) {
+    return !search.searchQuery && Object.keys(search.filters || {}).length === 0;
+}
+
+/**
+ * The query string opportunities.html reads a search from (no leading '?')
+ */
+export function searchQueryString({ searchQuery, filters = {}, sortBy, sortOrder }) {
+    const params = new URLSearchParams();
+    if (searchQuery) params.set('search', searchQuery);
+    Object.entries(filters).forEach(([key, value]) => {
+        // One param per tag, so tags may contain commas
+        if (Array.isArray(value)) value.forEach(item => params.append(key, item));
+        else if (value) params.set(key, value);
+    });
+    if (sortBy && `${sortBy}_${sortOrder}` !== DEFAULT_SORT) params.set('sort', `${sortBy}_${sortOrder}`);
+    return params.toString();
+}
+
+/**
+ * One line for lists and emails: '"crm" · B2B · Cold calling'
+ */
+export function describeSearch({ searchQuery, filters = {} }) {
+    const parts = [
+        searchQuery && `"${searchQuery}"`,
+        ...SELECT_FACETS.map(facet => filters[facet]),
+        ...(filters.tags || [])
+    ].filter(Boolean);
+    return parts.length ? parts.join(' · ') : 'All opportunities';
+}
+
+/**
+ * The opportunities a search finds, in no particular order. Builds a
+ * throwaway index, so it suits checking a few new opportunities against
+ * saved searches; the page keeps its own index for the full list.
+ * @param {Object[]} opportunities
+ * @param {Object} search - { searchQuery, filters }
+ * @returns {Object[]}
+ */
+export function matchOpportunities(opportunities, { searchQuery, filters = {} }) {
+    const filtered = opportunities.filter(opp => passesFilters(opp, filters));
+    const index = new SearchIndex({ fields: SEARCH_FIELDS });
+    index.sync(filtered);
+    // null: nothing to search for, so everything is in
+    const hits = index.search(searchQuery);
+    if (!hits) return filtered;
+    const found = new Set(hits.map(hit => hit.id));
+    return filtered.filter(opp => found.has(String(opp.id)));
+}
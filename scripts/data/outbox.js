@@ -0,0 +1,223 @@
+/**
+ * Outbox
+ * Persistent queue for mutating API calls made while the backend is unreachable
+ */
+
+'use strict';
+
+const BASE_DELAY_MS = 2000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+const LOCK_NAME = 'replink_outbox';
+
+/**
+ * Writes that may be queued and replayed later, narrowed by `when(body)`.
+ * Auth calls never are: a login that "succeeds" offline would be a lie.
+ * Neither are milestone approvals, whose step-up check would fail on replay.
+ */
+const QUEUEABLE = [
+    { method: 'POST', pattern: /^proposals\/create$/, label: 'Proposal' },
+    {
+        method: 'PUT',
+        pattern: /^contracts\/milestone\/[^/]+\/[^/]+$/,
+        when: body => body.status === 'submitted',
+        label: 'Milestone submission'
+    },
+    { method: 'POST', pattern: /^messages\/create$/, label: 'Message' }
+];
+
+function normalizeRoute(route) {
+    return String(route).split('?')[0].replace(/^\/+|\/+$/g, '');
+}
+
+function parseBody(body) {
+    if (typeof body !== 'string') return body || {};
+    try {
+        return JSON.parse(body);
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Browser reports no connectivity at all
+ */
+export function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Outbox Class
+ * Entries live in the Store under `outbox`, so they survive reloads and every
+ * tab sees the same queue. Replays run one tab at a time via the Web Locks API.
+ */
+export class Outbox {
+    /**
+     * @param {Object} storeInstance - Store used for persistence
+     * @param {Function} send - Transport: (route, options) => Promise<{ success, data, error, status }>
+     */
+    constructor(storeInstance, send) {
+        this.store = storeInstance;
+        this.send = send;
+        this.timer = null;
+        this.flushing = null;
+
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('online', () => this.flush());
+        }
+        // Entries queued or resolved in another tab change what is due next
+        this.store.subscribe('outbox', () => this.schedule());
+        this.schedule();
+    }
+
+    /**
+     * Queue rule for a request, or null when it must go out live
+     */
+    rule(route, method = 'GET', body) {
+        const path = normalizeRoute(route);
+        const verb = String(method).toUpperCase();
+        return QUEUEABLE.find(r => r.method === verb && r.pattern.test(path) && (!r.when || r.when(parseBody(body)))) || null;
+    }
+
+    accepts(route, method, body) {
+        return !!this.rule(route, method, body);
+    }
+
+    entries() {
+        return this.store.get('outbox', []);
+    }
+
+    pending() {
+        return this.entries().filter(e => e.status === 'pending');
+    }
+
+    conflicts() {
+        return this.entries().filter(e => e.status === 'conflict');
+    }
+
+    /**
+     * Queue a request and answer with an optimistic envelope flagged `queued`
+     */
+    enqueue(route, options = {}) {
+        const { label } = this.rule(route, options.method, options.body);
+        const id = `outbox-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        const body = typeof options.body === 'string' ? options.body : JSON.stringify(options.body ?? {});
+        const entry = {
+            id,
+            label,
+            route: normalizeRoute(route),
+            method: String(options.method).toUpperCase(),
+            body,
+            query: options.query || null,
+            userId: this.store.get('auth.user.id') || null,
+            createdAt: new Date().toISOString(),
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            status: 'pending',
+            error: null
+        };
+
+        this.store.update('outbox', (list = []) => [...list, entry]);
+        this.schedule();
+
+        return {
+            success: true,
+            queued: true,
+            status: 202,
+            data: { ...parseBody(body), id, pendingSync: true, outboxId: id }
+        };
+    }
+
+    /**
+     * Replay due entries in order. Stops at the first network failure and
+     * backs off; a rejection by the server parks that entry as a conflict.
+     */
+    flush() {
+        if (this.flushing) return this.flushing;
+        const run = () => this.replay();
+        const locked = typeof navigator !== 'undefined' && navigator.locks?.request
+            ? navigator.locks.request(LOCK_NAME, { ifAvailable: true }, lock => (lock ? run() : null))
+            : run();
+
+        this.flushing = Promise.resolve(locked).finally(() => {
+            this.flushing = null;
+            this.schedule();
+        });
+        return this.flushing;
+    }
+
+    async replay() {
+        if (isOffline()) return;
+
+        const userId = this.store.get('auth.user.id') || null;
+        for (const entry of this.pending()) {
+            if (entry.nextAttemptAt > Date.now()) continue;
+            // Only replay as the account that queued the request
+            if (entry.userId && entry.userId !== userId) continue;
+
+            const response = await this.send(entry.route, {
+                method: entry.method,
+                body: entry.body,
+                query: entry.query || undefined
+            });
+
+            if (response.success) {
+                this.remove(entry.id);
+                this.notify('outbox:synced', { entry, response });
+            } else if (!response.status || response.status >= 500) {
+                const attempts = entry.attempts + 1;
+                const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempts - 1));
+                this.patch(entry.id, {
+                    attempts,
+                    nextAttemptAt: Date.now() + delay * (0.8 + Math.random() * 0.4),
+                    error: response.error || 'Server unreachable'
+                });
+                break;
+            } else {
+                this.patch(entry.id, { status: 'conflict', error: response.error || `Rejected (${response.status})` });
+                this.notify('outbox:conflict', { entry, response });
+            }
+        }
+    }
+
+    /**
+     * Put a conflicted entry back in the queue, optionally with an edited body
+     */
+    retry(id, body) {
+        const changes = { status: 'pending', attempts: 0, nextAttemptAt: Date.now(), error: null };
+        if (body !== undefined) changes.body = typeof body === 'string' ? body : JSON.stringify(body);
+        this.patch(id, changes);
+        return this.flush();
+    }
+
+    discard(id) {
+        this.remove(id);
+    }
+
+    /**
+     * Wake up when the earliest pending entry is due
+     */
+    schedule() {
+        clearTimeout(this.timer);
+        const userId = this.store.get('auth.user.id') || null;
+        const due = this.pending()
+            .filter(e => !e.userId || e.userId === userId)
+            .map(e => e.nextAttemptAt);
+        if (due.length === 0) return;
+        const wait = Math.max(0, Math.min(...due) - Date.now());
+        this.timer = setTimeout(() => this.flush(), wait);
+    }
+
+    patch(id, changes) {
+        this.store.update('outbox', (list = []) => list.map(e => (e.id === id ? { ...e, ...changes } : e)));
+    }
+
+    remove(id) {
+        this.store.update('outbox', (list = []) => list.filter(e => e.id !== id));
+    }
+
+    notify(type, detail) {
+        if (typeof window !== 'undefined' && window.dispatchEvent) {
+            window.dispatchEvent(new CustomEvent(type, { detail }));
+        }
+    }
+}
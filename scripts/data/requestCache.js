@@ -0,0 +1,126 @@
+/**
+ * Request Cache
+ * Stale-while-revalidate cache for API reads, persisted across page loads
+ */
+
+'use strict';
+
+const KEY = 'replink_cache_v1';
+const MINUTE = 60 * 1000;
+
+/** Event dispatched on window when a background refresh returns new data */
+export const CACHE_UPDATED = 'cache:updated';
+
+/**
+ * Freshness per resource, matched against the cache key in order. Reference
+ * files rarely change; collections other users write to go stale quickly.
+ */
+const TTLS = [
+    { pattern: /^\/?mock\/(onboarding|partners|help\/|singpass\/)/, ttl: 10 * MINUTE },
+    { pattern: /^\/?mock\//, ttl: 5 * MINUTE },
+    { pattern: /^(users|opportunities|products)$/, ttl: MINUTE },
+    { pattern: /.*/, ttl: 30 * 1000 }
+];
+
+function ttlFor(key) {
+    return TTLS.find(rule => rule.pattern.test(key)).ttl;
+}
+
+function readEntries() {
+    try {
+        return JSON.parse(localStorage.getItem(KEY) || '{}') || {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Short name for a cache key: '/mock/onboarding.json' -> 'onboarding'
+ */
+export function resourceName(key) {
+    return String(key).replace(/^\/?mock\//, '').replace(/\.json$/, '').split('/')[0];
+}
+
+/**
+ * RequestCache Class
+ * Entries are { data, etag, fetchedAt }. A fetcher receives the cached entry
+ * (for If-None-Match) and resolves to { data, etag } or { notModified: true }.
+ */
+export class RequestCache {
+    constructor() {
+        this.entries = readEntries();
+        this.inflight = new Map();
+    }
+
+    /**
+     * Fresh data straight from cache; stale data immediately while a refresh
+     * runs in the background; nothing cached means waiting for the network.
+     * @param {string} key
+     * @param {Function} fetcher - (entry) => Promise<{ data, etag } | { notModified: true }>
+     * @param {Object} options - { ttl, fresh } where fresh skips the cache
+     */
+    async get(key, fetcher, { ttl = ttlFor(key), fresh = false } = {}) {
+        const entry = this.entries[key];
+        if (entry && !fresh) {
+            if (Date.now() - entry.fetchedAt < ttl) return entry.data;
+            this.revalidate(key, fetcher).catch(error => console.warn(`Refreshing ${key} failed:`, error));
+            return entry.data;
+        }
+        return this.revalidate(key, fetcher);
+    }
+
+    /**
+     * Fetch once per key at a time; concurrent callers share the request
+     */
+    revalidate(key, fetcher) {
+        if (this.inflight.has(key)) return this.inflight.get(key);
+
+        const previous = this.entries[key];
+        const request = fetcher(previous)
+            .then(result => {
+                if (result.notModified && previous) {
+                    this.write(key, { ...previous, fetchedAt: Date.now() });
+                    return previous.data;
+                }
+                this.write(key, { data: result.data, etag: result.etag || null, fetchedAt: Date.now() });
+                if (previous && JSON.stringify(previous.data) !== JSON.stringify(result.data)) {
+                    window.dispatchEvent(new CustomEvent(CACHE_UPDATED, { detail: { key, resource: resourceName(key) } }));
+                }
+                return result.data;
+            })
+            .finally(() => this.inflight.delete(key));
+
+        this.inflight.set(key, request);
+        return request;
+    }
+
+    /**
+     * Drop entries by exact key or resource name, e.g. invalidate('proposals')
+     */
+    invalidate(...names) {
+        const targets = new Set(names.map(String));
+        const keys = Object.keys(this.entries).filter(key => targets.has(key) || targets.has(resourceName(key)));
+        if (keys.length === 0) return;
+        keys.forEach(key => delete this.entries[key]);
+        this.persist();
+    }
+
+    clear() {
+        this.entries = {};
+        this.persist();
+    }
+
+    write(key, entry) {
+        this.entries[key] = entry;
+        this.persist();
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(KEY, JSON.stringify(this.entries));
+        } catch (error) {
+            // Quota or private mode: the in-memory cache still works for this page
+            console.warn('Request cache not persisted:', error);
+        }
+    }
+}
@@ -0,0 +1,575 @@
+/**
+ * Data Schemas
+ * JSON Schema (draft 2020-12) for every dataset under mock/ and every
+ * collection the API layer writes
+ */
+
+'use strict';
+
+const $defs = {
+    id: {
+        type: 'string',
+        pattern: '^[a-z]+-[a-z0-9-]+$',
+        description: 'Prefixed id such as "u-rep-001" or "prop-lq3x9k2ab"'
+    },
+    timestamp: { type: 'string', format: 'date-time' },
+    date: { type: 'string', format: 'date' },
+    money: { type: 'number', minimum: 0 },
+    nonEmpty: { type: 'string', minLength: 1 },
+    fileRef: {
+        type: 'object',
+        description: 'Attachment metadata; the bytes live in the blob store under `id`',
+        required: ['name', 'type', 'size'],
+        properties: {
+            id: { type: 'string' },
+            name: { $ref: '#/$defs/nonEmpty' },
+            type: { type: 'string' },
+            size: { type: 'integer', minimum: 0 }
+        }
+    },
+    milestone: {
+        type: 'object',
+        description: 'One payable step. Contracts, campaigns and opportunity commissions all use `title`.',
+        required: ['title', 'amount'],
+        properties: {
+            id: { type: 'string' },
+            title: { $ref: '#/$defs/nonEmpty' },
+            description: { type: 'string' },
+            amount: { $ref: '#/$defs/money' },
+            status: { enum: ['pending', 'in_progress', 'submitted', 'approved', 'rejected', 'completed', 'released'] },
+            submittedAt: { type: ['string', 'null'], format: 'date-time' },
+            approvedAt: { type: ['string', 'null'], format: 'date-time' },
+            rejectedAt: { type: ['string', 'null'], format: 'date-time' },
+            autoReleaseAt: { type: ['string', 'null'], format: 'date-time' },
+            submission: {
+                type: 'object',
+                properties: {
+                    notes: { type: 'string' },
+                    files: { type: 'array', items: { $ref: '#/$defs/fileRef' } }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Wrap an entity schema with the shared definitions
+ */
+function entity(title, schema) {
+    return { $schema: 'https://json-schema.org/draft/2020-12/schema', title, type: 'object', $defs, ...schema };
+}
+
+/**
+ * One schema per record, keyed by collection name. `x-ref` names the
+ * collection(s) an id field points into; the validator checks those links
+ * across datasets.
+ */
+export const SCHEMAS = {
+    users: entity('User', {
+        required: ['id', 'name', 'email', 'role'],
+        properties: {
+            id: { $ref: '#/$defs/id' },
+            name: { $ref: '#/$defs/nonEmpty' },
+            email: { type: 'string', format: 'email' },
+            role: { enum: ['rep', 'business', 'admin'] },
+            // Only the hash is ever stored
+            password: false,
+            passwordHash: { type: 'string', pattern: '^pbkdf2-sha256\\$\\d+\\$' },
+            avatar: { type: ['string', 'null'] },
+            company: { type: 'string' },
+            phone: { type: 'string' },
+            nric: { type: 'string' },
+            address: { type: 'string' },
+            bio: { type: 'string' },
+            singpassLinked: { type: 'boolean' },
+            singpassSub: { type: 'string', description: 'Singpass subject the account signs in as' },
+            emailVerified: { type: 'boolean', description: 'false until the emailed link is opened; absent on older accounts' },
+            emailVerifiedAt: { $ref: '#/$defs/timestamp' },
+            twoFactorEnabled: { type: 'boolean', description: 'TOTP second factor on (business accounts)' },
+            bankAccount: { type: 'string', description: 'Payout account; changed only through account/bank' },
+            verified: { type: 'boolean', description: 'Reviewed by a moderator in the admin console' },
+            verifiedAt: { type: ['string', 'null'], format: 'date-time' },
+            suspended: { type: 'boolean', description: 'Suspended accounts cannot sign in' },
+            suspendedAt: { type: ['string', 'null'], format: 'date-time' },
+            suspensionReason: { type: 'string' },
+            companyId: { $ref: '#/$defs/id', 'x-ref': 'companies', description: 'Team the business account belongs to' },
+            deletion: {
+                type: ['object', 'null'],
+                description: 'Set while a requested deletion waits out its grace period',
+                required: ['requestedAt', 'effectiveAt'],
+                properties: {
+                    requestedAt: { $ref: '#/$defs/timestamp' },
+                    effectiveAt: { $ref: '#/$defs/timestamp' }
+                }
+            },
+            deleted: { type: 'boolean', description: 'Anonymised after a deletion request; only the id and role remain' },
+            deletedAt: { $ref: '#/$defs/timestamp' },
+            profile: {
+                type: 'object',
+                description: 'Details given at signup (step 2), read by the profile pages',
+                properties: {
+                    address: { type: 'string' },
+                    nationalId: { type: 'string' },
+                    uen: { type: 'string' },
+                    billingEmail: { type: 'string', format: 'email' },
+                    contact: { type: 'string' }
+                }
+            },
+            createdAt: { $ref: '#/$defs/timestamp' },
+            updatedAt: { $ref: '#/$defs/timestamp' }
+        }
+    }),
+
+    businesses: entity('Business', {
+        required: ['id', 'name'],
+        properties: {
+            id: { $ref: '#/$defs/id' },
+            name: { $ref: '#/$defs/nonEmpty' },
+            logo: { type: ['string', 'null'] },
+            description: { type: 'string' },
+            industry: { type: 'string' },
+            size: { type: 'string' },
+            location: { type: 'string' },
+            website: { type: 'string', format: 'uri' },
+            contact: {
+                type: 'object',
+                properties: {
+                    email: { type: 'string', format: 'email' },
+                    phone: { type: 'string' }
+                }
+            },
+            verified: { type: 'boolean' },
+            rating: { type: 'number', minimum: 0, maximum: 5 },
+            totalOpportunities: { type: 'integer', minimum: 0 },
+            activeContracts: { type: 'integer', minimum: 0 },
+            createdAt: { $ref: '#/$defs/timestamp' },
+            updatedAt: { $ref: '#/$defs/timestamp' }
+        }
+    }),
+
+    opportunities: entity('Opportunity', {
+        required: ['id', 'title', 'businessId', 'company', 'commissionType', 'commission', 'status'],
+        properties: {
+            id: { $ref: '#/$defs/id' },
+            title: { $ref: '#/$defs/nonEmpty' },
+            businessId: { $ref: '#/$defs/id', 'x-ref': 'users' },
+            companyId: { $ref: '#/$defs/id', 'x-ref': 'companies', description: 'Team of the member who posted it' },
+            company: { $ref: '#/$defs/nonEmpty' },
+            type: { enum: ['Product', 'Service'] },
+            sector: { enum: ['B2B', 'B2C'] },
+            commissionType: { enum: ['Fixed', 'Milestone'] },
+            commission: {
+                type: 'array',
+                description: 'Payable milestones; a Fixed commission has exactly one',
+                minItems: 1,
+                items: { $ref: '#/$defs/milestone' }
+            },
+            short: { type: 'string' },
+            description: { type: 'string', description: 'Full text from post-opportunity.html; seeded ones only have `short`' },
+            requirements: { type: 'array', items: { type: 'string' } },
+            status: { enum: ['draft', 'open', 'paused', 'closed', 'removed'] },
+            takedown: {
+                type: ['object', 'null'],
+                description: 'Set while a moderator has taken the opportunity down',
+                required: ['reason', 'by', 'at', 'previousStatus'],
+                properties: {
+                    reason: { $ref: '#/$defs/nonEmpty' },
+                    by: { $ref: '#/$defs/id', 'x-ref': 'users' },
+                    at: { $ref: '#/$defs/timestamp' },
+                    previousStatus: { enum: ['draft', 'open', 'paused', 'closed'] }
+                }
+            },
+            publishedAt: { $ref: '#/$defs/timestamp', description: 'When it first went open; saved-search alerts go out then' },
+            createdAt: { $ref: '#/$defs/timestamp' },
+            updatedAt: { $ref: '#/$defs/timestamp' }
+        }
+    }),
+
+    proposals: entity('Proposal', {
+        required: ['id', 'oppId', 'repId', 'cover', 'terms', 'status', 'submittedAt'],
+        properties: {
+            id: { $ref: '#/$defs/id' },
+            oppId: { $ref: '#/$defs/id', 'x-ref': 'opportunities' },
+            repId: { $ref: '#/$defs/id', 'x-ref': 'users' },
+            cover: { type: 'string' },
+            terms: {
+                type: 'object',
+                required: ['commissionAcceptance', 'availability', 'startDate', 'estimatedDuration'],
+                properties: {
+                    commissionAcceptance: { type: 'boolean' },
+                    availability: { type: 'string' },
+                    startDate: { type: 'string', pattern: '^(\\d{4}-\\d{2}-\\d{2})?$' },
+                    estimatedDuration: { type: 'string' }
+                }
+            },
+            attachments: { type: 'array', items: { $ref: '#/$defs/fileRef' } },
+            status: { enum: ['pending', 'accepted', 'rejected', 'withdrawn'] },
+            submittedAt: { $ref: '#/$defs/timestamp' },
+            createdAt: { $ref: '#/$defs/timestamp' },
+            updatedAt: { $ref: '#/$defs/timestamp' }
+        }
+    }),
+
+    contracts: entity('Contract', {
+        required: ['id', 'oppId', 'repId', 'businessId', 'type', 'title', 'status', 'milestones'],
+        properties: {
+            id: { $ref: '#/$defs/id' },
+            oppId: { $ref: '#/$defs/id', 'x-ref': 'opportunities' },
+            repId: { $ref: '#/$defs/id', 'x-ref': 'users' },
+            businessId: { $ref: '#/$defs/id', 'x-ref': ['businesses', 'users'] },
+            type: { enum: ['fixed', 'milestone'] },
+            title: { $ref: '#/$defs/nonEmpty' },
+            status: { enum: ['active', 'completed', 'cancelled', 'disputed'] },
+            startDate: { $ref: '#/$defs/date' },
+            endDate: { $ref: '#/$defs/date' },
+            totalValue: { $ref: '#/$defs/money' },
+            currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+            milestones: { type: 'array', items: { $ref: '#/$defs/milestone', required: ['id', 'title', 'amount', 'status'] } },
+            createdAt: { $ref: '#/$defs/timestamp' },
+            updatedAt: { $ref: '#/$defs/timestamp' }
+        }
+    }),
+
+    campaigns: entity('Campaign', {
+        required: ['id', 'opportunityId', 'repId', 'businessId', 'milestones', 'status'],
+        properties: {
+            id: { $ref: '#/$defs/id' },
+            opportunityId: { $ref: '#/$defs/id', 'x-ref': 'opportunities' },
+            repId: { $ref: '#/$defs/id', 'x-ref': 'users' },
+            businessId: { $ref: '#/$defs/id', 'x-ref': 'users' },
+            milestones: { type: 'array', items: { $ref: '#/$defs/milestone', required: ['id', 'title', 'amount', 'status'] } },
+            status: { enum: ['active', 'paused', 'completed'] },
+            createdAt: { $ref: '#/$defs/timestamp' },
+            updatedAt: { $ref: '#/$defs/timestamp' }
+        }
+    }),
+
+    messages: entity('Message', {
+        required: ['id', 'threadId', 'fromId', 'body', 'type', 'timestamp'],
+        properties: {
+            id: { $ref: '#/$defs/id' },
+            threadId: { type: 'string', pattern: '^thread-[a-z0-9-]+$' },
+            fromId: { $ref: '#/$defs/id', 'x-ref': 'users' },
+            toId: { type: ['string', 'null'], pattern: '^[a-z]+-[a-z0-9-]+$', 'x-ref': 'users' },
+            body: { type: 'string' },
+            type: { enum: ['text', 'attachment', 'system'] },
+            attachments: { type: 'array', items: { $ref: '#/$defs/fileRef' } },
+            timestamp: { $ref: '#/$defs/timestamp' },
+            read: { type: 'boolean' },
+            createdAt: { $ref: '#/$defs/timestamp' }
+        }
+    }),
+
+    products: entity('Product', {
+        required: ['id', 'businessId', 'name', 'price', 'commission', 'status'],
+        properties: {
+            id: { $ref: '#/$defs/id' },
+            businessId: { $ref: '#/$defs/id', 'x-ref': 'users' },
+            name: { $ref: '#/$defs/nonEmpty' },
+            price: { $ref: '#/$defs/money' },
+            commission: { $ref: '#/$defs/money' },
+            specs: { type: 'string' },
+            photos: { type: 'array', items: { type: 'string' } },
+            delivery: { type: 'string' },
+            status: { enum: ['pending', 'approved', 'rejected'] },
+            createdAt: { $ref: '#/$defs/timestamp' },
+            updatedAt: { $ref: '#/$defs/timestamp' }
+        }
+    }),
+
+    onboarding: entity('Onboarding', {
+        required: ['id', 'businessId', 'client', 'offering', 'status'],
+        properties: {
+            id: { $ref: '#/$defs/id' },
+            businessId: { $ref: '#/$defs/id', 'x-ref': 'users' },
+            client: {
+                type: 'object',
+                required: ['name'],
+                properties: { name: { $ref: '#/$defs/nonEmpty' }, address: { type: 'string' }, phone: { type: 'string' } }
+            },
+            offering: {
+                type: 'object',
+                required: ['kind', 'name'],
+                properties: {
+                    kind: { enum: ['Product', 'Service'] },
+                    name: { $ref: '#/$defs/nonEmpty' },
+                    billing: { type: 'string' },
+                    recurrence: { type: 'string' },
+                    segment: { enum: ['B2B', 'B2C'] }
+                }
+            },
+            status: { enum: ['ongoing', 'completed'] },
+            comms: { type: 'array', items: { type: 'string' } }
+        }
+    }),
+
+    faq: entity('FAQ entry', {
+        required: ['id', 'category', 'question', 'answer'],
+        properties: {
+            id: { $ref: '#/$defs/id' },
+            category: { $ref: '#/$defs/nonEmpty' },
+            question: { $ref: '#/$defs/nonEmpty' },
+            answer: { $ref: '#/$defs/nonEmpty' }
+        }
+    }),
+
+    disputes: entity('Dispute', {
+        required: ['id', 'contractId', 'raisedBy', 'reason', 'description', 'status', 'createdAt'],
+        properties: {
+            id: { $ref: '#/$defs/id' },
+            contractId: { $ref: '#/$defs/id', 'x-ref': 'contracts' },
+            raisedBy: { $ref: '#/$defs/id', 'x-ref': 'users' },
+            reason: { enum: ['payment', 'quality', 'scope', 'communication', 'other'] },
+            description: { $ref: '#/$defs/nonEmpty' },
+            evidence: { type: 'array', items: { $ref: '#/$defs/fileRef' } },
+            status: { enum: ['open', 'resolved', 'dismissed'] },
+            contractStatus: { enum: ['active', 'completed', 'cancelled'], description: 'Contract status to restore when the dispute closes' },
+            resolution: {
+                type: 'object',
+                required: ['note', 'by', 'at'],
+                properties: {
+                    note: { $ref: '#/$defs/nonEmpty' },
+                    by: { $ref: '#/$defs/id', 'x-ref': 'users' },
+                    at: { $ref: '#/$defs/timestamp' }
+                }
+            },
+            createdAt: { $ref: '#/$defs/timestamp' },
+            updatedAt: { $ref: '#/$defs/timestamp' }
+        }
+    }),
+
+    companies: entity('Company', {
+        description: 'A business team: the accounts that act for one company',
+        required: ['id', 'name', 'members', 'createdAt'],
+        properties: {
+            id: { $ref: '#/$defs/id' },
+            name: { $ref: '#/$defs/nonEmpty' },
+            uen: { type: 'string' },
+            members: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['userId', 'role', 'joinedAt'],
+                    properties: {
+                        userId: { $ref: '#/$defs/id', 'x-ref': 'users' },
+                        role: { enum: ['owner', 'manager', 'finance', 'viewer'] },
+                        joinedAt: { $ref: '#/$defs/timestamp' }
+                    }
+                }
+            },
+            createdAt: { $ref: '#/$defs/timestamp' },
+            updatedAt: { $ref: '#/$defs/timestamp' }
+        }
+    }),
+
+    invitations: entity('Invitation', {
+        description: 'An emailed invite to join a company; only a hash of the link token is kept',
+        required: ['id', 'companyId', 'email', 'role', 'invitedBy', 'tokenHash', 'status', 'expiresAt', 'createdAt'],
+        properties: {
+            id: { $ref: '#/$defs/id' },
+            companyId: { $ref: '#/$defs/id', 'x-ref': 'companies' },
+            email: { type: 'string', format: 'email' },
+            role: { enum: ['owner', 'manager', 'finance', 'viewer'] },
+            invitedBy: { $ref: '#/$defs/id', 'x-ref': 'users' },
+            tokenHash: { type: 'string' },
+            status: { enum: ['pending', 'accepted', 'revoked'] },
+            expiresAt: { $ref: '#/$defs/timestamp' },
+            acceptedBy: { $ref: '#/$defs/id', 'x-ref': 'users' },
+            acceptedAt: { $ref: '#/$defs/timestamp' },
+            createdAt: { $ref: '#/$defs/timestamp' },
+            updatedAt: { $ref: '#/$defs/timestamp' }
+        }
+    }),
+
+    savedSearches: entity('Saved search', {
+        description: 'A rep\'s named search on the opportunities page, alerting them to new matches',
+        required: ['id', 'userId', 'name', 'search', 'alerts', 'lastSeenAt', 'createdAt'],
+        properties: {
+            id: { $ref: '#/$defs/id' },
+            userId: { $ref: '#/$defs/id', 'x-ref': 'users' },
+            name: { $ref: '#/$defs/nonEmpty' },
+            search: {
+                type: 'object',
+                description: 'The page\'s search state, as SearchFiltersManager#getSearchParams returns it',
+                required: ['searchQuery', 'filters', 'sortBy', 'sortOrder'],
+                properties: {
+                    searchQuery: { type: 'string' },
+                    filters: {
+                        type: 'object',
+                        properties: {
+                            sector: { enum: ['B2B', 'B2C'] },
+                            type: { enum: ['Product', 'Service'] },
+                            tags: { type: 'array', items: { $ref: '#/$defs/nonEmpty' } }
+                        },
+                        additionalProperties: false
+                    },
+                    sortBy: { enum: ['relevance', 'created', 'commission'] },
+                    sortOrder: { enum: ['asc', 'desc'] }
+                }
+            },
+            alerts: { type: 'boolean', description: 'Notify (in the app and by email) when a new opportunity matches' },
+            lastSeenAt: { $ref: '#/$defs/timestamp', description: 'Opportunities published after this count as new' },
+            createdAt: { $ref: '#/$defs/timestamp' },
+            updatedAt: { $ref: '#/$defs/timestamp' }
+        }
+    }),
+
+    notifications: entity('Notification', {
+        description: 'An in-app notice for one user, shown on their dashboard',
+        required: ['id', 'userId', 'kind', 'title', 'read', 'createdAt'],
+        properties: {
+            id: { $ref: '#/$defs/id' },
+            userId: { $ref: '#/$defs/id', 'x-ref': 'users' },
+            kind: { enum: ['saved_search_match'] },
+            title: { $ref: '#/$defs/nonEmpty' },
+            body: { type: 'string' },
+            link: { type: ['string', 'null'], description: 'Root-relative page to open' },
+            savedSearchId: { $ref: '#/$defs/id', 'x-ref': 'savedSearches' },
+            opportunityId: { $ref: '#/$defs/id', 'x-ref': 'opportunities' },
+            read: { type: 'boolean' },
+            createdAt: { $ref: '#/$defs/timestamp' },
+            updatedAt: { $ref: '#/$defs/timestamp' }
+        }
+    }),
+
+    auditLog: entity('Audit log entry', {
+        description: 'One moderation or admin action; entries are only ever appended',
+        required: ['id', 'actorId', 'action', 'targetType', 'targetId', 'createdAt'],
+        properties: {
+            id: { $ref: '#/$defs/id' },
+            actorId: { $ref: '#/$defs/id', 'x-ref': 'users' },
+            actorName: { type: 'string' },
+            action: { type: 'string', pattern: '^[a-z]+\\.[a-z_]+$', description: 'e.g. "user.suspend", "dispute.resolve"' },
+            targetType: { enum: ['user', 'opportunity', 'dispute', 'securityPolicy'] },
+            targetId: { type: 'string' },
+            details: { type: 'object' },
+            createdAt: { $ref: '#/$defs/timestamp' }
+        }
+    }),
+
+    partners: entity('Partner', {
+        required: ['name', 'logo'],
+        properties: {
+            name: { $ref: '#/$defs/nonEmpty' },
+            logo: { $ref: '#/$defs/nonEmpty' }
+        }
+    })
+};
+
+const list = (items) => ({ type: 'array', items });
+const strings = (...keys) => Object.fromEntries(keys.map(key => [key, { type: 'string' }]));
+
+/**
+ * Every file under mock/ and the schema its content must satisfy. Collection
+ * files are arrays of records; the rest are single reference documents.
+ */
+export const MOCK_FILES = {
+    '/mock/users.json': { collection: 'users' },
+    '/mock/businesses.json': { collection: 'businesses' },
+    '/mock/opportunities.json': { collection: 'opportunities' },
+    '/mock/proposals.json': { collection: 'proposals' },
+    '/mock/contracts.json': { collection: 'contracts' },
+    '/mock/campaigns.json': { collection: 'campaigns' },
+    '/mock/messages.json': { collection: 'messages' },
+    '/mock/products.json': { collection: 'products' },
+    '/mock/onboarding.json': { collection: 'onboarding' },
+    '/mock/faq.json': { collection: 'faq' },
+    '/mock/partners.json': { collection: 'partners' },
+    '/mock/dashboard_business.json': {
+        schema: entity('Business dashboard', {
+            required: ['reps', 'products', 'requests', 'productApprovals'],
+            properties: {
+                reps: list({ type: 'object', required: ['id', 'name'], properties: { ...strings('id', 'name', 'productLine', 'sales', 'avatar'), star: { type: 'boolean' } } }),
+                products: list({ type: 'object', required: ['id', 'name'], properties: { ...strings('id', 'name', 'status'), commission: { type: 'number' }, price: { type: 'number' }, delta: { type: 'number' } } }),
+                requests: list({ type: 'object', required: ['id', 'name'], properties: strings('id', 'name', 'avatar') }),
+                productApprovals: list({ type: 'object', required: ['id', 'name'], properties: strings('id', 'name', 'avatar') })
+            }
+        })
+    },
+    '/mock/dashboard_rep.json': {
+        schema: entity('Rep dashboard', {
+            required: ['kpis', 'salesByCategory', 'opportunities', 'campaigns'],
+            properties: {
+                kpis: { type: 'object', required: ['totalSalesThisMonth', 'totalCommissions', 'dealsClosed', 'activeCampaigns'] },
+                salesByCategory: { type: 'object', additionalProperties: { type: 'number' } },
+                opportunities: list({ type: 'object', required: ['id', 'name'], properties: { ...strings('id', 'name', 'product', 'logoSvg'), commission: { type: 'number' }, enrolled: { type: 'boolean' } } }),
+                campaigns: list({ type: 'object', required: ['id', 'name', 'status'], properties: { ...strings('id', 'name', 'subtitle', 'status', 'iconSvg'), progress: { type: 'number', minimum: 0, maximum: 100 } } })
+            }
+        })
+    },
+    '/mock/help/articles.json': {
+        schema: entity('Help articles', {
+            required: ['topics', 'articles'],
+            properties: {
+                topics: list({ type: 'object', required: ['id', 'title'], properties: strings('id', 'title', 'desc') }),
+                articles: list({ type: 'object', required: ['id', 'topic', 'title', 'body'], properties: strings('id', 'topic', 'title', 'updated', 'excerpt', 'body') })
+            }
+        })
+    },
+    '/mock/help/faq.json': {
+        schema: entity('Help FAQ', {
+            required: ['topic', 'questions'],
+            properties: {
+                topic: { type: 'object', required: ['id', 'title'], properties: strings('id', 'title', 'desc') },
+                questions: list({ type: 'object', required: ['id', 'q', 'a_html'], properties: strings('id', 'q', 'updated', 'a_html') })
+            }
+        })
+    },
+    '/mock/singpass/business.json': {
+        schema: entity('Singpass business profile', {
+            required: ['company', 'uen', 'email'],
+            properties: { ...strings('company', 'uen', 'address', 'contact'), billingEmail: { type: 'string', format: 'email' }, email: { type: 'string', format: 'email' } }
+        })
+    },
+    '/mock/singpass/personas.json': {
+        // Test identities the local Singpass stand-in signs in as, in MyInfo's
+        // { value } / { code, desc } shape
+        schema: entity('Singpass test personas', {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['id', 'label', 'role', 'sub', 'person'],
+                properties: {
+                    id: { $ref: '#/$defs/id' },
+                    label: { $ref: '#/$defs/nonEmpty' },
+                    role: { enum: ['rep', 'business'] },
+                    sub: { $ref: '#/$defs/nonEmpty' },
+                    person: {
+                        type: 'object',
+                        required: ['uinfin', 'name'],
+                        properties: {
+                            uinfin: { type: 'object', required: ['value'], properties: { value: { type: 'string', pattern: '^[STFGM]\\d{7}[A-Z]$' } } },
+                            name: { type: 'object', required: ['value'] },
+                            email: { type: 'object', required: ['value'], properties: { value: { type: 'string', format: 'email' } } }
+                        }
+                    },
+                    entity: {
+                        type: 'object',
+                        required: ['basic-profile'],
+                        properties: {
+                            'basic-profile': { type: 'object', required: ['uen', 'entity-name'] }
+                        }
+                    }
+                }
+            }
+        })
+    },
+    '/mock/singpass/rep.json': {
+        schema: entity('Singpass rep profile', {
+            required: ['name', 'nationalId', 'email'],
+            properties: { ...strings('name', 'phone', 'address', 'nationalId', 'bankAccount'), email: { type: 'string', format: 'email' } }
+        })
+    },
+    '/mock/singpass_user.json': {
+        schema: entity('MyInfo person', {
+            required: ['name', 'nric_masked', 'dob'],
+            properties: {
+                ...strings('name', 'nric_masked', 'mobile', 'address', 'nationality', 'sex', 'race', 'marital_status', 'occupation', 'employer_name', 'employment_status'),
+                dob: { $ref: '#/$defs/date' },
+                email: { type: 'string', format: 'email' }
+            }
+        })
+    }
+};
@@ -0,0 +1,311 @@
+/**
+ * Search Index
+ * Client-side inverted index for full-text search: tokenising, light English
+ * stemming, typo tolerance, per-field weights and highlighted snippets. Kept
+ * up to date with sync(), which only re-indexes documents whose text changed.
+ */
+
+'use strict';
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+    'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+// Score multipliers by how a query term reached an indexed term
+const MATCH_QUALITY = { exact: 1, prefix: 0.7, typo: 0.5, twoTypos: 0.3 };
+
+// Words this long may have one typo, or two ('yatch') if the first letter is
+// right; shorter words have too many near neighbours
+const MIN_TYPO_LENGTH = 4;
+const TWO_TYPO_LENGTH = 5;
+
+/**
+ * Lowercase without accents: 'Café' -> 'cafe'
+ */
+function fold(word) {
+    return word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+const hasVowel = word => /[aeiouy]/.test(word);
+
+/**
+ * Strip common English suffixes so 'rentals', 'rental' and 'renting' meet.
+ * Not a full Porter stemmer; the same function runs over documents and
+ * queries, so it only has to be consistent.
+ * @param {string} word - Folded (lowercase) word
+ * @returns {string}
+ */
+export function stem(word) {
+    if (word.length <= 3 || /\d/.test(word)) return word;
+    let w = word;
+    if (w.endsWith('ies') && w.length > 4) w = `${w.slice(0, -3)}y`;
+    else if (w.endsWith('sses')) w = w.slice(0, -2);
+    else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+    for (const suffix of ['ing', 'ed']) {
+        const base = w.slice(0, -suffix.length);
+        if (w.endsWith(suffix) && base.length >= 3 && hasVowel(base)) {
+            // 'shipped' -> 'shipp' -> 'ship'
+            w = /([^aeiouslz])\1$/.test(base) ? base.slice(0, -1) : base;
+            break;
+        }
+    }
+    if (w.endsWith('ly') && w.length > 5) w = w.slice(0, -2);
+    // 'price' and 'pricing' both end up as 'pric'
+    if (w.endsWith('e') && w.length > 4) w = w.slice(0, -1);
+    return w;
+}
+
+/**
+ * Words of a text with their positions, for indexing and highlighting
+ * @param {string} text
+ * @returns {Array<{word: string, term: string, start: number, end: number}>}
+ *   term is the folded, stemmed form; stop words have term null
+ */
+export function tokenize(text) {
+    return [...String(text ?? '').matchAll(WORD)].map(match => {
+        const word = fold(match[0]);
+        return {
+            word: match[0],
+            term: STOP_WORDS.has(word) ? null : stem(word),
+            start: match.index,
+            end: match.index + match[0].length
+        };
+    });
+}
+
+/**
+ * Edit distance counting a swap of neighbours as one edit, given up once it
+ * exceeds max
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let best = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+            }
+            best = Math.min(best, row[j]);
+        }
+        if (best > max) return max + 1;
+        prevPrev = prev;
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * Escaped HTML of a text with the words whose term matched wrapped in <mark>
+ * @param {string} text
+ * @param {Iterable<string>} terms - `matched` from SearchIndex#search
+ * @returns {string}
+ */
+export function highlight(text, terms) {
+    const wanted = new Set(terms);
+    const source = String(text ?? '');
+    let html = '';
+    let at = 0;
+    tokenize(source).forEach(token => {
+        if (!token.term || !wanted.has(token.term)) return;
+        html += `${escapeHtml(source.slice(at, token.start))}<mark>${escapeHtml(token.word)}</mark>`;
+        at = token.end;
+    });
+    return html + escapeHtml(source.slice(at));
+}
+
+/**
+ * A window of a longer text around its first match, highlighted
+ * @param {string} text
+ * @param {Iterable<string>} terms - `matched` from SearchIndex#search
+ * @param {Object} [options]
+ * @param {number} [options.words] - Most words shown
+ * @returns {string} Escaped HTML, with '…' where the text was cut
+ */
+export function snippet(text, terms, { words = 24 } = {}) {
+    const source = String(text ?? '');
+    const tokens = tokenize(source);
+    if (tokens.length <= words) return highlight(source, terms);
+
+    const wanted = new Set(terms);
+    const first = Math.max(0, tokens.findIndex(token => token.term && wanted.has(token.term)));
+    // A little context before the match
+    const from = Math.max(0, Math.min(first - 4, tokens.length - words));
+    const to = Math.min(tokens.length, from + words);
+    const start = from === 0 ? 0 : tokens[from].start;
+    const end = to === tokens.length ? source.length : tokens[to - 1].end;
+    return `${start > 0 ? '…' : ''}${highlight(source.slice(start, end), terms)}${end < source.length ? '…' : ''}`;
+}
+
+/**
+ * Search Index
+ * Documents are plain objects with an `id`; fields say what to index and
+ * how much a match there counts
+ */
+export class SearchIndex {
+    /**
+     * @param {Object} options
+     * @param {Object<string, {weight: number, get?: Function}>} options.fields -
+     *   Field name -> weight, plus get(doc) for values not stored under that
+     *   name; arrays are indexed item by item
+     */
+    constructor({ fields }) {
+        this.fields = Object.entries(fields).map(([name, { weight = 1, get }]) => ({
+            name,
+            weight,
+            get: get || (doc => doc[name])
+        }));
+        // term -> id -> field -> count
+        this.postings = new Map();
+        // id -> { signature, terms }
+        this.docs = new Map();
+    }
+
+    get size() {
+        return this.docs.size;
+    }
+
+    fieldTexts(doc) {
+        return this.fields.map(field => [].concat(field.get(doc) ?? []).join('\n'));
+    }
+
+    /**
+     * Index a document, replacing an earlier version with the same id
+     */
+    add(doc) {
+        const texts = this.fieldTexts(doc);
+        const id = String(doc.id);
+        this.remove(id);
+
+        const terms = new Set();
+        texts.forEach((text, i) => {
+            tokenize(text).forEach(({ term }) => {
+                if (!term) return;
+                terms.add(term);
+                if (!this.postings.has(term)) this.postings.set(term, new Map());
+                const byDoc = this.postings.get(term);
+                if (!byDoc.has(id)) byDoc.set(id, new Map());
+                const byField = byDoc.get(id);
+                byField.set(this.fields[i].name, (byField.get(this.fields[i].name) || 0) + 1);
+            });
+        });
+        this.docs.set(id, { signature: JSON.stringify(texts), terms });
+    }
+
+    remove(id) {
+        const entry = this.docs.get(String(id));
+        if (!entry) return;
+        entry.terms.forEach(term => {
+            const byDoc = this.postings.get(term);
+            byDoc.delete(String(id));
+            if (byDoc.size === 0) this.postings.delete(term);
+        });
+        this.docs.delete(String(id));
+    }
+
+    /**
+     * Bring the index in line with the current documents, touching only
+     * what was added, removed or had its indexed text changed
+     * @param {Object[]} docs
+     * @returns {{added: number, updated: number, removed: number}}
+     */
+    sync(docs) {
+        const counts = { added: 0, updated: 0, removed: 0 };
+        const seen = new Set();
+        docs.forEach(doc => {
+            const id = String(doc.id);
+            seen.add(id);
+            const entry = this.docs.get(id);
+            if (entry && entry.signature === JSON.stringify(this.fieldTexts(doc))) return;
+            this.add(doc);
+            counts[entry ? 'updated' : 'added']++;
+        });
+        [...this.docs.keys()].filter(id => !seen.has(id)).forEach(id => {
+            this.remove(id);
+            counts.removed++;
+        });
+        return counts;
+    }
+
+    /**
+     * Indexed terms a query term reaches, best first: itself, words it
+     * starts (so results appear while typing) and near misspellings
+     * @returns {Array<{term: string, quality: number}>}
+     */
+    expand(queryTerm) {
+        const found = [];
+        this.postings.forEach((_, term) => {
+            if (term === queryTerm) found.push({ term, quality: MATCH_QUALITY.exact });
+            else if (queryTerm.length >= 2 && term.startsWith(queryTerm)) found.push({ term, quality: MATCH_QUALITY.prefix });
+            else if (queryTerm.length >= MIN_TYPO_LENGTH) {
+                const maxTypos = queryTerm.length >= TWO_TYPO_LENGTH && term[0] === queryTerm[0] ? 2 : 1;
+                const typos = editDistance(queryTerm, term, maxTypos);
+                if (typos <= maxTypos) found.push({ term, quality: typos === 1 ? MATCH_QUALITY.typo : MATCH_QUALITY.twoTypos });
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Documents containing every query term (allowing prefixes and typos),
+     * best first. Scores add up field weight x term frequency x rarity.
+     * @param {string} query
+     * @returns {Array<{id: string, score: number, matched: string[]}>|null}
+     *   null when the query has nothing to search for (empty, stop words);
+     *   matched lists the indexed terms hit, for highlight() and snippet()
+     */
+    search(query) {
+        const queryTerms = [...new Set(tokenize(query).map(token => token.term).filter(Boolean))];
+        if (queryTerms.length === 0) return null;
+
+        const total = this.docs.size;
+        let results = null;
+        for (const queryTerm of queryTerms) {
+            // id -> { score, matched } for this query term alone
+            const hits = new Map();
+            this.expand(queryTerm).forEach(({ term, quality }) => {
+                const byDoc = this.postings.get(term);
+                const rarity = Math.log(1 + total / byDoc.size);
+                byDoc.forEach((byField, id) => {
+                    let score = 0;
+                    byField.forEach((count, name) => {
+                        score += this.fields.find(field => field.name === name).weight * (1 + Math.log(count));
+                    });
+                    score *= quality * rarity;
+                    const hit = hits.get(id) || { score: 0, matched: [] };
+                    hit.score = Math.max(hit.score, score);
+                    hit.matched.push(term);
+                    hits.set(id, hit);
+                });
+            });
+
+            if (results === null) {
+                results = hits;
+                continue;
+            }
+            // Every query term has to be found
+            const next = new Map();
+            results.forEach((result, id) => {
+                const hit = hits.get(id);
+                if (hit) next.set(id, { score: result.score + hit.score, matched: [...result.matched, ...hit.matched] });
+            });
+            results = next;
+        }
+
+        return [...results]
+            .map(([id, { score, matched }]) => ({ id, score, matched: [...new Set(matched)] }))
+            .sort((a, b) => b.score - a.score);
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * SG Formats
+ * Checks for Singapore identifiers and contact details (NRIC/FIN, UEN, phone
+ * numbers, postal codes, bank accounts), shared by the form rules in
+ * ui/forms.js and the mock backend
+ */
+
+'use strict';
+
+// NRIC/FIN: prefix, 7 digits, check letter. The prefix picks the century /
+// holder type and shifts the weighted sum before the letter lookup.
+const NRIC_WEIGHTS = [2, 7, 6, 5, 4, 3, 2];
+const NRIC_OFFSET = { S: 0, T: 4, F: 0, G: 4, M: 3 };
+const NRIC_LETTERS = {
+    S: 'JZIHGFEDCBA',
+    T: 'JZIHGFEDCBA',
+    F: 'XWUTRQPNMLK',
+    G: 'XWUTRQPNMLK',
+    M: 'XWUTRQPNJLK'
+};
+
+// Entity types in "other entities" UENs (T09LL0001B): LL = LLP, CS = society…
+const UEN_ENTITY_TYPES = new Set([
+    'LP', 'LL', 'FC', 'PF', 'RF', 'MQ', 'MM', 'NB', 'CC', 'CS', 'MB', 'FM', 'GS', 'GA',
+    'GB', 'DP', 'CP', 'NR', 'CM', 'CD', 'MD', 'HS', 'VH', 'CH', 'MH', 'CL', 'XL', 'CX',
+    'RP', 'TU', 'TC', 'FB', 'FN', 'PA', 'PB', 'SS', 'MC', 'SM'
+]);
+// T = 20yy, S = 19yy, R = 18yy
+const UEN_CENTURY = { R: 1800, S: 1900, T: 2000 };
+
+// Postal sectors run 01–82; 74 was never assigned
+const POSTAL_SECTOR_MAX = 82;
+const POSTAL_SECTOR_UNUSED = 74;
+
+/**
+ * Payout banks and the digit counts their account numbers come in.
+ * `lengths: null` accepts anything from 6 to 17 digits.
+ */
+export const SG_BANKS = [
+    { code: 'DBS', name: 'DBS Bank', lengths: [10] },
+    { code: 'POSB', name: 'POSB', lengths: [9] },
+    { code: 'OCBC', name: 'OCBC Bank', lengths: [10, 12] },
+    { code: 'UOB', name: 'UOB', lengths: [10] },
+    { code: 'SCB', name: 'Standard Chartered', lengths: [10] },
+    { code: 'HSBC', name: 'HSBC', lengths: [9, 12] },
+    { code: 'CITI', name: 'Citibank', lengths: [10] },
+    { code: 'MBB', name: 'Maybank', lengths: [11] },
+    { code: 'CIMB', name: 'CIMB Bank', lengths: [10] },
+    { code: 'OTHER', name: 'Other bank', lengths: null }
+];
+const OTHER_BANK_DIGITS = { min: 6, max: 17 };
+
+const compact = value => String(value ?? '').replace(/[\s\-().]/g, '').toUpperCase();
+
+/**
+ * @param {string} value - e.g. 'S1234567D'; case and spaces are ignored
+ * @returns {boolean} Whether the check letter matches
+ */
+export function isValidNric(value) {
+    const id = compact(value);
+    const match = /^([STFGM])(\d{7})([A-Z])$/.exec(id);
+    if (!match) return false;
+    const [, prefix, digits, letter] = match;
+    const sum = NRIC_WEIGHTS.reduce((total, weight, i) => total + weight * Number(digits[i]), NRIC_OFFSET[prefix]);
+    return NRIC_LETTERS[prefix][sum % 11] === letter;
+}
+
+/**
+ * Accepts the three ACRA formats: businesses (53012345D), local companies
+ * (202012345A) and other entities (T09LL0001B). Only the shape is checked.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidUen(value) {
+    const uen = compact(value);
+    const thisYear = new Date().getFullYear();
+    if (/^\d{8}[A-Z]$/.test(uen)) return true;
+
+    const company = /^(\d{4})\d{5}[A-Z]$/.exec(uen);
+    if (company) return Number(company[1]) >= 1800 && Number(company[1]) <= thisYear;
+
+    const other = /^([RST])(\d{2})([A-Z]{2})\d{4}[A-Z]$/.exec(uen);
+    if (other) {
+        const year = UEN_CENTURY[other[1]] + Number(other[2]);
+        return year <= thisYear && UEN_ENTITY_TYPES.has(other[3]);
+    }
+    return false;
+}
+
+/**
+ * 8-digit numbers with an optional +65: mobiles start with 8 or 9, landlines
+ * with 6, and 3 is used for VoIP lines
+ * @param {string} value
+ * @param {Object} [options]
+ * @param {'any'|'mobile'|'landline'} [options.type]
+ * @returns {boolean}
+ */
+export function isValidSgPhone(value, { type = 'any' } = {}) {
+    const match = /^(?:\+?65)?([3689]\d{7})$/.exec(compact(value));
+    if (!match) return false;
+    const first = match[1][0];
+    if (type === 'mobile') return first === '8' || first === '9';
+    if (type === 'landline') return first === '6' || first === '3';
+    return true;
+}
+
+/**
+ * @param {string} value - 6 digits, e.g. '238863'
+ * @returns {boolean}
+ */
+export function isValidPostalCode(value) {
+    const code = String(value ?? '').trim();
+    if (!/^\d{6}$/.test(code)) return false;
+    const sector = Number(code.slice(0, 2));
+    return sector >= 1 && sector <= POSTAL_SECTOR_MAX && sector !== POSTAL_SECTOR_UNUSED;
+}
+
+/**
+ * The postal code in a one-line address ('123 Orchard Road, Singapore 238863')
+ * @param {string} address
+ * @returns {string|null} The last 6-digit group, or null if there is none
+ */
+export function postalCodeIn(address) {
+    const codes = String(address ?? '').match(/\b\d{6}\b/g);
+    return codes ? codes[codes.length - 1] : null;
+}
+
+/**
+ * @param {string} code - SG_BANKS code
+ * @returns {Object|undefined}
+ */
+export function bankFor(code) {
+    return SG_BANKS.find(bank => bank.code === code);
+}
+
+/**
+ * Why an account number does not fit the bank, if it doesn't
+ * @param {string} code - SG_BANKS code
+ * @param {string} number - Digits; spaces and dashes are ignored
+ * @returns {string|null} A message for the form, or null when valid
+ */
+export function bankAccountError(code, number) {
+    const bank = bankFor(code);
+    if (!bank) return 'Choose your bank';
+    const digits = String(number ?? '').replace(/[\s-]/g, '');
+    if (!/^\d+$/.test(digits)) return 'Account numbers contain digits only';
+    if (!bank.lengths) {
+        return digits.length >= OTHER_BANK_DIGITS.min && digits.length <= OTHER_BANK_DIGITS.max
+            ? null
+            : `Account numbers are ${OTHER_BANK_DIGITS.min} to ${OTHER_BANK_DIGITS.max} digits`;
+    }
+    if (bank.lengths.includes(digits.length)) return null;
+    return `${bank.name} account numbers are ${bank.lengths.join(' or ')} digits`;
+}
+
+/**
+ * Stored form of a payout account, e.g. 'DBS 0123456789'
+ * @param {string} code
+ * @param {string} number
+ * @returns {string}
+ */
+export function formatBankAccount(code, number) {
+    return `${code} ${String(number ?? '').replace(/[\s-]/g, '')}`;
+}
+
+/**
+ * Inverse of formatBankAccount. Accounts saved before banks were recorded
+ * come back with an empty bank code.
+ * @param {string} text
+ * @returns {{ bank: string, number: string }}
+ */
+export function parseBankAccount(text) {
+    const value = String(text ?? '').trim();
+    const match = /^([A-Z]+)\s+([\d\s-]+)$/.exec(value);
+    if (match && bankFor(match[1])) return { bank: match[1], number: match[2].trim() };
+    return { bank: '', number: value };
+}
+
+/**
+ * @param {string} text - Stored form, see formatBankAccount
+ * @returns {boolean}
+ */
+export function isValidBankAccount(text) {
+    const { bank, number } = parseBankAccount(text);
+    return bankAccountError(bank, number) === null;
+}
@@ -0,0 +1,49 @@
+/**
+ * Signup Draft
+ * Progress through the signup steps, kept in this browser so a reload (or
+ * coming back later) doesn't lose what was typed. The password, NRIC, bank
+ * account, home address and Singpass link are never written down; they are
+ * asked for again when a draft is resumed.
+ */
+
+'use strict';
+
+const DRAFT_KEY = 'replink_signup_draft';
+const DRAFT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Never persisted, whatever the caller passes in: the draft outlives the tab,
+// and on a shared computer the next person could read it
+const SECRET_FIELDS = [
+    'password', 'confirmPassword',
+    'nationalId', 'bankAccount', 'address',
+    'singpassTicket', 'singpassTicketExpiresAt', 'singpassLinked', 'prefilled'
+];
+
+/**
+ * The saved draft, or null when there is none or it has gone stale
+ * @returns {Object|null} Signup fields plus `step` and `savedAt` (ms)
+ */
+export function loadSignupDraft() {
+    let draft = null;
+    try {
+        draft = JSON.parse(localStorage.getItem(DRAFT_KEY));
+    } catch {
+        draft = null;
+    }
+    if (draft && Date.now() - draft.savedAt < DRAFT_TTL_MS) return draft;
+    clearSignupDraft();
+    return null;
+}
+
+/**
+ * Replace the draft; every save restarts the expiry clock
+ * @param {Object} data - Signup fields and `step`
+ */
+export function saveSignupDraft(data) {
+    const draft = Object.fromEntries(Object.entries(data).filter(([key]) => !SECRET_FIELDS.includes(key)));
+    localStorage.setItem(DRAFT_KEY, JSON.stringify({ ...draft, savedAt: Date.now() }));
+}
+
+export function clearSignupDraft() {
+    localStorage.removeItem(DRAFT_KEY);
+}
@@ -0,0 +1,172 @@
+/**
+ * Singpass
+ * Browser side of Singpass sign-in: starts an authorization-code + PKCE
+ * request against the local stand-in provider and completes it on the
+ * callback page through the backend, which does the token exchange
+ */
+
+'use strict';
+
+import { api } from './api.js';
+import { randomSecret, pkceChallenge } from './credentials.js';
+import { SINGPASS_CLIENT_ID, SINGPASS_SCOPES } from './myinfo.js';
+
+const FLOW_PREFIX = 'replink_singpass_flow:';
+const FLOW_TTL_MS = 10 * 60 * 1000;
+const RESULT_MESSAGE = 'singpass:result';
+
+/**
+ * URL of a page under /pages, wherever the site is hosted
+ */
+function pageUrl(path) {
+    return new URL(`../../pages/${path}`, import.meta.url).href;
+}
+
+export const SINGPASS_CALLBACK_URL = pageUrl('singpass/callback.html');
+
+/**
+ * Singpass Client
+ * Flows are kept in localStorage under their `state` so the callback can
+ * find them whether it opens in this tab or in a popup
+ */
+export class SingpassClient {
+    /**
+     * Send the user to the provider's consent page
+     * @param {Object} options
+     * @param {string} options.purpose - 'login' signs in a linked account; 'signup' returns MyInfo
+     * @param {string} [options.role] - 'rep' | 'business', picks the scopes
+     * @param {string} [options.next] - Where a login should land afterwards
+     * @param {boolean} [options.popup] - Open in a popup and resolve with the callback's
+     *   result instead of navigating away (keeps unsaved form state)
+     */
+    async authorize({ purpose = 'login', role = 'rep', next = null, popup = false } = {}) {
+        const flow = {
+            state: randomSecret(),
+            nonce: randomSecret(),
+            verifier: randomSecret(),
+            purpose,
+            role: role === 'business' ? 'business' : 'rep',
+            next,
+            popup,
+            createdAt: Date.now()
+        };
+
+        const url = new URL(pageUrl('singpass/authorize.html'));
+        Object.entries({
+            response_type: 'code',
+            client_id: SINGPASS_CLIENT_ID,
+            redirect_uri: SINGPASS_CALLBACK_URL,
+            scope: SINGPASS_SCOPES[flow.role].join(' '),
+            state: flow.state,
+            nonce: flow.nonce,
+            code_challenge: await pkceChallenge(flow.verifier),
+            code_challenge_method: 'S256'
+        }).forEach(([key, value]) => url.searchParams.set(key, value));
+
+        this.prune();
+        localStorage.setItem(FLOW_PREFIX + flow.state, JSON.stringify(flow));
+
+        if (!popup) {
+            location.href = url.href;
+            return null;
+        }
+        const win = window.open(url.href, 'singpass', 'width=520,height=720');
+        if (!win) {
+            localStorage.removeItem(FLOW_PREFIX + flow.state);
+            throw new Error('Allow pop-ups for this site to continue with Singpass');
+        }
+        return this.waitForPopup(win, flow.state);
+    }
+
+    waitForPopup(win, state) {
+        return new Promise((resolve, reject) => {
+            const finish = () => {
+                window.removeEventListener('message', onMessage);
+                clearInterval(watch);
+            };
+            const onMessage = (event) => {
+                if (event.origin !== location.origin || event.data?.type !== RESULT_MESSAGE || event.data.state !== state) return;
+                finish();
+                if (event.data.error) reject(new Error(event.data.error));
+                else resolve(event.data.result);
+            };
+            const watch = setInterval(() => {
+                if (!win.closed) return;
+                finish();
+                localStorage.removeItem(FLOW_PREFIX + state);
+                reject(new Error('The Singpass window was closed before finishing'));
+            }, 500);
+            window.addEventListener('message', onMessage);
+        });
+    }
+
+    /**
+     * Finish the flow on the callback page. Errors carry `.flow` (when known)
+     * so the page can still route the user back.
+     * @returns {Promise<{ flow: Object, result: Object }>} result is a session
+     *   for 'login', { profile, myinfo, singpassTicket,
+     *   singpassTicketExpiresAt } for 'signup'
+     */
+    async complete(search = location.search) {
+        const params = new URLSearchParams(search);
+        const flow = this.take(params.get('state'));
+        const failWith = (message) => Object.assign(new Error(message), { flow });
+
+        if (!flow) throw failWith('This Singpass request has expired or was already used. Please start again.');
+        if (params.get('error')) {
+            throw failWith(params.get('error') === 'access_denied'
+                ? 'Singpass sign-in was cancelled'
+                : params.get('error_description') || 'Singpass sign-in failed');
+        }
+
+        const res = await api.request('auth/singpass', {
+            method: 'POST',
+            body: JSON.stringify({
+                code: params.get('code'),
+                code_verifier: flow.verifier,
+                redirect_uri: SINGPASS_CALLBACK_URL,
+                nonce: flow.nonce,
+                purpose: flow.purpose,
+                role: flow.role
+            })
+        });
+        if (!res.success) throw Object.assign(failWith(res.error || 'Singpass sign-in failed'), { status: res.status });
+        return { flow, result: res.data };
+    }
+
+    /**
+     * Hand a popup flow's outcome to the page that opened it
+     */
+    reportToOpener(flow, { result = null, error = null }) {
+        window.opener?.postMessage({ type: RESULT_MESSAGE, state: flow.state, result, error }, location.origin);
+    }
+
+    // A flow is good for one callback only
+    take(state) {
+        if (!state) return null;
+        const key = FLOW_PREFIX + state;
+        let flow = null;
+        try {
+            flow = JSON.parse(localStorage.getItem(key));
+        } catch {
+            flow = null;
+        }
+        localStorage.removeItem(key);
+        return flow && Date.now() - flow.createdAt < FLOW_TTL_MS ? flow : null;
+    }
+
+    prune() {
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(FLOW_PREFIX))
+            .forEach(key => {
+                try {
+                    if (Date.now() - JSON.parse(localStorage.getItem(key)).createdAt < FLOW_TTL_MS) return;
+                } catch {
+                    // Unreadable: drop it
+                }
+                localStorage.removeItem(key);
+            });
+    }
+}
+
+export const singpass = new SingpassClient();
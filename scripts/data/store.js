@@ -7,16 +7,254 @@
 
 const KEY = 'replink_state_v1';
 
-const DEFAULT_STATE = {
+/**
+ * Window event fired after every committed auth change.
+ * `event.detail` is the new auth state: { isAuthed, user, token, ... }.
+ * Only the Store dispatches it; read auth through the Store, never localStorage.
+ */
+export const AUTH_CHANGED = 'auth:changed';
+const CORRUPT_KEY = `${KEY}.corrupt`;
+const CHANNEL_NAME = 'replink_state';
+
+/**
+ * Identifies this tab so it ignores its own broadcasts
+ */
+const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Bump when the persisted shape changes and append a migration below
+ */
+export const SCHEMA_VERSION = 6;
+
+const DEFAULT_STATE = Object.freeze({
+    schemaVersion: SCHEMA_VERSION,
     auth: { isAuthed: false, user: null, token: null },
     users: [],
     businesses: [],
     opportunities: [],
     proposals: [],
     contracts: [],
+    campaigns: [],
     messages: [],
-    faq: []
-};
+    products: [],
+    faq: [],
+    sessions: [],
+    seeded: {},
+    outbox: [],
+    secrets: {},
+    singpassGrants: [],
+    authTokens: [],
+    mail: [],
+    twoFactor: [],
+    securityPolicy: { requireBusinessTwoFactor: false },
+    disputes: [],
+    auditLog: [],
+    companies: [],
+    invitations: [],
+    loginThrottle: [],
+    savedSearches: [],
+    notifications: [],
+    // Accounts whose browser-only data goes when their deletion takes effect
+    localWipes: []
+});
+
+/**
+ * Fresh, deep-cloned copy of the default state
+ */
+export function createDefaultState() {
+    return JSON.parse(JSON.stringify(DEFAULT_STATE));
+}
+
+/**
+ * Ordered migrations. Each upgrades state from `version - 1` to `version`
+ * and must tolerate partially-formed input.
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        // Un-versioned state: Auth.login/register wrote `isAuthenticated` instead of `isAuthed`
+        up(state) {
+            const auth = state.auth || {};
+            const { isAuthenticated, ...rest } = auth;
+            state.auth = { ...rest, isAuthed: !!(auth.isAuthed ?? isAuthenticated) };
+            return state;
+        }
+    },
+    {
+        version: 2,
+        // Mock backend bookkeeping: seeded collections and session tokens
+        up(state) {
+            state.campaigns = state.campaigns || [];
+            state.products = state.products || [];
+            state.sessions = state.sessions || [];
+            state.seeded = state.seeded || {};
+            return state;
+        }
+    },
+    {
+        version: 3,
+        // Offline outbox for queued writes
+        up(state) {
+            state.outbox = state.outbox || [];
+            return state;
+        }
+    },
+    {
+        version: 4,
+        // Seed data moved to prefixed ids and milestone `title` (see scripts/data/schemas.js).
+        // Legacy numeric-id seed rows are dropped and their collections re-seeded;
+        // rows created through the API already had prefixed ids and are kept.
+        up(state) {
+            const renameMilestones = (list = []) => list.map(({ name, title, ...m }) => ({ ...m, title: title ?? name }));
+
+            state.seeded = state.seeded || {};
+            ['businesses', 'proposals', 'contracts', 'messages', 'faq'].forEach(key => {
+                state[key] = (state[key] || []).filter(row => !/^\d+$/.test(String(row.id)));
+                state.seeded[key] = false;
+            });
+            state.opportunities = (state.opportunities || []).map(o => ({ ...o, commission: renameMilestones(o.commission) }));
+            state.campaigns = (state.campaigns || []).map(c => ({ ...c, milestones: renameMilestones(c.milestones) }));
+            state.seeded.opportunities = false;
+            return state;
+        }
+    },
+    {
+        version: 5,
+        // Signed session tokens: the mock backend's signing key, and sessions
+        // keyed by id (old random tokens can no longer be verified)
+        up(state) {
+            state.secrets = state.secrets || {};
+            state.sessions = (state.sessions || []).filter(s => s.id);
+            state.seeded = { ...state.seeded, users: false };
+            if (state.auth?.isAuthed && !String(state.auth.token || '').includes('.')) {
+                state.auth = { isAuthed: false, user: null, token: null };
+            }
+            return state;
+        }
+    },
+    {
+        version: 6,
+        // Admin role: merge users.json again so the seeded admin account appears
+        up(state) {
+            state.seeded = { ...state.seeded, users: false };
+            return state;
+        }
+    }
+];
+
+/**
+ * Upgrade persisted state to SCHEMA_VERSION
+ * @param {Object} state - Parsed state as found in storage
+ * @returns {Object} Migrated state
+ */
+export function migrate(state) {
+    const from = Number(state.schemaVersion) || 0;
+    if (from > SCHEMA_VERSION) {
+        console.warn(`Store: persisted schema v${from} is newer than v${SCHEMA_VERSION}; loading as-is`);
+        return state;
+    }
+
+    MIGRATIONS
+        .filter(m => m.version > from)
+        .sort((a, b) => a.version - b.version)
+        .forEach(m => {
+            state = m.up(state) || state;
+            state.schemaVersion = m.version;
+        });
+
+    return state;
+}
+
+/**
+ * Fill in missing or mistyped top-level entries from the defaults
+ */
+function repair(state) {
+    const defaults = createDefaultState();
+    Object.entries(defaults).forEach(([key, fallback]) => {
+        const value = state[key];
+        const broken = Array.isArray(fallback)
+            ? !Array.isArray(value)
+            : (value === null || typeof value !== 'object' || Array.isArray(value));
+        if (key !== 'schemaVersion' && broken) {
+            if (value !== undefined) console.warn(`Store: resetting malformed "${key}"`);
+            state[key] = fallback;
+        }
+    });
+    if (!state.auth.isAuthed) state.auth = defaults.auth;
+    return state;
+}
+
+/**
+ * Read, migrate and repair persisted state. Unparseable data is moved aside
+ * to `${KEY}.corrupt` so it can be inspected, and defaults are used instead.
+ */
+function loadState() {
+    let raw = null;
+    try {
+        raw = localStorage.getItem(KEY);
+    } catch (error) {
+        console.warn('Store: localStorage unavailable, using in-memory state', error);
+    }
+    if (!raw) return createDefaultState();
+
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch (error) {
+        parsed = null;
+    }
+
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        console.warn('Store: persisted state is corrupt, starting fresh');
+        try {
+            localStorage.setItem(CORRUPT_KEY, raw);
+        } catch (error) {
+            // Backup is best-effort only
+        }
+        return createDefaultState();
+    }
+
+    try {
+        return repair(migrate(parsed));
+    } catch (error) {
+        console.error('Store: migration failed, starting fresh', error);
+        return createDefaultState();
+    }
+}
+
+/**
+ * Split 'auth.user.name' into ['auth', 'user', 'name']
+ */
+function toKeys(path) {
+    if (Array.isArray(path)) return path;
+    return String(path ?? '').split('.').filter(Boolean);
+}
+
+function readPath(obj, keys) {
+    return keys.reduce((node, key) => (node == null ? undefined : node[key]), obj);
+}
+
+/**
+ * Copy-on-write assignment: containers along the path are shallow-copied so
+ * previously returned references are never mutated under a subscriber
+ */
+function writePath(obj, keys, value) {
+    if (keys.length === 0) return value;
+    const [head, ...rest] = keys;
+    const base = obj !== null && typeof obj === 'object' ? obj : {};
+    const copy = Array.isArray(base) ? [...base] : { ...base };
+    copy[head] = writePath(base[head], rest, value);
+    return copy;
+}
+
+/**
+ * True when a change at `changed` affects a subscriber of `subscribed`:
+ * the same path, one of its children, or one of its parents
+ */
+function pathsOverlap(subscribed, changed) {
+    if (subscribed === '*' || subscribed === '' || subscribed === changed) return true;
+    return changed.startsWith(`${subscribed}.`) || subscribed.startsWith(`${changed}.`);
+}
 
 /**
  * Store Class
@@ -24,36 +262,173 @@ const DEFAULT_STATE = {
  */
 export class Store {
     constructor() {
-        const raw = localStorage.getItem(KEY);
-        this.state = raw ? JSON.parse(raw) : DEFAULT_STATE;
+        this.state = loadState();
         this.subscribers = new Map();
+        this.batchDepth = 0;
+        this.pendingPaths = new Set();
+        if (this.state.schemaVersion === SCHEMA_VERSION) this.save();
+        this.channel = this.connectTabs();
+    }
+
+    /**
+     * Share committed changes with other open tabs. BroadcastChannel carries
+     * the changed paths; browsers without it fall back to the storage event.
+     */
+    connectTabs() {
+        if (typeof BroadcastChannel === 'function') {
+            const channel = new BroadcastChannel(CHANNEL_NAME);
+            channel.onmessage = (event) => this.applyRemote(event.data);
+            return channel;
+        }
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('storage', (event) => this.handleStorageEvent(event));
+        }
+        return null;
+    }
+
+    /**
+     * Merge a change broadcast by another tab. It already persisted the new
+     * state, so this tab only updates memory and notifies its subscribers.
+     */
+    applyRemote(message) {
+        if (!message || message.source === TAB_ID || !Array.isArray(message.changes)) return;
+        if (message.schemaVersion !== SCHEMA_VERSION) {
+            console.warn('Store: ignoring change from a tab on schema', message.schemaVersion);
+            return;
+        }
+        message.changes.forEach(({ path, value }) => {
+            this.state = writePath(this.state, toKeys(path), value);
+            this.pendingPaths.add(path);
+        });
+        this.commit({ remote: true });
+    }
+
+    /**
+     * Fallback sync: diff top-level keys against what another tab wrote
+     */
+    handleStorageEvent(event) {
+        if (event.key !== KEY || !event.newValue) return;
+        let next;
+        try {
+            next = repair(migrate(JSON.parse(event.newValue)));
+        } catch (error) {
+            return;
+        }
+        Object.keys(next).forEach(key => {
+            if (JSON.stringify(next[key]) !== JSON.stringify(this.state[key])) {
+                this.state = writePath(this.state, [key], next[key]);
+                this.pendingPaths.add(key);
+            }
+        });
+        this.commit({ remote: true });
     }
 
     /**
      * Save state to localStorage
      */
     save() {
-        localStorage.setItem(KEY, JSON.stringify(this.state));
+        try {
+            localStorage.setItem(KEY, JSON.stringify(this.state));
+        } catch (error) {
+            console.error('Store: failed to persist state', error);
+        }
     }
 
     /**
      * Get data from store
+     * @param {string} path - Top-level key or dot path, e.g. 'auth.user.name'
+     * @param {*} [fallback] - Returned when nothing is stored at path
      */
-    get(path) {
-        if (path === 'auth') return this.state.auth;
-        return this.state[path];
+    get(path, fallback) {
+        const value = readPath(this.state, toKeys(path));
+        return value === undefined ? fallback : value;
     }
 
     /**
-     * Set data in store
+     * Set data in store and notify subscribers of the path, its parents and children
+     * @param {string} path - Top-level key or dot path
+     * @param {*} value - New value
      */
     set(path, value) {
-        this.state[path] = value;
-        this.save();
-        
+        const keys = toKeys(path);
+        if (keys.length === 0) throw new Error('Store.set requires a path');
+        this.state = writePath(this.state, keys, value);
+        this.pendingPaths.add(keys.join('.'));
+        if (this.batchDepth === 0) this.commit();
+    }
+
+    /**
+     * Update data at path from its current value
+     * @param {string} path - Top-level key or dot path
+     * @param {Function|Object} updater - fn(current) => next, or an object patch to merge
+     */
+    update(path, updater) {
+        const current = this.get(path);
+        const next = typeof updater === 'function'
+            ? updater(current)
+            : { ...(current || {}), ...updater };
+        this.set(path, next);
+        return next;
+    }
+
+    /**
+     * Apply several changes with a single save and one notification per subscriber
+     * @param {Function} fn - Receives the store; nested transactions join the outer one
+     */
+    transaction(fn) {
+        this.batchDepth++;
+        try {
+            return fn(this);
+        } finally {
+            this.batchDepth--;
+            if (this.batchDepth === 0) this.commit();
+        }
+    }
+
+    /**
+     * Persist, broadcast and notify for everything changed since the last commit
+     * @param {Object} [options]
+     * @param {boolean} [options.remote] - Change came from another tab: skip save and broadcast
+     */
+    commit({ remote = false } = {}) {
+        if (this.pendingPaths.size === 0) return;
+        const changed = [...this.pendingPaths];
+        this.pendingPaths.clear();
+
+        if (!remote) {
+            this.save();
+            this.broadcast(changed);
+        }
+
+        this.subscribers.forEach((callbacks, subscribed) => {
+            const hits = changed.filter(path => pathsOverlap(subscribed, path));
+            if (hits.length === 0) return;
+            const value = subscribed === '*' ? this.state : this.get(subscribed);
+            [...callbacks].forEach(callback => {
+                try {
+                    callback(value, hits, { remote });
+                } catch (error) {
+                    console.error(`Store subscriber for "${subscribed}" failed:`, error);
+                }
+            });
+        });
+
         // Broadcast auth changes
-        if (path === 'auth') {
-            window.dispatchEvent(new CustomEvent('auth:changed', { detail: value }));
+        if (changed.some(path => pathsOverlap('auth', path))) {
+            window.dispatchEvent(new CustomEvent(AUTH_CHANGED, { detail: this.state.auth }));
+        }
+    }
+
+    broadcast(paths) {
+        if (!this.channel) return;
+        try {
+            this.channel.postMessage({
+                source: TAB_ID,
+                schemaVersion: SCHEMA_VERSION,
+                changes: paths.map(path => ({ path, value: this.get(path) }))
+            });
+        } catch (error) {
+            console.warn('Store: failed to broadcast change', error);
         }
     }
 
@@ -68,7 +443,7 @@ export class Store {
      * Clear authentication state
      */
     clearAuth() {
-        this.set('auth', { isAuthed: false, user: null, token: null });
+        this.set('auth', createDefaultState().auth);
     }
 
     /**
@@ -77,11 +452,14 @@ export class Store {
     updateUser(patch) {
         const auth = this.get('auth');
         if (!auth?.user) return;
-        this.setAuth({ ...auth, user: { ...auth.user, ...patch } });
+        this.update('auth.user', patch);
     }
 
     /**
      * Subscribe to store changes
+     * @param {string} path - Dot path to watch, or '*' for every change
+     * @param {Function} callback - fn(valueAtPath, changedPaths, { remote })
+     * @returns {Function} Unsubscribe function
      */
     subscribe(path, callback) {
         if (!this.subscribers.has(path)) {
@@ -133,16 +511,24 @@ export class Store {
      * Set all data (legacy compatibility)
      */
     setAll(data) {
-        this.state = { ...DEFAULT_STATE, ...data };
-        this.save();
+        this.replaceState(repair(migrate({ ...createDefaultState(), ...data })));
     }
 
     /**
      * Clear all data
      */
     clear() {
-        this.state = { ...DEFAULT_STATE };
-        this.save();
+        this.replaceState(createDefaultState());
+    }
+
+    /**
+     * Swap the whole state and notify every top-level key
+     */
+    replaceState(next) {
+        const keys = new Set([...Object.keys(this.state), ...Object.keys(next)]);
+        this.state = next;
+        keys.forEach(key => this.pendingPaths.add(key));
+        if (this.batchDepth === 0) this.commit();
     }
 
     /**
@@ -0,0 +1,69 @@
+/**
+ * Team Roles
+ * What each member of a business team may do, shared by the mock backend
+ * (which enforces it) and the business dashboard (which hides what a role
+ * can't use)
+ */
+
+'use strict';
+
+/**
+ * Roles in the order the team section lists them
+ */
+export const TEAM_ROLES = [
+    { value: 'owner', label: 'Owner', summary: 'Everything, including the team and payout details' },
+    { value: 'manager', label: 'Manager', summary: 'Posts opportunities and works with reps' },
+    { value: 'finance', label: 'Finance', summary: 'Approves milestones and manages payout details' },
+    { value: 'viewer', label: 'Viewer', summary: 'Sees everything, changes nothing' }
+];
+
+const PERMISSIONS = {
+    owner: ['team.manage', 'opportunities.post', 'milestones.approve', 'billing.manage'],
+    manager: ['opportunities.post'],
+    finance: ['milestones.approve', 'billing.manage'],
+    viewer: []
+};
+
+/**
+ * Phrases for "Your role can't …" messages
+ */
+export const PERMISSION_LABELS = {
+    'team.manage': 'manage the team',
+    'opportunities.post': 'post opportunities',
+    'milestones.approve': 'approve milestones',
+    'billing.manage': 'change payout details'
+};
+
+/**
+ * @param {string} role - TEAM_ROLES value
+ * @returns {boolean}
+ */
+export function isTeamRole(role) {
+    return Object.hasOwn(PERMISSIONS, role);
+}
+
+/**
+ * @param {string} role - TEAM_ROLES value
+ * @param {string} permission - Key of PERMISSION_LABELS
+ * @returns {boolean}
+ */
+export function teamCan(role, permission) {
+    return !!PERMISSIONS[role]?.includes(permission);
+}
+
+/**
+ * @param {string} role
+ * @returns {string} e.g. 'Finance'; the raw value for unknown roles
+ */
+export function teamRoleLabel(role) {
+    return TEAM_ROLES.find(r => r.value === role)?.label || role;
+}
+
+/**
+ * Roles that hold a permission, for "ask an owner or manager" hints
+ * @param {string} permission
+ * @returns {string[]} Labels, e.g. ['Owner', 'Manager']
+ */
+export function rolesWith(permission) {
+    return TEAM_ROLES.filter(r => teamCan(r.value, permission)).map(r => r.label);
+}
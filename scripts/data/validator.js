@@ -0,0 +1,178 @@
+/**
+ * Schema Validator
+ * Checks data against the JSON Schemas in schemas.js and reports every
+ * problem with a path, e.g. `contracts[2].milestones[0].title: is required`
+ */
+
+'use strict';
+
+import { SCHEMAS, MOCK_FILES } from './schemas.js';
+
+/**
+ * Supported `format` values
+ */
+const FORMATS = {
+    'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !Number.isNaN(Date.parse(value)),
+    date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    uri: value => /^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(value)
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref ${ref}`);
+    return ref.slice(2).split('/').reduce((node, key) => node?.[key], root);
+}
+
+function describe(value) {
+    const text = JSON.stringify(value);
+    return text && text.length > 40 ? `${text.slice(0, 40)}…` : text;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object|boolean} schema - JSON Schema; `$ref`s resolve against `root`,
+ *   `false` rejects any value
+ * @param {*} value
+ * @param {string} path - Label for the value in error messages
+ * @returns {Array<{ path: string, message: string }>} Empty when valid
+ */
+export function validate(schema, value, path = '$', root = schema) {
+    const errors = [];
+    const error = (message, at = path) => errors.push({ path: at, message });
+
+    if (schema === false) {
+        error('is not allowed');
+        return errors;
+    }
+    if (schema === true) return errors;
+
+    if (schema.$ref) {
+        errors.push(...validate(resolveRef(root, schema.$ref), value, path, root));
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            error(`expected ${types.join(' or ')}, got ${typeOf(value)}`);
+            return errors;
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        error(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${describe(value)}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            error(value.length === 0 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            error(`${describe(value)} does not match ${schema.pattern}`);
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            error(`${describe(value)} is not a valid ${schema.format}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) error(`must be ≥ ${schema.minimum}, got ${value}`);
+        if (schema.maximum !== undefined && value > schema.maximum) error(`must be ≤ ${schema.maximum}, got ${value}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            error(`must have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`, root)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) error('is required', `${path}.${key}`);
+        });
+        Object.entries(value).forEach(([key, child]) => {
+            const property = schema.properties?.[key];
+            if (property) {
+                errors.push(...validate(property, child, `${path}.${key}`, root));
+            } else if (schema.additionalProperties === false) {
+                error('is not allowed', `${path}.${key}`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validate(schema.additionalProperties, child, `${path}.${key}`, root));
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Validate one record of a collection written through the API
+ */
+export function validateRecord(collection, record) {
+    const schema = SCHEMAS[collection];
+    return schema ? validate(schema, record, collection) : [];
+}
+
+/**
+ * Validate the content of a mock/ file
+ * @param {string} file - Key of MOCK_FILES, e.g. '/mock/contracts.json'
+ */
+export function validateFile(file, data) {
+    const entry = MOCK_FILES[file];
+    if (!entry) return [{ path: file, message: 'has no schema; add it to MOCK_FILES in schemas.js' }];
+    if (!entry.collection) return validate(entry.schema, data, file);
+
+    if (!Array.isArray(data)) return [{ path: file, message: `expected an array of ${entry.collection}, got ${typeOf(data)}` }];
+    const errors = data.flatMap((record, i) => validate(SCHEMAS[entry.collection], record, `${file}[${i}]`));
+    const seen = new Set();
+    data.forEach((record, i) => {
+        if (record?.id === undefined) return;
+        if (seen.has(record.id)) errors.push({ path: `${file}[${i}].id`, message: `duplicate id ${describe(record.id)}` });
+        seen.add(record.id);
+    });
+    return errors;
+}
+
+/**
+ * Follow every `x-ref` field and report ids that point at nothing
+ * @param {Object} datasets - { [collection]: records[] }
+ */
+export function checkReferences(datasets) {
+    const ids = Object.fromEntries(Object.entries(datasets).map(([name, rows]) =>
+        [name, new Set((rows || []).map(row => row.id))]));
+    const errors = [];
+
+    Object.entries(datasets).forEach(([collection, rows]) => {
+        const properties = SCHEMAS[collection]?.properties || {};
+        const links = Object.entries(properties).filter(([, property]) => property['x-ref']);
+        (rows || []).forEach((row, i) => links.forEach(([key, property]) => {
+            const value = row[key];
+            const targets = [].concat(property['x-ref']).filter(target => ids[target]);
+            if (value == null || targets.length === 0) return;
+            if (!targets.some(target => ids[target].has(value))) {
+                errors.push({ path: `${collection}[${i}].${key}`, message: `${describe(value)} not found in ${targets.join(' or ')}` });
+            }
+        }));
+    });
+    return errors;
+}
+
+/**
+ * One line per problem, for consoles and error messages
+ */
+export function formatErrors(errors) {
+    return errors.map(({ path, message }) => `${path}: ${message}`).join('\n');
+}
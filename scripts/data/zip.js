@@ -0,0 +1,84 @@
+/**
+ * Zip
+ * Minimal ZIP writer for downloads built in the browser (the data export).
+ * Entries are stored uncompressed, which every unzip tool reads.
+ */
+
+'use strict';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+// General purpose flag: names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS date and time fields, local time with 2-second resolution
+ */
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+async function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (typeof data === 'string') return new TextEncoder().encode(data);
+    return new Uint8Array(await data.arrayBuffer());
+}
+
+function header(size, fields) {
+    const view = new DataView(new ArrayBuffer(size));
+    fields.forEach(([offset, bytes, value]) => {
+        if (bytes === 2) view.setUint16(offset, value, true);
+        else view.setUint32(offset, value, true);
+    });
+    return new Uint8Array(view.buffer);
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{name: string, data: string|Uint8Array|Blob}>} entries - Paths use '/'
+ * @param {Object} [options]
+ * @param {Date} [options.date] - Modification time recorded for every entry
+ * @returns {Promise<Blob>} application/zip
+ */
+export async function createZip(entries, { date = new Date() } = {}) {
+    const { time, day } = dosDateTime(date);
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = new TextEncoder().encode(entry.name);
+        const data = await toBytes(entry.data);
+        const crc = crc32(data);
+        const local = header(30, [
+            [0, 4, 0x04034b50], [4, 2, 20], [6, 2, UTF8_FLAG], [8, 2, 0], [10, 2, time], [12, 2, day],
+            [14, 4, crc], [18, 4, data.length], [22, 4, data.length], [26, 2, name.length], [28, 2, 0]
+        ]);
+        directory.push(header(46, [
+            [0, 4, 0x02014b50], [4, 2, 20], [6, 2, 20], [8, 2, UTF8_FLAG], [10, 2, 0], [12, 2, time],
+            [14, 2, day], [16, 4, crc], [20, 4, data.length], [24, 4, data.length], [28, 2, name.length],
+            [30, 2, 0], [32, 2, 0], [34, 2, 0], [36, 2, 0], [38, 4, 0], [42, 4, offset]
+        ]), name);
+        parts.push(local, name, data);
+        offset += local.length + name.length + data.length;
+    }
+
+    const size = directory.reduce((sum, part) => sum + part.length, 0);
+    const end = header(22, [
+        [0, 4, 0x06054b50], [4, 2, 0], [6, 2, 0], [8, 2, entries.length], [10, 2, entries.length],
+        [12, 4, size], [16, 4, offset], [20, 2, 0]
+    ]);
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
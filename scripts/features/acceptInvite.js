@@ -0,0 +1,107 @@
+/**
+ * Accept Invite
+ * Opened from a team invitation email: joins the company as the signed-in
+ * account, or creates the account for a colleague who is new to Rep-Link
+ */
+
+import { api } from '../data/api.js';
+import { store } from '../data/store.js';
+import { teamRoleLabel } from '../data/teamRoles.js';
+import { dashboardHrefFor } from '../app.js';
+
+const token = new URLSearchParams(location.search).get('token');
+
+function setStatus(message) {
+    document.getElementById('invite-status').textContent = message;
+}
+
+function showError(message) {
+    const el = document.getElementById('invite-error');
+    el.textContent = message;
+    el.classList.toggle('hidden', !message);
+}
+
+function reveal(id) {
+    document.getElementById(id).classList.remove('hidden');
+}
+
+/**
+ * Keep the session the backend opened and go to the new team
+ */
+function finish({ user, token: sessionToken, expiresAt }) {
+    store.setAuth({ isAuthed: true, user, token: sessionToken, expiresAt });
+    location.href = `${dashboardHrefFor(user)}#team`;
+}
+
+async function accept(body, button) {
+    button.disabled = true;
+    showError('');
+    const res = await api.request('team/invitations/accept', { method: 'POST', body: JSON.stringify({ token, ...body }) });
+    if (!res.success) {
+        button.disabled = false;
+        showError(res.error || 'Could not accept the invitation.');
+        if (res.code === 'account_exists') reveal('invite-login');
+        return;
+    }
+    finish(res.data);
+}
+
+function handleSignup(e) {
+    e.preventDefault();
+    const form = e.target;
+    const name = form.name.value.trim();
+    const password = form.password.value;
+    if (!name) {
+        showError('Enter your name.');
+        return;
+    }
+    if (password.length < 8) {
+        showError('Password must be at least 8 characters.');
+        return;
+    }
+    if (password !== form.confirmPassword.value) {
+        showError('Passwords do not match.');
+        return;
+    }
+    accept({ name, password }, form.querySelector('button[type="submit"]'));
+}
+
+async function initAcceptInvite() {
+    if (!token) {
+        setStatus('Open the link in your invitation email to join your team.');
+        return;
+    }
+
+    const res = await api.request(`team/invitations/lookup?token=${encodeURIComponent(token)}`);
+    if (!res.success) {
+        setStatus('We could not open this invitation.');
+        showError(res.error || 'This invitation is invalid.');
+        return;
+    }
+
+    const invite = res.data;
+    const auth = store.get('auth');
+    setStatus(`${invite.invitedBy} invited ${invite.email} to join ${invite.company} as ${teamRoleLabel(invite.role)}.`);
+
+    // Come back here after logging in
+    document.getElementById('invite-login').href = `login.html?next=${encodeURIComponent(location.pathname + location.search)}`;
+
+    if (auth?.isAuthed) {
+        if (String(auth.user?.email).toLowerCase() !== invite.email) {
+            showError(`You're signed in as ${auth.user?.email}. Log out and sign in as ${invite.email} to accept.`);
+            return;
+        }
+        reveal('invite-accept');
+        const button = document.getElementById('invite-accept-btn');
+        button.addEventListener('click', () => accept({}, button));
+    } else if (invite.accountExists) {
+        reveal('invite-login');
+    } else {
+        document.getElementById('inviteEmail').value = invite.email;
+        const form = document.getElementById('invite-signup-form');
+        form.classList.remove('hidden');
+        form.addEventListener('submit', handleSignup);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initAcceptInvite);
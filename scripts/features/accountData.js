@@ -0,0 +1,171 @@
+/**
+ * Account Data
+ * The "Your data" card on the profile pages: download everything Rep-Link
+ * holds about the user (JSON, or a ZIP with their uploaded files) and ask
+ * for the account to be deleted, or change their mind during the grace period
+ */
+
+import { api } from '../data/api.js';
+import { store } from '../data/store.js';
+import { blobStore } from '../data/blobStore.js';
+import { createZip } from '../data/zip.js';
+
+const $ = id => document.getElementById(id);
+
+// The profile pages keep extra details and images in this browser only
+const LOCAL_PROFILE_PREFIX = { rep: 'profile.rep', business: 'profile.biz' };
+const LOCAL_IMAGE_KINDS = ['avatar', 'logo'];
+
+const README = `Rep-Link data export
+
+data.json     Everything Rep-Link holds about your account: profile, company,
+              opportunities, proposals, contracts, disputes, messages and the
+              emails we sent you. "browser" lists what this browser kept.
+files/        Files you uploaded from this browser, by kind.
+
+Passwords, two-factor secrets and recovery codes are never exported.
+`;
+
+function showError(message) {
+  $('dataError').textContent = message || '';
+  $('dataError').hidden = !message;
+}
+
+const localKey = user => LOCAL_PROFILE_PREFIX[user.role] && `${LOCAL_PROFILE_PREFIX[user.role]}.${user.id}`;
+const stamp = () => new Date().toISOString().slice(0, 10);
+
+function download(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const link = Object.assign(document.createElement('a'), { href: url, download: name });
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function collect(user) {
+  const res = await api.request('account/export');
+  if (!res.success) throw new Error(res.error || 'Could not prepare your data.');
+  const key = localKey(user);
+  return {
+    ...res.data,
+    browser: {
+      profile: key ? JSON.parse(localStorage.getItem(key) || 'null') : null,
+      files: await blobStore.list({ owner: user.id }).catch(() => [])
+    }
+  };
+}
+
+async function exportJson(user) {
+  const data = await collect(user);
+  download(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `replink-data-${stamp()}.json`);
+}
+
+async function exportZip(user) {
+  const data = await collect(user);
+  const entries = [
+    { name: 'README.txt', data: README },
+    { name: 'data.json', data: JSON.stringify(data, null, 2) }
+  ];
+  for (const ref of data.browser.files) {
+    const record = await blobStore.get(ref.id);
+    if (record) entries.push({ name: `files/${ref.kind}/${ref.id}-${ref.name}`, data: record.blob });
+  }
+  download(await createZip(entries), `replink-data-${stamp()}.zip`);
+}
+
+/**
+ * Profile details and images that only ever lived in this browser
+ */
+async function forgetLocalCopies(user) {
+  const key = localKey(user);
+  if (key) localStorage.removeItem(key);
+  const images = await blobStore.list({ owner: user.id }).catch(() => []);
+  await Promise.all(images.filter(ref => LOCAL_IMAGE_KINDS.includes(ref.kind)).map(ref => blobStore.remove(ref.id)));
+}
+
+// Kept until the deletion takes effect, so cancelling loses nothing
+function scheduleLocalWipe(user, deletion) {
+  store.update('localWipes', (wipes = []) => [
+    ...wipes.filter(w => w.userId !== user.id),
+    ...(deletion ? [{ userId: user.id, role: user.role, effectiveAt: deletion.effectiveAt }] : [])
+  ]);
+}
+
+/**
+ * Remove this browser's copies for accounts whose grace period is over, in
+ * step with the backend erasing its own
+ */
+export async function forgetDeletedAccounts() {
+  const due = store.get('localWipes', []).filter(w => Date.parse(w.effectiveAt) <= Date.now());
+  const settled = [];
+  for (const wipe of due) {
+    // Still signed in after the date: the deletion may have been cancelled elsewhere
+    if (wipe.userId === store.get('auth.user.id')) {
+      const res = await api.request('auth/verify', { method: 'POST' });
+      // Backend unreachable: try again on a later page
+      if (res.status === 0) continue;
+      const kept = res.success && res.data.valid && !res.data.user.deletion;
+      if (!kept) await forgetLocalCopies({ id: wipe.userId, role: wipe.role });
+    } else {
+      await forgetLocalCopies({ id: wipe.userId, role: wipe.role });
+    }
+    settled.push(wipe.userId);
+  }
+  if (settled.length) store.update('localWipes', (wipes = []) => wipes.filter(w => !settled.includes(w.userId)));
+}
+
+function renderDeletion(deletion) {
+  $('deleteRequest').hidden = !!deletion;
+  $('deletePending').hidden = !deletion;
+  if (deletion) {
+    const on = new Date(deletion.effectiveAt).toLocaleDateString('en-SG', { dateStyle: 'long' });
+    $('deleteStatus').textContent = `Your account will be deleted on ${on}. Until then you can keep it.`;
+  }
+}
+
+export async function initAccountData() {
+  if (!$('your-data')) return;
+  const user = store.get('auth.user');
+
+  const busy = (button, run) => async () => {
+    showError('');
+    button.disabled = true;
+    try {
+      await run(user);
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      button.disabled = false;
+    }
+  };
+  $('exportJson').addEventListener('click', busy($('exportJson'), exportJson));
+  $('exportZip').addEventListener('click', busy($('exportZip'), exportZip));
+
+  $('deleteAccount').addEventListener('click', busy($('deleteAccount'), async () => {
+    const password = $('deletePassword').value;
+    if (!password) throw new Error('Enter your password to confirm.');
+    if (!confirm('Delete your Rep-Link account? It is deleted in 14 days, along with the profile details and images saved in this browser, unless you cancel.')) return;
+    const res = await api.request('account/deletion', { method: 'POST', body: JSON.stringify({ password }) });
+    $('deletePassword').value = '';
+    if (!res.success) throw new Error(res.error || 'Could not delete your account.');
+    scheduleLocalWipe(user, res.data.deletion);
+    store.updateUser({ deletion: res.data.deletion });
+    renderDeletion(res.data.deletion);
+  }));
+
+  $('cancelDeletion').addEventListener('click', busy($('cancelDeletion'), async () => {
+    const res = await api.request('account/deletion', { method: 'DELETE' });
+    if (!res.success) throw new Error(res.error || 'Could not cancel the deletion.');
+    scheduleLocalWipe(user, null);
+    store.updateUser({ deletion: null });
+    renderDeletion(null);
+  }));
+
+  renderDeletion(user.deletion);
+  // A deletion asked for on another device shows here too
+  const res = await api.request('auth/verify', { method: 'POST' });
+  if (res.success && res.data.valid) {
+    renderDeletion(res.data.user.deletion);
+    scheduleLocalWipe(user, res.data.user.deletion);
+  }
+  if (location.hash === '#your-data') $('your-data').scrollIntoView();
+}
@@ -0,0 +1,388 @@
+/**
+ * Admin Console
+ * Moderation for admin accounts: review and verify new reps and businesses,
+ * suspend users, take down opportunities, resolve disputes and read the
+ * audit log every one of those actions is written to
+ */
+
+import { api } from '../data/api.js';
+import { blobStore } from '../data/blobStore.js';
+import { Toast, Modal } from '../ui/components.js';
+import { requireAdmin } from './guards.js';
+
+const toast = new Toast();
+
+const DISPUTE_REASONS = {
+    payment: 'Payment issues',
+    quality: 'Work quality',
+    scope: 'Scope changes',
+    communication: 'Communication issues',
+    other: 'Other'
+};
+
+const ACTION_LABELS = {
+    'user.verify': 'Verified',
+    'user.unverify': 'Removed verification',
+    'user.suspend': 'Suspended',
+    'user.reinstate': 'Reinstated',
+    'opportunity.takedown': 'Took down',
+    'opportunity.restore': 'Restored',
+    'opportunity.edit': 'Edited',
+    'dispute.resolve': 'Resolved dispute',
+    'dispute.dismiss': 'Dismissed dispute',
+    'policy.update': 'Changed security policy'
+};
+
+function esc(s = '') {
+    return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function formatDate(iso) {
+    return iso ? new Date(iso).toLocaleString('en-SG', { dateStyle: 'medium', timeStyle: 'short' }) : '';
+}
+
+const $ = id => document.getElementById(id);
+const put = (route, body = {}) => api.request(route, { method: 'PUT', body: JSON.stringify(body) });
+
+/**
+ * Ask for the reason or note an action is recorded with
+ * @returns {Promise<string|null>} The text, or null if cancelled
+ */
+function askForNote({ title, label, confirmLabel, optional = false }) {
+    const modal = new Modal({ closable: false, keyboard: false });
+    return new Promise(resolve => {
+        modal.show(`
+            <form data-admin-note novalidate>
+                <div class="form-group">
+                    <label for="admin-note" class="form-label">${esc(label)}</label>
+                    <textarea id="admin-note" name="note" class="form-textarea" rows="3"></textarea>
+                    <div class="form-help">Recorded in the audit log${optional ? '' : ' and sent to the people affected'}.</div>
+                </div>
+                <div class="modal__footer">
+                    <button type="button" class="btn btn--secondary" data-admin-cancel>Cancel</button>
+                    <button type="submit" class="btn btn--primary">${esc(confirmLabel)}</button>
+                </div>
+            </form>`, title);
+
+        const form = modal.modal.querySelector('[data-admin-note]');
+        form.note.focus();
+        form.querySelector('[data-admin-cancel]').addEventListener('click', () => {
+            modal.hide();
+            resolve(null);
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const note = form.note.value.trim();
+            if (!note && !optional) {
+                form.note.focus();
+                return;
+            }
+            modal.hide();
+            resolve(note);
+        });
+    });
+}
+
+/**
+ * Run a moderation request and reload what it changed
+ */
+async function act(request, success) {
+    const res = await request;
+    if (!res.success) {
+        toast.show(res.error || 'That did not work', 'error');
+        return false;
+    }
+    toast.show(success, 'success');
+    await Promise.all([loadOverview(), loadAudit()]);
+    return true;
+}
+
+// ---------------------------------------------------------------------
+// Overview
+// ---------------------------------------------------------------------
+
+async function loadOverview() {
+    const res = await api.request('admin/overview');
+    if (!res.success) return;
+    Object.entries(res.data).forEach(([key, value]) => {
+        const el = document.querySelector(`[data-kpi="${key}"]`);
+        if (el) el.textContent = value;
+    });
+}
+
+// ---------------------------------------------------------------------
+// Users
+// ---------------------------------------------------------------------
+
+function userStatus(user) {
+    if (user.suspended) return '<span class="badge badge--danger">Suspended</span>';
+    if (user.verified) return '<span class="badge badge--success">Verified</span>';
+    return '<span class="badge badge--warning">Pending review</span>';
+}
+
+function renderUser(user) {
+    const profile = user.profile || {};
+    const details = user.role === 'business'
+        ? [user.company, profile.uen && `UEN ${profile.uen}`, profile.contact]
+        : [user.phone, profile.nationalId && `NRIC ${profile.nationalId.replace(/^(\w)\w+(\w{4})$/, '$1****$2')}`];
+    const flags = [
+        user.singpassLinked ? 'Singpass linked' : 'No Singpass',
+        user.emailVerified === false ? 'Email unverified' : 'Email verified'
+    ];
+    return `
+        <tr data-user-id="${esc(user.id)}">
+            <td>
+                <strong>${esc(user.name)}</strong>
+                <div class="admin-muted">${esc(user.email)}</div>
+            </td>
+            <td>${user.role === 'business' ? 'Business' : 'Sales rep'}</td>
+            <td>
+                ${details.filter(Boolean).map(esc).join('<br>') || '<span class="admin-muted">No details</span>'}
+                <div class="admin-muted">${flags.join(' · ')}</div>
+            </td>
+            <td>${formatDate(user.createdAt)}</td>
+            <td>
+                ${userStatus(user)}
+                ${user.suspended && user.suspensionReason ? `<div class="admin-muted">${esc(user.suspensionReason)}</div>` : ''}
+            </td>
+            <td class="admin-actions">
+                ${user.suspended ? '' : `<button class="btn btn--small btn--secondary" data-action="${user.verified ? 'unverify' : 'verify'}">${user.verified ? 'Unverify' : 'Verify'}</button>`}
+                <button class="btn btn--small ${user.suspended ? 'btn--secondary' : 'btn--danger'}" data-action="${user.suspended ? 'reinstate' : 'suspend'}">${user.suspended ? 'Reinstate' : 'Suspend'}</button>
+            </td>
+        </tr>`;
+}
+
+async function loadUsers() {
+    const res = await api.request('admin/users', {
+        query: { role: $('user-role').value, state: $('user-state').value, q: $('user-search').value.trim() }
+    });
+    const body = $('user-rows');
+    if (!res.success) {
+        body.innerHTML = `<tr><td colspan="6">${esc(res.error || 'Could not load users.')}</td></tr>`;
+        return;
+    }
+    body.innerHTML = res.data.length
+        ? res.data.map(renderUser).join('')
+        : '<tr><td colspan="6" class="admin-muted">Nobody matches these filters.</td></tr>';
+}
+
+async function handleUserAction(action, userId) {
+    const route = `admin/users/${encodeURIComponent(userId)}`;
+    let done = false;
+    if (action === 'verify' || action === 'unverify') {
+        done = await act(put(`${route}/verify`, { verified: action === 'verify' }),
+            action === 'verify' ? 'Account verified' : 'Verification removed');
+    } else if (action === 'suspend') {
+        const reason = await askForNote({ title: 'Suspend account', label: 'Reason for the suspension', confirmLabel: 'Suspend' });
+        if (reason === null) return;
+        done = await act(put(`${route}/suspend`, { suspended: true, reason }), 'Account suspended and signed out');
+    } else if (action === 'reinstate') {
+        done = await act(put(`${route}/suspend`, { suspended: false }), 'Account reinstated');
+    }
+    if (done) loadUsers();
+}
+
+// ---------------------------------------------------------------------
+// Opportunities
+// ---------------------------------------------------------------------
+
+function renderOpportunity(opp) {
+    const removed = opp.status === 'removed';
+    return `
+        <tr data-opportunity-id="${esc(opp.id)}">
+            <td>
+                <a href="opportunity-detail.html?id=${encodeURIComponent(opp.id)}">${esc(opp.title)}</a>
+                <div class="admin-muted">${esc(opp.company)}</div>
+            </td>
+            <td>${formatDate(opp.createdAt)}</td>
+            <td>
+                <span class="badge badge--${removed ? 'danger' : 'info'}">${removed ? 'Taken down' : esc(opp.status)}</span>
+                ${removed ? `<div class="admin-muted">${esc(opp.takedown?.reason)}</div>` : ''}
+            </td>
+            <td class="admin-actions">
+                ${removed
+                    ? '<button class="btn btn--small btn--secondary" data-action="restore">Restore</button>'
+                    : '<button class="btn btn--small btn--danger" data-action="takedown">Take down</button>'}
+            </td>
+        </tr>`;
+}
+
+async function loadOpportunities() {
+    const res = await api.request('admin/opportunities', { query: { status: $('opp-status').value } });
+    const body = $('opp-rows');
+    if (!res.success) {
+        body.innerHTML = `<tr><td colspan="4">${esc(res.error || 'Could not load opportunities.')}</td></tr>`;
+        return;
+    }
+    body.innerHTML = res.data.length
+        ? res.data.map(renderOpportunity).join('')
+        : '<tr><td colspan="4" class="admin-muted">No opportunities with this status.</td></tr>';
+}
+
+async function handleOpportunityAction(action, oppId) {
+    const route = `admin/opportunities/${encodeURIComponent(oppId)}`;
+    let done = false;
+    if (action === 'takedown') {
+        const reason = await askForNote({ title: 'Take down opportunity', label: 'Reason (sent to the business)', confirmLabel: 'Take down' });
+        if (reason === null) return;
+        done = await act(put(`${route}/takedown`, { reason }), 'Opportunity taken down');
+    } else if (action === 'restore') {
+        done = await act(put(`${route}/restore`), 'Opportunity restored');
+    }
+    if (done) loadOpportunities();
+}
+
+// ---------------------------------------------------------------------
+// Disputes
+// ---------------------------------------------------------------------
+
+function renderDispute(dispute) {
+    const contract = dispute.contract || {};
+    const open = dispute.status === 'open';
+    const value = contract.totalValue !== undefined ? `${contract.currency || 'SGD'} ${Number(contract.totalValue).toLocaleString()}` : '';
+    return `
+        <article class="admin-dispute" data-dispute-id="${esc(dispute.id)}">
+            <header class="admin-dispute__header">
+                <div>
+                    <h4>${esc(contract.title || dispute.contractId)}</h4>
+                    <div class="admin-muted">${esc(contract.repName)} · ${esc(contract.businessName)}${value ? ` · ${esc(value)}` : ''}</div>
+                </div>
+                <span class="badge badge--${open ? 'warning' : 'neutral'}">${open ? 'Open' : esc(dispute.status)}</span>
+            </header>
+            <p><strong>${esc(DISPUTE_REASONS[dispute.reason] || dispute.reason)}</strong>, raised by ${esc(dispute.raisedByName)} on ${formatDate(dispute.createdAt)}</p>
+            <p class="admin-dispute__text">${esc(dispute.description)}</p>
+            ${dispute.evidence?.length ? `
+                <ul class="admin-dispute__evidence">
+                    ${dispute.evidence.map(file => `<li><a href="#" data-blob-id="${esc(file.id)}">${esc(file.name)}</a></li>`).join('')}
+                </ul>` : ''}
+            ${dispute.resolution ? `<p class="admin-dispute__resolution"><strong>Outcome:</strong> ${esc(dispute.resolution.note)} (${formatDate(dispute.resolution.at)})</p>` : ''}
+            ${open ? `
+                <div class="admin-actions">
+                    <button class="btn btn--small btn--primary" data-action="resolve">Resolve</button>
+                    <button class="btn btn--small btn--secondary" data-action="dismiss">Dismiss</button>
+                </div>` : ''}
+        </article>`;
+}
+
+async function loadDisputes() {
+    const res = await api.request('admin/disputes', { query: { status: $('dispute-status').value } });
+    const list = $('dispute-list');
+    if (!res.success) {
+        list.textContent = res.error || 'Could not load disputes.';
+        return;
+    }
+    list.innerHTML = res.data.length
+        ? res.data.map(renderDispute).join('')
+        : '<p class="admin-muted">No disputes with this status.</p>';
+}
+
+async function handleDisputeAction(action, disputeId) {
+    const dismiss = action === 'dismiss';
+    const note = await askForNote({
+        title: dismiss ? 'Dismiss dispute' : 'Resolve dispute',
+        label: 'Outcome, as both parties will read it',
+        confirmLabel: dismiss ? 'Dismiss' : 'Resolve'
+    });
+    if (note === null) return;
+    const done = await act(put(`admin/disputes/${encodeURIComponent(disputeId)}/resolve`, { outcome: dismiss ? 'dismissed' : 'resolved', note }),
+        dismiss ? 'Dispute dismissed' : 'Dispute resolved');
+    if (done) loadDisputes();
+}
+
+// ---------------------------------------------------------------------
+// Security policy and audit log
+// ---------------------------------------------------------------------
+
+async function loadPolicy() {
+    const res = await api.request('admin/security-policy');
+    if (!res.success) return;
+    $('policy-2fa').checked = !!res.data.requireBusinessTwoFactor;
+    // REPLINK_REQUIRE_2FA on the server overrides the stored setting
+    $('policy-2fa').disabled = res.data.enforcedByServer;
+    $('policy-note').hidden = !res.data.enforcedByServer;
+}
+
+async function savePolicy() {
+    const requireBusinessTwoFactor = $('policy-2fa').checked;
+    const done = await act(put('admin/security-policy', { requireBusinessTwoFactor }),
+        requireBusinessTwoFactor ? 'Business accounts now need two-factor authentication' : 'Two-factor authentication is optional again');
+    if (!done) $('policy-2fa').checked = !requireBusinessTwoFactor;
+}
+
+function auditDetail(entry) {
+    const { details = {} } = entry;
+    return [details.email, details.title, details.reason, details.note]
+        .filter(Boolean)
+        .map(esc)
+        .join(' · ') || (entry.targetType === 'securityPolicy'
+            ? `Business 2FA ${details.requireBusinessTwoFactor ? 'required' : 'optional'}`
+            : esc(entry.targetId));
+}
+
+async function loadAudit() {
+    const res = await api.request('admin/audit');
+    const body = $('audit-rows');
+    if (!res.success) {
+        body.innerHTML = `<tr><td colspan="4">${esc(res.error || 'Could not load the audit log.')}</td></tr>`;
+        return;
+    }
+    body.innerHTML = res.data.length
+        ? res.data.map(entry => `
+            <tr>
+                <td>${formatDate(entry.createdAt)}</td>
+                <td>${esc(entry.actorName || entry.actorId)}</td>
+                <td>${esc(ACTION_LABELS[entry.action] || entry.action)}</td>
+                <td>${auditDetail(entry)}</td>
+            </tr>`).join('')
+        : '<tr><td colspan="4" class="admin-muted">No moderation actions yet.</td></tr>';
+}
+
+// ---------------------------------------------------------------------
+// Wiring
+// ---------------------------------------------------------------------
+
+function initAdminConsole() {
+    if (!requireAdmin()) return;
+
+    ['user-role', 'user-state'].forEach(id => $(id).addEventListener('change', loadUsers));
+    let searchTimer = null;
+    $('user-search').addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(loadUsers, 250);
+    });
+    $('opp-status').addEventListener('change', loadOpportunities);
+    $('dispute-status').addEventListener('change', loadDisputes);
+    $('policy-2fa').addEventListener('change', savePolicy);
+
+    $('user-rows').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (button) handleUserAction(button.dataset.action, button.closest('[data-user-id]').dataset.userId);
+    });
+    $('opp-rows').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (button) handleOpportunityAction(button.dataset.action, button.closest('[data-opportunity-id]').dataset.opportunityId);
+    });
+    $('dispute-list').addEventListener('click', async (e) => {
+        const button = e.target.closest('[data-action]');
+        if (button) {
+            handleDisputeAction(button.dataset.action, button.closest('[data-dispute-id]').dataset.disputeId);
+            return;
+        }
+        // Evidence bytes live in the browser the dispute was raised from
+        const link = e.target.closest('[data-blob-id]');
+        if (!link) return;
+        e.preventDefault();
+        const url = await blobStore.url(link.dataset.blobId).catch(() => null);
+        if (url) window.open(url, '_blank', 'noopener');
+        else toast.show('This file is only stored on the device it was uploaded from', 'warning');
+    });
+
+    loadOverview();
+    loadUsers();
+    loadOpportunities();
+    loadDisputes();
+    loadPolicy();
+    loadAudit();
+}
+
+document.addEventListener('DOMContentLoaded', initAdminConsole);
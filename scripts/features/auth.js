@@ -11,6 +11,9 @@ import { EventBus } from '../ui/event-bus.js';
 import { Toast } from '../ui/components.js';
 import { FormValidator, ValidationRules } from '../ui/forms.js';
 import { dashboardHrefFor } from '../app.js';
+import { safeNext } from './guards.js';
+import { NOTICE_KEY } from '../ui/sessionWatch.js';
+import { singpass } from '../data/singpass.js';
 
 /**
  * Authentication Manager
@@ -54,9 +57,11 @@ export class Auth {
 
     /**
      * Handle successful login
+     * @param {Object} session - { user, token, expiresAt } from auth/login
      */
-    async handleLoginSuccess(user) {
-        this.store.setAuth({ isAuthed: true, user, token: 'dev' });
+    async handleLoginSuccess({ user, token, expiresAt }) {
+        this.store.setAuth({ isAuthed: true, user, token, expiresAt });
+        this.setSessionTimeout(expiresAt);
         
         // Update local state
         this.currentUser = user;
@@ -65,10 +70,7 @@ export class Auth {
         // Emit login event
         this.eventBus.emit('auth:login', user);
         
-        // Optional: honor ?next= param, else go to dashboard
-        const params = new URLSearchParams(location.search);
-        const next = params.get('next');
-        location.href = next || dashboardHrefFor(user);
+        location.href = afterLoginHref(user);
     }
 
     /**
@@ -80,8 +82,8 @@ export class Auth {
         this.eventBus.on('auth:logout', this.handleLogout.bind(this));
         this.eventBus.on('auth:register', this.handleRegister.bind(this));
         
-        // Listen for storage changes (multi-tab sync)
-        window.addEventListener('storage', this.handleStorageChange.bind(this));
+        // Follow auth changes committed in other tabs (multi-tab sync)
+        this.store.subscribe('auth', this.handleRemoteAuthChange.bind(this));
         
         // Listen for page visibility changes (session timeout)
         document.addEventListener('visibilitychange', this.handleVisibilityChange.bind(this));
@@ -97,23 +99,24 @@ export class Auth {
                 body: JSON.stringify({ email, password, role })
             });
 
+            if (response.success && response.data.twoFactorRequired) {
+                // Caller collects a code and finishes with api.loginWithCode()
+                return { success: false, twoFactorRequired: true, challenge: response.data.challenge };
+            }
+
             if (response.success) {
                 const { user, token, expiresAt } = response.data;
                 
-                // Store session data
-                localStorage.setItem('auth-token', token);
-                localStorage.setItem('user-data', JSON.stringify(user));
-                localStorage.setItem('session-expires', expiresAt);
-                
                 // Update state
                 this.currentUser = user;
                 this.isAuthenticated = true;
                 
-                // Update store
-                this.store.set('auth', {
-                    token,
+                // Update store (single source of session data)
+                this.store.setAuth({
+                    isAuthed: true,
                     user,
-                    isAuthenticated: true,
+                    token,
+                    expiresAt,
                     lastLogin: new Date().toISOString()
                 });
                 
@@ -149,20 +152,16 @@ export class Auth {
             if (response.success) {
                 const { user, token, expiresAt } = response.data;
                 
-                // Store session data
-                localStorage.setItem('auth-token', token);
-                localStorage.setItem('user-data', JSON.stringify(user));
-                localStorage.setItem('session-expires', expiresAt);
-                
                 // Update state
                 this.currentUser = user;
                 this.isAuthenticated = true;
                 
-                // Update store
-                this.store.set('auth', {
-                    token,
+                // Update store (single source of session data)
+                this.store.setAuth({
+                    isAuthed: true,
                     user,
-                    isAuthenticated: true,
+                    token,
+                    expiresAt,
                     lastLogin: new Date().toISOString()
                 });
                 
@@ -228,22 +227,22 @@ export class Auth {
             });
 
             if (response.success && response.data.valid) {
-                const { user } = response.data;
+                const { user, expiresAt } = response.data;
                 
                 // Update state
                 this.currentUser = user;
                 this.isAuthenticated = true;
                 
-                // Update store
-                this.store.set('auth', {
-                    token,
+                // Update store; the backend's expiry is authoritative
+                this.store.setAuth({
+                    ...this.store.get('auth'),
+                    isAuthed: true,
                     user,
-                    isAuthenticated: true,
-                    lastLogin: new Date().toISOString()
+                    token,
+                    expiresAt
                 });
                 
                 // Set session timeout
-                const expiresAt = localStorage.getItem('session-expires');
                 if (expiresAt) {
                     this.setSessionTimeout(expiresAt);
                 }
@@ -260,22 +259,13 @@ export class Auth {
     }
 
     /**
-     * Mock Singpass integration
+     * Sign in with Singpass: redirects to the provider; the callback page
+     * finishes the flow and comes back to ?next= or the dashboard
      */
     async signInWithSingpass() {
         try {
-            // Simulate Singpass authentication
-            const mockSingpassData = {
-                name: 'John Doe',
-                uin: 'S1234567A',
-                email: 'john.doe@singpass.sg',
-                phone: '+65 9123 4567'
-            };
-            
-            // Show mock data in modal
-            this.showSingpassModal(mockSingpassData);
-            
-            return { success: true, data: mockSingpassData };
+            await singpass.authorize({ purpose: 'login', next: new URLSearchParams(location.search).get('next') });
+            return { success: true };
         } catch (error) {
             console.error('Singpass authentication failed:', error);
             this.toast.show('Singpass authentication failed', 'error');
@@ -283,92 +273,6 @@ export class Auth {
         }
     }
 
-    /**
-     * Show Singpass data modal
-     */
-    showSingpassModal(data) {
-        const modal = document.createElement('div');
-        modal.className = 'modal';
-        modal.innerHTML = `
-            <div class="modal__backdrop"></div>
-            <div class="modal__content">
-                <div class="modal__header">
-                    <h2 class="modal__title">Singpass Data Retrieved</h2>
-                    <button class="modal__close" aria-label="Close modal">
-                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                            <line x1="18" y1="6" x2="6" y2="18"></line>
-                            <line x1="6" y1="6" x2="18" y2="18"></line>
-                        </svg>
-                    </button>
-                </div>
-                <div class="modal__body">
-                    <div class="singpass-data">
-                        <h3>Personal Information</h3>
-                        <div class="data-grid">
-                            <div class="data-item">
-                                <label>Name:</label>
-                                <span>${data.name}</span>
-                            </div>
-                            <div class="data-item">
-                                <label>NRIC (Masked):</label>
-                                <span>${data.uin}</span>
-                            </div>
-                            <div class="data-item">
-                                <label>Email:</label>
-                                <span>${data.email}</span>
-                            </div>
-                            <div class="data-item">
-                                <label>Phone:</label>
-                                <span>${data.phone}</span>
-                            </div>
-                        </div>
-                        <p class="note">This is mock data for prototype purposes only.</p>
-                    </div>
-                </div>
-                <div class="modal__footer">
-                    <button class="btn btn--secondary" onclick="this.closest('.modal').remove()">Close</button>
-                    <button class="btn btn--primary" onclick="this.useSingpassData()">Use This Data</button>
-                </div>
-            </div>
-        `;
-        
-        document.body.appendChild(modal);
-        
-        // Add event listeners
-        modal.querySelector('.modal__close').addEventListener('click', () => {
-            modal.remove();
-        });
-        
-        modal.querySelector('.modal__backdrop').addEventListener('click', () => {
-            modal.remove();
-        });
-        
-        // Use data function
-        window.useSingpassData = () => {
-            this.useSingpassData(data);
-            modal.remove();
-        };
-    }
-
-    /**
-     * Use Singpass data for registration
-     */
-    useSingpassData(data) {
-        // Populate registration form with Singpass data
-        const form = document.querySelector('#signup-form');
-        if (form) {
-            const nameField = form.querySelector('[name="name"]');
-            const emailField = form.querySelector('[name="email"]');
-            const phoneField = form.querySelector('[name="phone"]');
-            
-            if (nameField) nameField.value = data.name;
-            if (emailField) emailField.value = data.email;
-            if (phoneField) phoneField.value = data.phone;
-            
-            this.toast.show('Singpass data populated successfully', 'success');
-        }
-    }
-
     /**
      * Set session timeout
      */
@@ -390,12 +294,25 @@ export class Auth {
     }
 
     /**
-     * Handle storage changes (multi-tab sync)
+     * Handle auth changes from another tab (multi-tab sync)
      */
-    handleStorageChange(event) {
-        if (event.key === 'auth-token' && !event.newValue) {
-            // Token was removed in another tab
-            this.logout();
+    handleRemoteAuthChange(auth, paths, { remote } = {}) {
+        if (!remote) return;
+
+        if (!auth?.isAuthed && this.isAuthenticated) {
+            // Logged out elsewhere: the session is already revoked, just drop local state
+            if (this.sessionTimeout) {
+                clearTimeout(this.sessionTimeout);
+                this.sessionTimeout = null;
+            }
+            this.currentUser = null;
+            this.isAuthenticated = false;
+            this.eventBus.emit('auth:logout');
+        } else if (auth?.isAuthed) {
+            this.currentUser = auth.user;
+            this.isAuthenticated = true;
+            if (auth.expiresAt) this.setSessionTimeout(auth.expiresAt);
+            this.updateAuthUI();
         }
     }
 
@@ -407,7 +324,7 @@ export class Auth {
             // Page is hidden, could implement session pause logic here
         } else {
             // Page is visible, check session validity
-            const token = localStorage.getItem('auth-token');
+            const token = this.store.get('auth.token');
             if (token && this.isAuthenticated) {
                 this.verifyToken(token);
             }
@@ -513,6 +430,37 @@ export class Auth {
 
 function q(id) { return document.getElementById(id) || document.querySelector(`#${id}, [name="${id}"]`); }
 
+/**
+ * Back to the page that sent the user here (?next=), else their dashboard
+ */
+function afterLoginHref(user) {
+    return safeNext(new URLSearchParams(location.search).get('next')) || dashboardHrefFor(user);
+}
+
+// Business accounts an admin requires to use 2FA enrol before anything else
+const TWO_FACTOR_SETUP_HREF = new URL('../../pages/business-profile.html#two-factor', import.meta.url).href;
+
+/**
+ * Keep the new session and leave the login page
+ */
+function finishLogin({ user, token, expiresAt, twoFactorSetupRequired }) {
+    store.setAuth({ isAuthed: true, user, token, expiresAt });
+    location.href = twoFactorSetupRequired ? TWO_FACTOR_SETUP_HREF : afterLoginHref(user);
+}
+
+// Why the user was sent to log in (session expired, idle logout), shown once
+document.addEventListener('DOMContentLoaded', () => {
+    const form = document.getElementById('loginForm');
+    const notice = sessionStorage.getItem(NOTICE_KEY);
+    if (!form || !notice) return;
+    sessionStorage.removeItem(NOTICE_KEY);
+    const el = document.createElement('div');
+    el.className = 'form-notice';
+    el.setAttribute('role', 'status');
+    el.textContent = notice;
+    form.prepend(el);
+});
+
 // Debug: Check if form exists when script loads
 console.log('Auth script loaded');
 setTimeout(() => {
@@ -526,10 +474,10 @@ setTimeout(() => {
 async function testLogin() {
     console.log('Test login function called');
     try {
-        const user = await api.login('rep@replink.dev', 'RepLink#2025');
+        const { user, token, expiresAt } = await api.login('rep@replink.dev', 'RepLink#2025');
         console.log('Test login successful:', user);
-        store.setAuth({ isAuthed: true, user, token: 'dev' });
-        location.href = dashboardHrefFor(user);
+        store.setAuth({ isAuthed: true, user, token, expiresAt });
+        location.href = afterLoginHref(user);
     } catch (err) {
         console.error('Test login failed:', err);
         alert('Test login failed: ' + err.message);
@@ -568,31 +516,169 @@ document.addEventListener('submit', async (e) => {
         return;
     }
 
+    if (retryTimer) return;
+
     console.log('Starting login process...');
     setBusy(form, true);
     try {
-        const user = await api.login(email, password);
-        console.log('Login successful, user:', user);
-        store.setAuth({ isAuthed: true, user, token: 'dev' });
-        console.log('Redirecting to:', dashboardHrefFor(user));
-        location.href = dashboardHrefFor(user);
+        const session = await api.login(email, password);
+        if (session.twoFactorRequired) {
+            showTwoFactorStep(session.challenge);
+            return;
+        }
+        console.log('Login successful, user:', session.user);
+        finishLogin(session);
     } catch (err) {
         console.error('[login]', err);
         showError(form, err.message || 'Login failed.');
+        if (err.retryAfter) startRetryCountdown(Date.now() + err.retryAfter * 1000);
     } finally {
         setBusy(form, false);
     }
 });
 
+// Throttled logins: the button stays off until the backend will take another
+// try. Kept per tab so reloading doesn't hide the wait.
+const RETRY_KEY = 'replink_login_retry_at';
+let retryTimer = null;
+
+function formatWait(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    return seconds >= 60 ? `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}` : `${seconds}s`;
+}
+
+function startRetryCountdown(until) {
+    const form = document.getElementById('loginForm');
+    const label = document.getElementById('loginRetry');
+    if (!form || !label) return;
+    clearInterval(retryTimer);
+    sessionStorage.setItem(RETRY_KEY, String(until));
+
+    const tick = () => {
+        const left = until - Date.now();
+        if (left <= 0) {
+            clearInterval(retryTimer);
+            retryTimer = null;
+            sessionStorage.removeItem(RETRY_KEY);
+            label.classList.add('hidden');
+            setBusy(form, false);
+            return;
+        }
+        label.textContent = `You can try again in ${formatWait(left)}.`;
+        label.classList.remove('hidden');
+    };
+    retryTimer = setInterval(tick, 1000);
+    tick();
+    setBusy(form, false);
+}
+
+// Resume a countdown from before a reload; redeem an emailed unlock link
+document.addEventListener('DOMContentLoaded', async () => {
+    const form = document.getElementById('loginForm');
+    if (!form) return;
+    const until = Number(sessionStorage.getItem(RETRY_KEY));
+    if (until > Date.now()) startRetryCountdown(until);
+
+    const token = new URLSearchParams(location.search).get('unlock');
+    if (!token) return;
+    // Don't leave a spent token in the address bar or history
+    const url = new URL(location.href);
+    url.searchParams.delete('unlock');
+    history.replaceState(null, '', url);
+    try {
+        const { email } = await api.unlockAccount(token);
+        if (retryTimer) startRetryCountdown(0);
+        const emailField = q('loginEmail');
+        if (emailField) emailField.value = email;
+        showNotice(form, 'Your account is unlocked. Log in below, or reset your password if the failed attempts weren\'t yours.');
+    } catch (err) {
+        showError(form, err.message);
+    }
+});
+
+// Second step: the password was right, now a code from the authenticator app
+let twoFactorChallenge = null;
+
+function showTwoFactorStep(challenge) {
+    twoFactorChallenge = challenge;
+    document.getElementById('loginForm').classList.add('hidden');
+    const form = document.getElementById('twoFactorForm');
+    form.classList.remove('hidden');
+    form.querySelector('.form-error')?.remove();
+    form.code.value = '';
+    form.code.focus();
+}
+
+function backToPassword(message) {
+    twoFactorChallenge = null;
+    document.getElementById('twoFactorForm').classList.add('hidden');
+    const form = document.getElementById('loginForm');
+    form.classList.remove('hidden');
+    q('loginPassword').value = '';
+    if (message) showError(form, message);
+}
+
+document.addEventListener('submit', async (e) => {
+    const form = e.target.closest('#twoFactorForm');
+    if (!form) return;
+    e.preventDefault();
+
+    const code = form.code.value.trim();
+    if (!code) {
+        showError(form, 'Enter the code from your authenticator app.');
+        return;
+    }
+    const btn = form.querySelector('#btnTwoFactor');
+    btn.disabled = true;
+    try {
+        finishLogin(await api.loginWithCode(twoFactorChallenge, code));
+    } catch (err) {
+        if (err.code === 'challenge_expired') backToPassword(err.message);
+        else showError(form, err.message || 'That code is not valid.');
+        form.code.select();
+    } finally {
+        btn.disabled = false;
+    }
+});
+
+document.addEventListener('click', (e) => {
+    if (!e.target.closest('#twoFactorBack')) return;
+    e.preventDefault();
+    backToPassword();
+});
+
 function setBusy(form, busy) {
     const btn = form.querySelector('#btnLogin') || form.querySelector('button[type="submit"]');
-    if (btn) { btn.disabled = !!busy; btn.textContent = busy ? 'Logging in…' : 'Log in'; }
+    if (btn) { btn.disabled = !!busy || (form.id === 'loginForm' && !!retryTimer); btn.textContent = busy ? 'Logging in…' : 'Log in'; }
 }
 function showError(form, msg) {
+    form.querySelector('.form-notice')?.remove();
     let el = form.querySelector('.form-error');
     if (!el) { el = document.createElement('div'); el.className = 'form-error'; form.prepend(el); }
     el.textContent = msg;
 }
+function showNotice(form, msg) {
+    form.querySelector('.form-error')?.remove();
+    let el = form.querySelector('.form-notice');
+    if (!el) { el = document.createElement('div'); el.className = 'form-notice'; el.setAttribute('role', 'status'); form.prepend(el); }
+    el.textContent = msg;
+}
+
+// Sign in with Singpass (local stand-in provider)
+document.addEventListener('click', async (e) => {
+    const btn = e.target.closest('#singpass-login');
+    if (!btn) return;
+    e.preventDefault();
+    btn.disabled = true;
+    try {
+        await singpass.authorize({ purpose: 'login', next: new URLSearchParams(location.search).get('next') });
+    } catch (err) {
+        console.error('[singpass]', err);
+        btn.disabled = false;
+        const form = document.getElementById('loginForm');
+        if (form) showError(form, err.message || 'Could not start Singpass sign-in.');
+    }
+});
 
 // Quick-fill buttons for mock accounts
 document.addEventListener('click', (e) => {
@@ -5,7 +5,9 @@
 
 import { api } from '../data/api.js';
 import { store } from '../data/store.js';
+import { CACHE_UPDATED } from '../data/requestCache.js';
 import { requireBusiness } from './guards.js';
+import { initTeamSection } from './teamManager.js';
 
 let mockApplications = []; // In-memory storage for prototype
 
@@ -15,6 +17,20 @@ export function initBusinessDashboard() {
 
     loadDashboardData();
     setupEventListeners();
+    initTeamSection();
+
+    // Re-render when another tab commits changes this dashboard shows
+    const watched = ['products', 'campaigns', 'proposals', 'onboarding'];
+    store.subscribe('*', (state, paths, { remote }) => {
+        if (remote && paths.some(path => watched.includes(path.split('.')[0]))) {
+            loadDashboardData();
+        }
+    });
+
+    // Cached lists render first; re-render when the background refresh differs
+    window.addEventListener(CACHE_UPDATED, ({ detail: { resource } }) => {
+        if (watched.includes(resource)) loadDashboardData();
+    });
 }
 
 async function loadDashboardData() {
@@ -218,7 +234,7 @@ function renderPayments(campaigns) {
             ${[...pendingPayments, ...releasedPayments].slice(0, 5).map(payment => `
                 <div class="payment-item">
                     <div class="payment-item__info">
-                        <span class="payment-item__milestone">${payment.name}</span>
+                        <span class="payment-item__milestone">${payment.title}</span>
                         <span class="payment-item__amount">$${payment.amount}</span>
                     </div>
                     <span class="badge badge--${payment.status === 'released' ? 'success' : 'warning'}">${payment.status}</span>
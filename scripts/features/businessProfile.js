@@ -1,5 +1,17 @@
 import { api } from '../data/api.js';
 import { store } from '../data/store.js';
+import { blobStore } from '../data/blobStore.js';
+import { withStepUp } from '../ui/stepUp.js';
+import { FormValidator, ValidationRules } from '../ui/forms.js';
+import { SG_BANKS, parseBankAccount, formatBankAccount } from '../data/sgFormats.js';
+import { initTwoFactorSetup } from './twoFactorSetup.js';
+import { initAccountData } from './accountData.js';
+
+function renderVerified(user){
+  const badge = document.getElementById('verifiedBadge');
+  badge.textContent = user.verified ? 'Verified business' : 'Not verified yet';
+  badge.classList.toggle('badge--ok', !!user.verified);
+}
 
 async function main(){
   const auth = store.get('auth');
@@ -9,50 +21,105 @@ async function main(){
   const key = `profile.biz.${auth.user.id}`;
   const existing = JSON.parse(localStorage.getItem(key) || 'null');
   const mock = await api.singpassBiz().catch(()=>({}));
+  // Details given at signup come first
+  const signup = auth.user.profile || {};
 
   const model = Object.assign({
     company: auth.user.company || mock.company || '',
     email: auth.user.email,
-    uen: mock.uen || '',
+    uen: signup.uen || mock.uen || '',
     address: mock.address || '',
-    contact: mock.contact || '',
-    billingEmail: mock.billingEmail || '',
+    contact: signup.contact || mock.contact || '',
+    billingEmail: signup.billingEmail || mock.billingEmail || '',
     bank: '',
     delivery: '',
     categories: '',
-    verified: false,
-    logo: ''
+    logoId: ''
   }, existing || {});
+  // Only a moderator sets this (admin console); older saved profiles carry a self-set copy
+  delete model.verified;
+  // Payouts go to the account the backend holds; the local copy is only a fallback
+  let savedBank = auth.user.bankAccount ?? '';
+  if (auth.user.bankAccount !== undefined) model.bank = auth.user.bankAccount;
+
+  // Profiles saved before logos moved to IndexedDB carry a base64 data URL
+  if (model.logo) {
+    const ref = await blobStore.importDataURL(model.logo, { owner: auth.user.id, kind: 'logo', name: 'logo' }).catch(()=>null);
+    delete model.logo;
+    if (ref) model.logoId = ref.id;
+    localStorage.setItem(key, JSON.stringify(model));
+  }
 
   // Bind UI
   $('bizEmail').textContent = model.email;
   ['company','uen','address','contact','billingEmail','bank','delivery','categories'].forEach(id => $(id).value = model[id] || '');
-  $('verified').checked = !!model.verified;
+  renderVerified(auth.user);
+  // Pick up a review that happened since this session started
+  api.request('auth/verify', { method: 'POST' }).then(res => {
+    if (!res.success || !res.data.valid) return;
+    store.updateUser({ verified: !!res.data.user.verified });
+    renderVerified(res.data.user);
+  });
+  SG_BANKS.forEach(bank => $('bankName').add(new Option(bank.name, bank.code)));
+  const parsedBank = parseBankAccount(model.bank);
+  $('bankName').value = parsedBank.bank;
+  $('bank').value = parsedBank.number;
 
-  if (model.logo) {
-    $('logoPreview').src = model.logo;
+  // Inline errors for the SG formats; nothing is saved while one shows
+  const validator = new FormValidator('#bizForm');
+  validator.addRule('uen', ValidationRules.uen());
+  validator.addRule('address', ValidationRules.sgAddress());
+  validator.addRule('contact', ValidationRules.sgPhone());
+  validator.addRule('billingEmail', ValidationRules.email());
+  validator.addRule('bank', ValidationRules.bankAccount('bankName'));
+  $('bankName').addEventListener('change', () => { if ($('bank').value) validator.validateField($('bank')); });
+
+  function showLogo(url){
+    if (!url) return;
+    $('logoPreview').src = url;
     $('logoPreview').style.display = 'block';
     $('logoPlaceholder').style.display = 'none';
   }
-  $('logoFile').addEventListener('change', (e)=>{
+  let savedLogoId = model.logoId;
+  if (model.logoId) showLogo(await blobStore.url(model.logoId).catch(()=>null));
+  $('logoFile').addEventListener('change', async (e)=>{
     const f = e.target.files?.[0]; if(!f) return;
-    if (f.size > 1_048_576) { alert('Image too large (max 1MB).'); e.target.value=''; return; }
-    const reader = new FileReader();
-    reader.onload = () => { 
-      model.logo = reader.result; 
-      $('logoPreview').src = model.logo;
-      $('logoPreview').style.display = 'block';
-      $('logoPlaceholder').style.display = 'none';
-    };
-    reader.readAsDataURL(f);
+    try {
+      const ref = await blobStore.put(f, { owner: auth.user.id, kind: 'logo' });
+      if (model.logoId !== savedLogoId) blobStore.remove(model.logoId);
+      model.logoId = ref.id;
+      showLogo(await blobStore.url(ref.id));
+    } catch (err) {
+      alert(err.message);
+      e.target.value = '';
+    }
   });
 
-  $('saveBiz').addEventListener('click', ()=>{
-    ['company','uen','address','contact','billingEmail','bank','delivery','categories'].forEach(id => model[id] = $(id).value.trim());
-    model.verified = $('verified').checked;
+  $('saveBiz').addEventListener('click', async ()=>{
+    if (!validator.validateForm()) { validator.focusFirstError(); return; }
+    const number = $('bank').value.trim();
+    const bank = number ? formatBankAccount($('bankName').value, number) : '';
+    if (bank !== savedBank) {
+      // Changing where money is paid out needs a fresh 2FA code
+      const res = await withStepUp(() => api.request('account/bank', { method: 'PUT', body: JSON.stringify({ bankAccount: bank }) }),
+        { action: 'the new bank account' });
+      if (!res.success) {
+        if (!res.cancelled) alert(res.error || 'Could not change bank details');
+        return;
+      }
+      savedBank = bank;
+      store.updateUser({ bankAccount: bank });
+    }
+    ['company','uen','address','contact','billingEmail','delivery','categories'].forEach(id => model[id] = $(id).value.trim());
+    model.bank = bank;
     localStorage.setItem(key, JSON.stringify(model));
+    if (savedLogoId && savedLogoId !== model.logoId) blobStore.remove(savedLogoId);
+    savedLogoId = model.logoId;
     alert('Profile saved');
   });
+
+  initTwoFactorSetup();
+  initAccountData();
 }
 
 document.addEventListener('DOMContentLoaded', main);
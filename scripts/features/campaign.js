@@ -76,7 +76,7 @@ function renderCampaignDetails(opportunity) {
                             ${opportunity.commission.map(milestone => `
                                 <div class="milestone-item">
                                     <div class="milestone-info">
-                                        <span class="milestone-name">${milestone.name}</span>
+                                        <span class="milestone-name">${milestone.title}</span>
                                         <span class="milestone-amount">$${milestone.amount}</span>
                                     </div>
                                 </div>
@@ -5,12 +5,116 @@
 
 'use strict';
 
-import { API } from '../data/api.js';
+import { api } from '../data/api.js';
+import { blobStore } from '../data/blobStore.js';
 import { Store } from '../data/store.js';
 import { EventBus } from '../ui/event-bus.js';
 import { Toast, Modal } from '../ui/components.js';
+import { withStepUp } from '../ui/stepUp.js';
+import { teamCan } from '../data/teamRoles.js';
 import { qs, qsa, ce, addClass, removeClass } from '../ui/dom.js';
 
+/**
+ * Dispute form for a contract. Evidence files stay in this browser's blob
+ * store; the dispute goes to the moderators (admin console).
+ * @param {string} contractId
+ * @param {Object} options - { modal, toast, owner } where owner is the signed-in user's id
+ * @returns {Promise<Object|null>} The dispute, or null if none was raised
+ */
+export function raiseDispute(contractId, { modal, toast, owner }) {
+    const modalContent = `
+        <div class="dispute-modal">
+            <h3>Raise a Dispute</h3>
+            <p>If you're unable to resolve an issue with your contract partner, you can raise a dispute for mediation.</p>
+            
+            <div class="dispute-info">
+                <h4>Dispute Resolution Process:</h4>
+                <ol>
+                    <li><strong>Initial Mediation:</strong> Our team will review the dispute and attempt to mediate between both parties.</li>
+                    <li><strong>Evidence Review:</strong> Both parties can submit evidence and documentation.</li>
+                    <li><strong>Resolution:</strong> A non-binding resolution will be provided within 5 business days.</li>
+                    <li><strong>Optional Arbitration:</strong> If mediation fails, either party can request binding arbitration.</li>
+                </ol>
+            </div>
+            
+            <form id="dispute-form">
+                <div class="form-group">
+                    <label for="dispute-reason" class="form-label">Reason for Dispute *</label>
+                    <select id="dispute-reason" name="reason" class="form-select" required>
+                        <option value="">Select a reason</option>
+                        <option value="payment">Payment Issues</option>
+                        <option value="quality">Work Quality</option>
+                        <option value="scope">Scope Changes</option>
+                        <option value="communication">Communication Issues</option>
+                        <option value="other">Other</option>
+                    </select>
+                </div>
+                
+                <div class="form-group">
+                    <label for="dispute-description" class="form-label">Description *</label>
+                    <textarea id="dispute-description" name="description" class="form-textarea" rows="4" 
+                              placeholder="Please provide a detailed description of the issue..." required></textarea>
+                </div>
+                
+                <div class="form-group">
+                    <label for="dispute-evidence" class="form-label">Supporting Evidence</label>
+                    <input type="file" id="dispute-evidence" name="evidence" multiple 
+                           accept=".pdf,.doc,.docx,.jpg,.png,.txt">
+                    <div class="form-help">Upload any relevant documents, screenshots, or communications</div>
+                </div>
+                
+                <div class="modal-actions">
+                    <button type="button" class="btn btn--secondary" onclick="this.closest('.modal').remove()">
+                        Cancel
+                    </button>
+                    <button type="submit" class="btn btn--primary">
+                        Raise Dispute
+                    </button>
+                </div>
+            </form>
+        </div>
+    `;
+
+    modal.show(modalContent, 'Raise Dispute');
+
+    return new Promise(resolve => {
+        const form = qs('#dispute-form');
+        if (!form) {
+            resolve(null);
+            return;
+        }
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const formData = new FormData(form);
+            let evidence;
+            try {
+                evidence = await blobStore.putAll(formData.getAll('evidence').filter(file => file.size > 0), { owner, kind: 'dispute' });
+            } catch (error) {
+                toast.show(error.message, 'error');
+                return;
+            }
+
+            const response = await api.request('disputes/create', {
+                method: 'POST',
+                body: JSON.stringify({
+                    contractId,
+                    reason: formData.get('reason'),
+                    description: formData.get('description'),
+                    evidence
+                })
+            });
+            if (!response.success) {
+                evidence.forEach(ref => blobStore.remove(ref.id));
+                toast.show(response.error || 'Failed to raise dispute', 'error');
+                return;
+            }
+            toast.show('Dispute raised. Our team will review it within 24 hours.', 'success');
+            modal.hide();
+            resolve(response.data);
+        });
+    });
+}
+
 /**
  * Contracts Manager
  * Handles contract-related functionality
@@ -32,9 +136,24 @@ export class ContractsManager {
     init() {
         this.setupEventListeners();
         this.loadContracts();
+
+        // Queued milestone submissions that reach the server change contract state
+        window.addEventListener('outbox:synced', (event) => {
+            if (event.detail.entry.route.startsWith('contracts/')) this.loadContracts();
+        });
     }
 
     setupEventListeners() {
+        // Milestone evidence opens from this browser's blob store
+        document.addEventListener('click', async (event) => {
+            const link = event.target.closest('.attachment-link[data-blob-id]');
+            if (!link) return;
+            event.preventDefault();
+            const url = await blobStore.url(link.dataset.blobId).catch(() => null);
+            if (url) window.open(url, '_blank', 'noopener');
+            else this.toast.show('This file is not available on this device', 'warning');
+        });
+
         // Contract actions
         document.addEventListener('click', (event) => {
             if (event.target.matches('.btn--submit-milestone')) {
@@ -70,9 +189,15 @@ export class ContractsManager {
         try {
             const response = await this.api.request(`contracts/milestone/${this.currentContract.id}/${milestoneId}`, {
                 method: 'PUT',
-                body: JSON.stringify(submissionData)
+                // Explicit, so the outbox knows this one may wait for the connection
+                body: JSON.stringify({ ...submissionData, status: 'submitted' })
             });
             
+            if (response.queued) {
+                this.toast.show('Milestone saved offline — pending sync', 'warning');
+                return true;
+            }
+
             if (response.success) {
                 this.toast.show('Milestone submitted successfully', 'success');
                 this.loadContracts();
@@ -85,18 +210,28 @@ export class ContractsManager {
         return false;
     }
 
+    /**
+     * Business team members approve only if their role allows it
+     */
+    canApprove() {
+        const role = this.store.get('auth.user.teamRole');
+        return !role || teamCan(role, 'milestones.approve');
+    }
+
     async approveMilestone(milestoneId) {
         try {
-            const response = await this.api.request(`contracts/milestone/${this.currentContract.id}/${milestoneId}`, {
+            // Approval releases escrow, so accounts with 2FA confirm a code first
+            const response = await withStepUp(() => this.api.request(`contracts/milestone/${this.currentContract.id}/${milestoneId}`, {
                 method: 'PUT',
                 body: JSON.stringify({ status: 'approved' })
-            });
+            }), { action: 'this milestone payment' });
             
             if (response.success) {
                 this.toast.show('Milestone approved', 'success');
                 this.loadContracts();
                 return true;
             }
+            if (!response.cancelled) this.toast.show(response.error || 'Failed to approve milestone', 'error');
         } catch (error) {
             console.error('Failed to approve milestone:', error);
             this.toast.show('Failed to approve milestone', 'error');
@@ -147,104 +282,33 @@ export class ContractsManager {
             form.addEventListener('submit', async (event) => {
                 event.preventDefault();
                 const formData = new FormData(form);
+                let files;
+                try {
+                    files = await blobStore.putAll(formData.getAll('files').filter(file => file.size > 0), {
+                        owner: this.store.get('auth.user.id'),
+                        kind: 'evidence'
+                    });
+                } catch (error) {
+                    this.toast.show(error.message, 'error');
+                    return;
+                }
+
                 const submissionData = {
                     notes: formData.get('notes'),
-                    files: formData.getAll('files'),
+                    files,
                     submittedAt: new Date().toISOString()
                 };
                 
-                await this.submitMilestone(milestoneId, submissionData);
+                const submitted = await this.submitMilestone(milestoneId, submissionData);
+                if (!submitted) files.forEach(ref => blobStore.remove(ref.id));
                 this.modal.hide();
             });
         }
     }
 
     showDisputeModal(contractId) {
-        const modalContent = `
-            <div class="dispute-modal">
-                <h3>Raise a Dispute</h3>
-                <p>If you're unable to resolve an issue with your contract partner, you can raise a dispute for mediation.</p>
-                
-                <div class="dispute-info">
-                    <h4>Dispute Resolution Process:</h4>
-                    <ol>
-                        <li><strong>Initial Mediation:</strong> Our team will review the dispute and attempt to mediate between both parties.</li>
-                        <li><strong>Evidence Review:</strong> Both parties can submit evidence and documentation.</li>
-                        <li><strong>Resolution:</strong> A non-binding resolution will be provided within 5 business days.</li>
-                        <li><strong>Optional Arbitration:</strong> If mediation fails, either party can request binding arbitration.</li>
-                    </ol>
-                </div>
-                
-                <form id="dispute-form">
-                    <div class="form-group">
-                        <label for="dispute-reason" class="form-label">Reason for Dispute *</label>
-                        <select id="dispute-reason" name="reason" class="form-select" required>
-                            <option value="">Select a reason</option>
-                            <option value="payment">Payment Issues</option>
-                            <option value="quality">Work Quality</option>
-                            <option value="scope">Scope Changes</option>
-                            <option value="communication">Communication Issues</option>
-                            <option value="other">Other</option>
-                        </select>
-                    </div>
-                    
-                    <div class="form-group">
-                        <label for="dispute-description" class="form-label">Description *</label>
-                        <textarea id="dispute-description" name="description" class="form-textarea" rows="4" 
-                                  placeholder="Please provide a detailed description of the issue..." required></textarea>
-                    </div>
-                    
-                    <div class="form-group">
-                        <label for="dispute-evidence" class="form-label">Supporting Evidence</label>
-                        <input type="file" id="dispute-evidence" name="evidence" multiple 
-                               accept=".pdf,.doc,.docx,.jpg,.png,.txt">
-                        <div class="form-help">Upload any relevant documents, screenshots, or communications</div>
-                    </div>
-                    
-                    <div class="modal-actions">
-                        <button type="button" class="btn btn--secondary" onclick="this.closest('.modal').remove()">
-                            Cancel
-                        </button>
-                        <button type="submit" class="btn btn--primary">
-                            Raise Dispute
-                        </button>
-                    </div>
-                </form>
-            </div>
-        `;
-
-        this.modal.show(modalContent, 'Raise Dispute');
-        
-        // Handle form submission
-        const form = qs('#dispute-form');
-        if (form) {
-            form.addEventListener('submit', async (event) => {
-                event.preventDefault();
-                const formData = new FormData(form);
-                const disputeData = {
-                    contractId,
-                    reason: formData.get('reason'),
-                    description: formData.get('description'),
-                    evidence: formData.getAll('evidence'),
-                    createdAt: new Date().toISOString()
-                };
-                
-                await this.createDispute(disputeData);
-                this.modal.hide();
-            });
-        }
-    }
-
-    async createDispute(disputeData) {
-        try {
-            // This would typically call a disputes API endpoint
-            this.toast.show('Dispute raised successfully. Our team will review it within 24 hours.', 'success');
-            return true;
-        } catch (error) {
-            console.error('Failed to create dispute:', error);
-            this.toast.show('Failed to raise dispute', 'error');
-            return false;
-        }
+        raiseDispute(contractId, { modal: this.modal, toast: this.toast, owner: this.store.get('auth.user.id') })
+            .then(dispute => { if (dispute) this.loadContracts(); });
     }
 
     renderContracts() {
@@ -286,9 +350,13 @@ export class ContractsManager {
                 </div>
                 
                 <div class="contract-actions">
-                    <button class="btn btn--secondary btn--dispute" data-contract-id="${contract.id}">
-                        Raise Dispute
-                    </button>
+                    ${contract.status === 'disputed' ? `
+                        <span class="badge badge--danger">Dispute under review</span>
+                    ` : `
+                        <button class="btn btn--secondary btn--dispute" data-contract-id="${contract.id}">
+                            Raise Dispute
+                        </button>
+                    `}
                 </div>
             </div>
         `;
@@ -316,13 +384,21 @@ export class ContractsManager {
                     ${autoReleaseText ? `<span class="auto-release">${autoReleaseText}</span>` : ''}
                 </div>
                 
+                ${milestone.submission?.files?.length ? `
+                    <ul class="milestone-evidence">
+                        ${milestone.submission.files.map(file => 
+                            `<li><a href="#" class="attachment-link" data-blob-id="${file.id}">${file.name}</a></li>`
+                        ).join('')}
+                    </ul>
+                ` : ''}
+                
                 ${milestone.status === 'pending' ? `
                     <button class="btn btn--primary btn--submit-milestone" data-milestone-id="${milestone.id}">
                         Submit Milestone
                     </button>
                 ` : ''}
                 
-                ${milestone.status === 'submitted' ? `
+                ${milestone.status === 'submitted' && this.canApprove() ? `
                     <button class="btn btn--success btn--approve-milestone" data-milestone-id="${milestone.id}">
                         Approve
                     </button>
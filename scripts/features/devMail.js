@@ -0,0 +1,68 @@
+/**
+ * Dev Mail
+ * Lists the emails the local backend "sent" (reset and verification links)
+ */
+
+import { api } from '../data/api.js';
+
+// Mail links are root-relative ('pages/verify-email.html?token=…')
+function linkHref(link) {
+    return new URL(`../../${link}`, import.meta.url).href;
+}
+
+function renderMail(mail) {
+    const item = document.createElement('article');
+    item.className = 'mail-item';
+
+    const meta = document.createElement('div');
+    meta.className = 'mail-item__meta';
+    meta.textContent = `To ${mail.to} · ${new Date(mail.createdAt).toLocaleString()}`;
+
+    const subject = document.createElement('h2');
+    subject.className = 'mail-item__subject';
+    subject.textContent = mail.subject;
+
+    const body = document.createElement('p');
+    body.className = 'mail-item__body';
+    body.textContent = mail.text;
+
+    item.append(meta, subject, body);
+    if (mail.link) {
+        const link = document.createElement('a');
+        link.className = 'btn btn--primary btn--small';
+        link.href = linkHref(mail.link);
+        link.textContent = 'Open link';
+        item.appendChild(link);
+    }
+    return item;
+}
+
+async function load() {
+    const list = document.getElementById('mail-list');
+    const to = document.getElementById('mail-filter').value.trim();
+    const res = await api.request('dev/mail', { query: { to } });
+    list.innerHTML = '';
+    if (!res.success) {
+        list.textContent = res.error || 'Could not load mail.';
+        return;
+    }
+    if (res.data.length === 0) {
+        list.textContent = 'No mail yet. Sign up, request a password reset or resend a verification email.';
+        return;
+    }
+    res.data.forEach(mail => list.appendChild(renderMail(mail)));
+}
+
+function initDevMail() {
+    document.getElementById('mail-refresh').addEventListener('click', load);
+    document.getElementById('mail-filter').addEventListener('input', load);
+    document.getElementById('mail-clear').addEventListener('click', async () => {
+        await api.request('dev/mail', { method: 'DELETE' });
+        load();
+    });
+    // Mail written in another tab (the in-browser backend lives in the Store)
+    window.addEventListener('focus', load);
+    load();
+}
+
+document.addEventListener('DOMContentLoaded', initDevMail);
@@ -5,7 +5,7 @@
 
 'use strict';
 
-import { API } from '../data/api.js';
+import { api } from '../data/api.js';
 import { qs, qsa, ce, addClass, removeClass, debounce } from '../ui/dom.js';
 
 /**
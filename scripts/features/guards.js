@@ -5,16 +5,62 @@
 
 import { store } from '../data/store.js';
 
+let watching = false;
+
+// Where each role lands when it opens a page meant for another role
+const ROLE_HOME = {
+    rep: '/pages/rep-dashboard.html',
+    business: '/pages/business-dashboard.html',
+    admin: '/pages/admin-dashboard.html'
+};
+
+/**
+ * Login URL that returns here afterwards, e.g. /pages/login.html?next=%2Fpages%2Fcontracts.html
+ */
+export function loginHref(next = location.pathname + location.search + location.hash) {
+    return safeNext(next) ? `/pages/login.html?next=${encodeURIComponent(next)}` : '/pages/login.html';
+}
+
+/**
+ * `next` if it is a path on this site, else null, so a crafted link can't
+ * bounce a fresh login to another origin
+ */
+export function safeNext(next) {
+    if (!next || !String(next).startsWith('/') || /^\/[\\/]/.test(next)) return null;
+    const url = new URL(next, location.origin);
+    if (url.origin !== location.origin || url.pathname.endsWith('/login.html')) return null;
+    return url.pathname + url.search + url.hash;
+}
+
+/**
+ * Whether this page is behind a guard, i.e. must be left when signed out
+ */
+export function isGuarded() {
+    return watching;
+}
+
+/**
+ * Leave a protected page as soon as another tab logs out or switches account
+ */
+function watchAuth(role) {
+    if (watching) return;
+    watching = true;
+    store.subscribe('auth', (auth) => {
+        if (!auth?.isAuthed || (role && auth.user?.role !== role)) {
+            guard(role);
+        }
+    });
+}
+
 export function guard(role) {
     const a = store.get('auth');
     if (!a?.isAuthed) {
-        location.href = '/pages/login.html';
+        location.href = loginHref();
         return false;
     }
+    watchAuth(role);
     if (role && a.user?.role !== role) {
-        location.href = a.user?.role === 'business' 
-            ? '/pages/business-dashboard.html' 
-            : '/pages/rep-dashboard.html';
+        location.href = ROLE_HOME[a.user?.role] || ROLE_HOME.rep;
         return false;
     }
     return true;
@@ -31,3 +77,7 @@ export function requireRep() {
 export function requireBusiness() {
     return guard('business');
 }
+
+export function requireAdmin() {
+    return guard('admin');
+}
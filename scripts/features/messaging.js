@@ -5,7 +5,8 @@
 
 'use strict';
 
-import { API } from '../data/api.js';
+import { api } from '../data/api.js';
+import { blobStore } from '../data/blobStore.js';
 import { Store } from '../data/store.js';
 import { EventBus } from '../ui/event-bus.js';
 import { Toast } from '../ui/components.js';
@@ -33,6 +34,14 @@ export class MessagingManager {
     init() {
         this.setupEventListeners();
         this.loadThreads();
+
+        // Re-render as queued messages are sent or rejected
+        this.store.subscribe('outbox', () => this.renderMessages());
+        window.addEventListener('outbox:synced', async () => {
+            if (!this.currentThread) return;
+            await this.loadMessages(this.currentThread);
+            this.renderMessages();
+        });
     }
 
     setupEventListeners() {
@@ -45,6 +54,19 @@ export class MessagingManager {
             });
         }
 
+        // Attachments are stored locally and sent as blob refs
+        const attachInput = qs('#attach-input');
+        qs('#attach-btn')?.addEventListener('click', () => attachInput?.click());
+
+        document.addEventListener('click', async (event) => {
+            const link = event.target.closest('.attachment-link[data-blob-id]');
+            if (!link) return;
+            event.preventDefault();
+            const url = await blobStore.url(link.dataset.blobId).catch(() => null);
+            if (url) window.open(url, '_blank', 'noopener');
+            else this.toast.show('This file is not available on this device', 'warning');
+        });
+
         // Thread selection
         document.addEventListener('click', (event) => {
             if (event.target.matches('.thread-item')) {
@@ -88,28 +110,37 @@ export class MessagingManager {
 
     async sendMessage() {
         const messageInput = qs('#message-input');
+        const attachInput = qs('#attach-input');
         const message = messageInput.value.trim();
+        const files = Array.from(attachInput?.files || []);
         
-        if (!message || !this.currentThread) return;
+        if ((!message && files.length === 0) || !this.currentThread) return;
 
         try {
+            const attachments = await blobStore.putAll(files, {
+                owner: this.store.get('auth.user.id'),
+                kind: 'message'
+            });
             const response = await this.api.request('messages/create', {
                 method: 'POST',
                 body: JSON.stringify({
                     threadId: this.currentThread,
                     body: message,
-                    type: 'text'
+                    type: attachments.length ? 'attachment' : 'text',
+                    attachments
                 })
             });
 
+            if (!response.success) attachments.forEach(ref => blobStore.remove(ref.id));
             if (response.success) {
                 messageInput.value = '';
-                this.loadMessages(this.currentThread);
+                if (attachInput) attachInput.value = '';
+                await this.loadMessages(this.currentThread);
                 this.renderMessages();
             }
         } catch (error) {
             console.error('Failed to send message:', error);
-            this.toast.show('Failed to send message', 'error');
+            this.toast.show(error.status ? error.message : 'Failed to send message', 'error');
         }
     }
 
@@ -147,7 +178,7 @@ export class MessagingManager {
         const container = qs('.messages-container');
         if (!container) return;
 
-        container.innerHTML = this.messages.map(message => 
+        container.innerHTML = [...this.messages, ...this.getPendingMessages()].map(message => 
             this.renderMessage(message)
         ).join('');
 
@@ -155,21 +186,39 @@ export class MessagingManager {
         container.scrollTop = container.scrollHeight;
     }
 
+    /**
+     * Messages for the open thread still waiting in the offline outbox
+     */
+    getPendingMessages() {
+        return this.store.get('outbox', [])
+            .filter(entry => entry.route === 'messages/create')
+            .map(entry => ({ ...JSON.parse(entry.body), id: entry.id, fromId: entry.userId, timestamp: entry.createdAt, pendingSync: entry.status }))
+            .filter(message => message.threadId === this.currentThread);
+    }
+
     renderMessage(message) {
         const isOwn = message.fromId === this.currentUser?.id;
         const sender = this.getUserById(message.fromId);
+        const pendingLabel = message.pendingSync === 'conflict' ? 'Not sent' : 'Pending sync';
         
         return `
-            <div class="message ${isOwn ? 'message--own' : 'message--other'}">
+            <div class="message ${isOwn ? 'message--own' : 'message--other'} ${message.pendingSync ? 'message--pending' : ''}">
                 <div class="message-avatar">
                     <img src="${sender?.avatar || '/assets/img/default-avatar.png'}" alt="${sender?.name}">
                 </div>
                 <div class="message-content">
                     <div class="message-header">
                         <span class="message-sender">${sender?.name || 'Unknown User'}</span>
-                        <span class="message-time">${this.formatTime(message.timestamp)}</span>
+                        <span class="message-time">${message.pendingSync ? pendingLabel : this.formatTime(message.timestamp)}</span>
                     </div>
                     <div class="message-body">${message.body}</div>
+                    ${message.attachments?.length ? `
+                        <ul class="message-attachments">
+                            ${message.attachments.map(file => 
+                                `<li><a href="#" class="attachment-link" data-blob-id="${file.id}">${file.name}</a></li>`
+                            ).join('')}
+                        </ul>
+                    ` : ''}
                 </div>
             </div>
         `;
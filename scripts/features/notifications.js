@@ -0,0 +1,84 @@
+/**
+ * Notifications
+ * The "Notifications" card on the dashboard: in-app notices such as new
+ * opportunities matching a saved search, newest first. Opening one marks it read.
+ */
+
+import { api } from '../data/api.js';
+
+function esc(s = '') {
+    return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function formatDate(iso) {
+    return iso ? new Date(iso).toLocaleString('en-SG', { dateStyle: 'medium', timeStyle: 'short' }) : '';
+}
+
+// Links from the backend are root-relative ('pages/opportunities.html?…')
+function linkHref(link) {
+    return new URL(`../../${link}`, import.meta.url).href;
+}
+
+const $ = id => document.getElementById(id);
+
+function render({ notifications, unreadCount }) {
+    $('notifications-unread').textContent = `${unreadCount} new`;
+    $('notifications-unread').classList.toggle('hidden', unreadCount === 0);
+    document.querySelector('[data-notifications-read-all]')?.classList.toggle('hidden', unreadCount === 0);
+
+    if (notifications.length === 0) {
+        $('notification-list').innerHTML = '<li class="text-muted">Nothing new. Alerts from your saved searches show up here.</li>';
+        return;
+    }
+    $('notification-list').innerHTML = notifications.map(n => `
+        <li class="alert-item${n.read ? '' : ' alert-item--unread'}">
+            <div>
+                ${n.link
+                    ? `<a class="alert-item__title" href="${esc(linkHref(n.link))}" data-notification="${esc(n.id)}">${esc(n.title)}</a>`
+                    : `<span class="alert-item__title">${esc(n.title)}</span>`}
+                <div class="alert-item__meta">${esc(n.body)} · ${formatDate(n.createdAt)}</div>
+            </div>
+            ${n.read ? '' : `<div class="alert-item__actions">
+                <button type="button" class="btn btn--secondary btn--small" data-notification-read="${esc(n.id)}">Mark read</button>
+            </div>`}
+        </li>`).join('');
+}
+
+export async function refreshNotifications() {
+    if (!$('notifications')) return;
+    const res = await api.request('notifications');
+    if (!res.success) {
+        $('notification-list').innerHTML = `<li class="form-error">${esc(res.error || 'Could not load notifications.')}</li>`;
+        return;
+    }
+    render(res.data);
+}
+
+function markRead(id) {
+    return api.request(`notifications/${encodeURIComponent(id)}/read`, { method: 'POST' });
+}
+
+export async function initNotificationsSection() {
+    if (!$('notifications')) return;
+
+    $('notifications').addEventListener('click', async (e) => {
+        const read = e.target.closest('[data-notification-read]');
+        if (read) {
+            await markRead(read.dataset.notificationRead);
+            refreshNotifications();
+        }
+        // Opening one marks it read first, or leaving the page could cut the request off
+        const link = e.target.closest('[data-notification]');
+        if (link) {
+            e.preventDefault();
+            await markRead(link.dataset.notification);
+            location.href = link.href;
+        }
+        if (e.target.closest('[data-notifications-read-all]')) {
+            await api.request('notifications/read-all', { method: 'POST' });
+            refreshNotifications();
+        }
+    });
+
+    await refreshNotifications();
+}
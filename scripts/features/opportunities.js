@@ -1,104 +1,294 @@
 /**
  * Opportunities Page
- * Browse and filter opportunities for reps
+ * Browse and filter opportunities for reps. SearchFiltersManager owns the
+ * search, filter and sort state (and keeps it in the URL); this module
+ * matches, counts and renders against it. Text search runs on a SearchIndex
+ * kept in step with the opportunities list. Reps can save the current search
+ * by name; opening one from the dashboard (?saved=) marks its matches seen.
  */
 
 import { api } from '../data/api.js';
+import { store } from '../data/store.js';
+import { CACHE_UPDATED } from '../data/requestCache.js';
+import { SearchIndex, highlight, snippet } from '../data/searchIndex.js';
+import { SEARCH_FIELDS, SELECT_FACETS, passesFilters, isEmptySearch } from '../data/opportunitySearch.js';
+import { Modal, Toast } from '../ui/components.js';
 import { requireAuth } from './guards.js';
+import { SearchFiltersManager } from './searchFilters.js';
+
+const searchIndex = new SearchIndex({ fields: SEARCH_FIELDS });
 
 let allOpportunities = [];
 let filteredOpportunities = [];
+let searchFilters = null;
+// id -> { score, matched } for the current search; empty when not searching
+let searchHits = new Map();
+
+const toast = new Toast();
 
 export function initOpportunities() {
     // Check authentication
     if (!requireAuth()) return;
 
+    searchFilters = new SearchFiltersManager();
+    document.addEventListener('search:updated', applyFilters);
+    setupSavedSearches();
+    document.getElementById('opportunities-grid')?.addEventListener('click', (event) => {
+        if (event.target.closest('[data-clear-filters]')) searchFilters.clearAllFilters();
+    });
+
+    // Opportunities posted or edited elsewhere: re-index just those
+    store.subscribe('*', (state, paths, { remote }) => {
+        if (remote && paths.some(path => path.split('.')[0] === 'opportunities')) loadOpportunities();
+    });
+    window.addEventListener(CACHE_UPDATED, ({ detail: { resource } }) => {
+        if (resource === 'opportunities') loadOpportunities();
+    });
+
     loadOpportunities();
-    setupFilters();
 }
 
 async function loadOpportunities() {
     try {
         allOpportunities = await api.opportunities();
-        filteredOpportunities = [...allOpportunities];
-        renderOpportunities();
+        searchIndex.sync(allOpportunities);
+        applyFilters();
     } catch (error) {
         console.error('Failed to load opportunities:', error);
         showError('Failed to load opportunities');
     }
 }
 
-function setupFilters() {
-    const sectorFilter = document.getElementById('sector-filter');
-    const typeFilter = document.getElementById('type-filter');
-    const searchInput = document.getElementById('search-input');
+function esc(s = '') {
+    return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
 
-    if (sectorFilter) {
-        sectorFilter.addEventListener('change', applyFilters);
-    }
+function totalCommission(opp) {
+    return (opp.commission || []).reduce((sum, milestone) => sum + (Number(milestone.amount) || 0), 0);
+}
 
-    if (typeFilter) {
-        typeFilter.addEventListener('change', applyFilters);
-    }
+/**
+ * Indexed terms the search matched in an opportunity, for highlighting
+ */
+function matchedTerms(opp) {
+    return searchHits.get(String(opp.id))?.matched || [];
+}
 
-    if (searchInput) {
-        searchInput.addEventListener('input', applyFilters);
-    }
+function compareBy(sortBy) {
+    const created = opp => Date.parse(opp.createdAt) || 0;
+    const score = opp => searchHits.get(String(opp.id))?.score || 0;
+    if (sortBy === 'commission') return (a, b) => totalCommission(a) - totalCommission(b);
+    if (sortBy === 'created') return (a, b) => created(a) - created(b);
+    // Relevance: best match first, newest among equals (and when not searching)
+    return (a, b) => (score(a) - score(b)) || (created(a) - created(b));
 }
 
 function applyFilters() {
-    const sectorFilter = document.getElementById('sector-filter')?.value;
-    const typeFilter = document.getElementById('type-filter')?.value;
-    const searchInput = document.getElementById('search-input')?.value.toLowerCase();
-
-    filteredOpportunities = allOpportunities.filter(opp => {
-        const matchesSector = !sectorFilter || opp.sector === sectorFilter;
-        const matchesType = !typeFilter || opp.type === typeFilter;
-        const matchesSearch = !searchInput || 
-            opp.title.toLowerCase().includes(searchInput) ||
-            opp.company.toLowerCase().includes(searchInput) ||
-            opp.short.toLowerCase().includes(searchInput);
-
-        return matchesSector && matchesType && matchesSearch;
-    });
+    if (!searchFilters) return;
+    const { searchQuery, filters, sortBy, sortOrder } = searchFilters.getSearchParams();
+
+    // null: nothing to search for, so everything is in
+    const hits = searchIndex.search(searchQuery);
+    searchHits = new Map((hits || []).map(hit => [hit.id, hit]));
+    const searched = hits ? allOpportunities.filter(opp => searchHits.has(String(opp.id))) : allOpportunities;
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    const compare = compareBy(sortBy);
 
+    filteredOpportunities = searched
+        .filter(opp => passesFilters(opp, filters))
+        .sort((a, b) => direction * compare(a, b));
+
+    renderSelectCounts(searched, filters);
+    renderTagFilters(filters);
+    updateSaveButton();
+    renderResultsCount();
     renderOpportunities();
 }
 
+/**
+ * "B2B (3)": what each option would leave, given everything else chosen
+ */
+function renderSelectCounts(searched, filters) {
+    SELECT_FACETS.forEach(facet => {
+        const select = document.querySelector(`.filter-select[name="${facet}"]`);
+        if (!select) return;
+        const base = searched.filter(opp => passesFilters(opp, filters, facet));
+        [...select.options].forEach(option => {
+            option.dataset.label ??= option.textContent.trim();
+            const count = option.value ? base.filter(opp => opp[facet] === option.value).length : base.length;
+            option.textContent = `${option.dataset.label} (${count})`;
+        });
+    });
+}
+
+/**
+ * One chip per requirement, most common first. Counts are among the current
+ * results, since every chosen tag must match; chosen tags stay even at zero
+ * so they can be removed.
+ */
+function renderTagFilters(filters) {
+    const container = document.querySelector('.tags-container');
+    if (!container) return;
+
+    const frequency = new Map();
+    allOpportunities.forEach(opp => (opp.requirements || []).forEach(tag => frequency.set(tag, (frequency.get(tag) || 0) + 1)));
+    (filters.tags || []).forEach(tag => frequency.set(tag, frequency.get(tag) || 0));
+    const tags = [...frequency.keys()].sort((a, b) => (frequency.get(b) - frequency.get(a)) || a.localeCompare(b));
+    // Re-rendering shouldn't lose keyboard focus on the chip just toggled
+    const focused = container.contains(document.activeElement) ? document.activeElement.dataset.tag : null;
+
+    container.innerHTML = tags.map(tag => {
+        const count = filteredOpportunities.filter(opp => (opp.requirements || []).includes(tag)).length;
+        const chosen = !!filters.tags?.includes(tag);
+        return `<button type="button" class="tag" data-tag="${esc(tag)}"${!count && !chosen ? ' disabled' : ''}>
+            ${esc(tag)} <span class="tag__count">${count}</span>
+        </button>`;
+    }).join('');
+    [...container.querySelectorAll('[data-tag]')].find(chip => chip.dataset.tag === focused)?.focus();
+    searchFilters.updateTagFilters();
+}
+
+function renderResultsCount() {
+    const el = document.getElementById('results-count');
+    if (!el) return;
+    const shown = filteredOpportunities.length;
+    const noun = shown === 1 ? 'opportunity' : 'opportunities';
+    el.textContent = shown === allOpportunities.length
+        ? `${shown} ${noun}`
+        : `${shown} of ${allOpportunities.length} ${noun}`;
+}
+
 function renderOpportunities() {
     const container = document.getElementById('opportunities-grid');
     if (!container) return;
 
     if (filteredOpportunities.length === 0) {
-        container.innerHTML = '<p class="text-muted">No opportunities match your filters.</p>';
+        container.innerHTML = `<p class="text-muted">No opportunities match your filters.
+            <button type="button" class="btn btn--secondary btn--small" data-clear-filters>Clear all filters</button></p>`;
         return;
     }
 
-    container.innerHTML = filteredOpportunities.map(opp => `
-        <div class="opportunity-card" onclick="viewOpportunity('${opp.id}')">
+    container.innerHTML = filteredOpportunities.map(opp => {
+        const matched = matchedTerms(opp);
+        // Milestone names aren't on the card unless the search found something there
+        const milestones = (opp.commission || []).map(milestone => highlight(milestone.title, matched));
+        const milestoneMatch = milestones.some(html => html.includes('<mark>'))
+            ? `<p class="opportunity-card__match">Milestones: ${milestones.join(', ')}</p>`
+            : '';
+        return `
+        <div class="opportunity-card" onclick="viewOpportunity('${esc(opp.id)}')">
             <div class="opportunity-card__header">
                 <div>
-                    <h3 class="opportunity-card__title">${opp.title}</h3>
-                    <p class="opportunity-card__company">${opp.company}</p>
+                    <h3 class="opportunity-card__title">${highlight(opp.title, matched)}</h3>
+                    <p class="opportunity-card__company">${highlight(opp.company, matched)}</p>
                 </div>
                 <div class="opportunity-card__commission">
-                    ${opp.commissionType === 'Fixed' ? `$${opp.commission[0].amount}` : 'Milestone'}
+                    ${opp.commissionType === 'Fixed' ? `$${totalCommission(opp)}` : `Up to $${totalCommission(opp)}`}
                 </div>
             </div>
-            <p class="opportunity-card__description">${opp.short}</p>
+            <p class="opportunity-card__description">${snippet(opp.short, matched)}</p>
+            ${milestoneMatch}
             <div class="opportunity-card__tags">
-                <span class="tag tag--active">${opp.sector}</span>
-                <span class="tag">${opp.type}</span>
-                ${opp.requirements.map(req => `<span class="tag">${req}</span>`).join('')}
+                <span class="tag tag--active">${esc(opp.sector)}</span>
+                <span class="tag">${esc(opp.type)}</span>
+                ${(opp.requirements || []).map(req => `<span class="tag">${highlight(req, matched)}</span>`).join('')}
             </div>
             <div class="opportunity-card__meta">
-                <span class="badge badge--success">${opp.status}</span>
-                <button class="btn btn--primary btn--small" onclick="event.stopPropagation(); applyToOpportunity('${opp.id}')">
+                <span class="badge badge--success">${esc(opp.status)}</span>
+                <button class="btn btn--primary btn--small" onclick="event.stopPropagation(); applyToOpportunity('${esc(opp.id)}')">
                     Apply
                 </button>
             </div>
         </div>
-    `).join('');
+    `;
+    }).join('');
+}
+
+// ---------------------------------------------------------------------
+// Saved searches
+// ---------------------------------------------------------------------
+
+function setupSavedSearches() {
+    const button = document.querySelector('[data-save-search]');
+    if (store.get('auth.user.role') !== 'rep') return;
+    button?.classList.remove('hidden');
+    button?.addEventListener('click', saveSearch);
+
+    const savedId = new URLSearchParams(location.search).get('saved');
+    if (savedId) markSearchSeen(savedId);
+}
+
+// Only something that narrows the results is worth saving
+function updateSaveButton() {
+    const button = document.querySelector('[data-save-search]');
+    if (button) button.disabled = isEmptySearch(searchFilters.getSearchParams());
+}
+
+/**
+ * Opened from a saved search: what is listed now counts as seen. The id
+ * leaves the URL so a reload or shared link doesn't carry it.
+ */
+async function markSearchSeen(id) {
+    const params = new URLSearchParams(location.search);
+    params.delete('saved');
+    const query = params.toString();
+    history.replaceState(history.state, '', `${location.pathname}${query ? `?${query}` : ''}${location.hash}`);
+
+    const res = await api.request(`saved-searches/${encodeURIComponent(id)}/seen`, { method: 'POST' });
+    if (!res.success) console.warn('Could not mark the saved search as seen:', res.error);
+}
+
+/**
+ * Ask for a name and save the current search, with alerts on by default
+ */
+function saveSearch() {
+    const modal = new Modal();
+    modal.show(`
+        <form data-save-search-form novalidate>
+            <div class="form-group">
+                <label for="saved-search-name" class="form-label">Name</label>
+                <input id="saved-search-name" name="searchName" class="form-input" maxlength="60" autocomplete="off">
+                <div class="form-error hidden" data-save-search-error></div>
+            </div>
+            <div class="form-group">
+                <label class="checkbox-label">
+                    <input type="checkbox" name="alerts" checked>
+                    <span class="checkmark"></span>
+                    Notify me in the app and by email when a new opportunity matches
+                </label>
+            </div>
+            <div class="modal__footer">
+                <button type="button" class="btn btn--secondary" data-save-search-cancel>Cancel</button>
+                <button type="submit" class="btn btn--primary">Save search</button>
+            </div>
+        </form>`, 'Save this search');
+
+    const form = modal.modal.querySelector('[data-save-search-form]');
+    const error = form.querySelector('[data-save-search-error]');
+    form.searchName.focus();
+    form.querySelector('[data-save-search-cancel]').addEventListener('click', () => modal.hide());
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const name = form.searchName.value.trim();
+        if (!name) {
+            form.searchName.focus();
+            return;
+        }
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+        const res = await api.request('saved-searches', {
+            method: 'POST',
+            body: JSON.stringify({ name, search: searchFilters.getSearchParams(), alerts: form.alerts.checked })
+        });
+        button.disabled = false;
+        if (!res.success) {
+            error.textContent = res.error || 'Could not save the search.';
+            error.classList.remove('hidden');
+            return;
+        }
+        modal.hide();
+        toast.show(`Saved "${res.data.name}". Find it on your dashboard.`, 'success');
+    });
 }
 
 // Global functions
@@ -138,4 +328,4 @@ function showSuccess(message) {
 }
 
 // Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', initOpportunities);
\ No newline at end of file
+document.addEventListener('DOMContentLoaded', initOpportunities);
@@ -0,0 +1,75 @@
+/**
+ * Password Reset
+ * Without ?token= asks for an email and sends a reset link; with one (opened
+ * from that email) sets the new password
+ */
+
+import { api } from '../data/api.js';
+
+const token = new URLSearchParams(location.search).get('token');
+
+function show(id, message) {
+    ['reset-error', 'reset-notice'].forEach(other => document.getElementById(other).classList.add('hidden'));
+    const el = document.getElementById(id);
+    el.textContent = message;
+    el.classList.remove('hidden');
+}
+
+function setBusy(form, busy) {
+    const button = form.querySelector('button[type="submit"]');
+    if (button) button.disabled = busy;
+}
+
+async function handleForgot(e) {
+    e.preventDefault();
+    const form = e.target;
+    const email = form.email.value.trim();
+    if (!email) {
+        show('reset-error', 'Enter the email address you signed up with.');
+        return;
+    }
+
+    setBusy(form, true);
+    const res = await api.request('auth/password/forgot', { method: 'POST', body: JSON.stringify({ email }) });
+    setBusy(form, false);
+    if (!res.success) {
+        show('reset-error', res.error || 'Could not send the reset email. Please try again.');
+        return;
+    }
+    form.reset();
+    show('reset-notice', `If ${email} has a Rep-Link account, a reset link is on its way. It expires in 30 minutes.`);
+}
+
+async function handleReset(e) {
+    e.preventDefault();
+    const form = e.target;
+    const password = form.password.value;
+    if (password.length < 8) {
+        show('reset-error', 'Password must be at least 8 characters.');
+        return;
+    }
+    if (password !== form.confirmPassword.value) {
+        show('reset-error', 'Passwords do not match.');
+        return;
+    }
+
+    setBusy(form, true);
+    const res = await api.request('auth/password/reset', { method: 'POST', body: JSON.stringify({ token, password }) });
+    if (!res.success) {
+        setBusy(form, false);
+        show('reset-error', res.error || 'Could not reset your password.');
+        return;
+    }
+    form.classList.add('hidden');
+    // Don't leave a spent token in the address bar or history
+    history.replaceState(null, '', location.pathname);
+    show('reset-notice', 'Your password was changed and you were signed out on all devices. Log in with your new password.');
+}
+
+function initPasswordReset() {
+    const form = document.getElementById(token ? 'reset-form' : 'forgot-form');
+    form.classList.remove('hidden');
+    form.addEventListener('submit', token ? handleReset : handleForgot);
+}
+
+document.addEventListener('DOMContentLoaded', initPasswordReset);
@@ -5,7 +5,8 @@
 
 'use strict';
 
-import { API } from '../data/api.js';
+import { api } from '../data/api.js';
+import { blobStore } from '../data/blobStore.js';
 import { Store } from '../data/store.js';
 import { EventBus } from '../ui/event-bus.js';
 import { Toast, Modal } from '../ui/components.js';
@@ -52,6 +53,16 @@ export class ProposalsManager {
             }
         });
 
+        // Attachments open from this browser's blob store
+        document.addEventListener('click', async (event) => {
+            const link = event.target.closest('.attachment-link[data-blob-id]');
+            if (!link) return;
+            event.preventDefault();
+            const url = await blobStore.url(link.dataset.blobId).catch(() => null);
+            if (url) window.open(url, '_blank', 'noopener');
+            else this.toast.show('This file is not available on this device', 'warning');
+        });
+
         // Proposal status updates
         document.addEventListener('click', (event) => {
             if (event.target.matches('.btn--accept-proposal')) {
@@ -101,6 +112,7 @@ export class ProposalsManager {
             
             const modalContent = this.createProposalModalContent();
             this.modal.show(modalContent, 'Submit Proposal');
+            this.bindProposalForm();
             
         } catch (error) {
             console.error('Failed to show proposal modal:', error);
@@ -120,7 +132,7 @@ export class ProposalsManager {
                 <div class="opportunity-summary">
                     <h3>${opportunity.title}</h3>
                     <p class="commission-info">Commission: ${commissionText}</p>
-                    <p class="opportunity-brief">${opportunity.brief}</p>
+                    <p class="opportunity-brief">${opportunity.short}</p>
                 </div>
                 
                 <form id="proposal-form" class="proposal-form">
@@ -214,6 +226,44 @@ export class ProposalsManager {
         `;
     }
 
+    /**
+     * Wire the proposal form: list chosen files and submit with their blob refs
+     */
+    bindProposalForm() {
+        const form = qs('#proposal-form');
+        if (!form) return;
+
+        const input = qs('#attachments', form);
+        const fileList = qs('.file-list', form);
+        input?.addEventListener('change', () => {
+            fileList.replaceChildren(...Array.from(input.files).map(file =>
+                ce('div', { className: 'file-item', textContent: `${file.name} (${Math.ceil(file.size / 1024)}KB)` })
+            ));
+        });
+
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const data = Object.fromEntries(new FormData(form));
+            delete data.attachments;
+            data.commissionAcceptance = !!data.commissionAcceptance;
+
+            let attachments = [];
+            try {
+                attachments = await blobStore.putAll(Array.from(input?.files || []), {
+                    owner: this.store.get('auth.user.id'),
+                    kind: 'proposal'
+                });
+            } catch (error) {
+                this.toast.show(error.message, 'error');
+                return;
+            }
+
+            const result = await this.submitProposal({ ...data, attachments });
+            // Don't keep files for a proposal that was never created
+            if (!result) attachments.forEach(ref => blobStore.remove(ref.id));
+        });
+    }
+
     /**
      * Submit proposal
      */
@@ -224,6 +274,12 @@ export class ProposalsManager {
                 body: JSON.stringify(formData)
             });
             
+            if (response.queued) {
+                this.toast.show('You are offline. Your proposal is saved and will be submitted when you reconnect.', 'warning');
+                this.modal.hide();
+                return response.data;
+            }
+
             if (response.success) {
                 this.toast.show('Proposal submitted successfully!', 'success');
                 this.modal.hide();
@@ -301,18 +357,23 @@ export class ProposalsManager {
                 throw new Error('Proposal not found');
             }
             
-            const opportunity = this.currentOpportunity;
+            let opportunity = this.currentOpportunity;
+            if (String(opportunity?.id) !== String(proposal.oppId)) {
+                const oppResponse = await this.api.request(`opportunities/get/${proposal.oppId}`);
+                opportunity = oppResponse.success ? oppResponse.data : null;
+            }
             if (!opportunity) {
                 throw new Error('Opportunity not found');
             }
             
+            // opportunity.commission is the list of payable milestones ({ title, amount })
             const contractData = {
                 oppId: opportunity.id,
                 repId: proposal.repId,
                 businessId: opportunity.businessId,
-                type: opportunity.commissionType,
+                type: String(opportunity.commissionType).toLowerCase(),
                 title: opportunity.title,
-                milestones: opportunity.commission.milestones || [],
+                milestones: opportunity.commission || [],
                 totalValue: this.calculateTotalValue(opportunity.commission)
             };
             
@@ -390,7 +451,7 @@ export class ProposalsManager {
                             <strong>Attachments:</strong>
                             <ul>
                                 ${proposal.attachments.map(attachment => 
-                                    `<li><a href="#" class="attachment-link">${attachment.name}</a></li>`
+                                    `<li><a href="#" class="attachment-link" data-blob-id="${attachment.id}">${attachment.name}</a></li>`
                                 ).join('')}
                             </ul>
                         </div>
@@ -473,25 +534,20 @@ export class ProposalsManager {
      * Format commission display
      */
     formatCommission(commission) {
-        if (commission.structure === 'fixed') {
-            return `$${commission.amount.toLocaleString()}`;
-        } else if (commission.structure === 'milestone') {
-            const total = commission.milestones.reduce((sum, milestone) => sum + milestone.amount, 0);
-            return `$${total.toLocaleString()} total`;
+        if (!Array.isArray(commission) || commission.length === 0) {
+            return 'Contact for details';
         }
-        return 'Contact for details';
+        if (commission.length === 1) {
+            return `$${commission[0].amount.toLocaleString()}`;
+        }
+        return `$${this.calculateTotalValue(commission).toLocaleString()} total`;
     }
 
     /**
      * Calculate total value
      */
     calculateTotalValue(commission) {
-        if (commission.structure === 'fixed') {
-            return commission.amount;
-        } else if (commission.structure === 'milestone') {
-            return commission.milestones.reduce((sum, milestone) => sum + milestone.amount, 0);
-        }
-        return 0;
+        return (commission || []).reduce((sum, milestone) => sum + milestone.amount, 0);
     }
 
     /**
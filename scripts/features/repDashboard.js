@@ -1,11 +1,15 @@
 /**
  * Rep Dashboard
- * Sales rep dashboard with KPIs, opportunities, and campaigns
+ * Sales rep dashboard with KPIs, opportunities, campaigns, saved searches
+ * and notifications
  */
 
 import { api } from '../data/api.js';
 import { store } from '../data/store.js';
+import { CACHE_UPDATED } from '../data/requestCache.js';
 import { requireRep } from './guards.js';
+import { initSavedSearchesSection, refreshSavedSearches } from './savedSearches.js';
+import { initNotificationsSection, refreshNotifications } from './notifications.js';
 
 export function initRepDashboard() {
     // Check authentication
@@ -13,6 +17,26 @@ export function initRepDashboard() {
 
     loadDashboardData();
     setupEventListeners();
+    initSavedSearchesSection();
+    initNotificationsSection();
+
+    // Re-render when another tab commits changes this dashboard shows
+    const watched = ['campaigns', 'proposals', 'contracts', 'opportunities'];
+    store.subscribe('*', (state, paths, { remote }) => {
+        if (!remote) return;
+        const changed = paths.map(path => path.split('.')[0]);
+        if (changed.some(name => watched.includes(name))) {
+            loadDashboardData();
+        }
+        // New opportunities change the "new" counts and may bring alerts
+        if (changed.some(name => ['savedSearches', 'opportunities'].includes(name))) refreshSavedSearches();
+        if (changed.includes('notifications')) refreshNotifications();
+    });
+
+    // Cached lists render first; re-render when the background refresh differs
+    window.addEventListener(CACHE_UPDATED, ({ detail: { resource } }) => {
+        if (watched.includes(resource)) loadDashboardData();
+    });
 }
 
 async function loadDashboardData() {
@@ -155,7 +179,7 @@ function renderSignedCampaigns(campaigns) {
                     <h4>Milestones</h4>
                     ${campaign.milestones.map(milestone => `
                         <div class="milestone-item">
-                            <span class="milestone-name">${milestone.name}</span>
+                            <span class="milestone-name">${milestone.title}</span>
                             <span class="milestone-amount">$${milestone.amount}</span>
                             <span class="badge badge--${milestone.status === 'released' ? 'success' : 'warning'}">${milestone.status}</span>
                         </div>
@@ -197,7 +221,7 @@ function renderSalesTracker(campaigns) {
     container.innerHTML = salesItems.map(item => `
         <div class="sales-item">
             <div class="sales-item__info">
-                <h4 class="sales-item__title">${item.name}</h4>
+                <h4 class="sales-item__title">${item.title}</h4>
                 <p class="sales-item__campaign">Campaign ${item.campaignId}</p>
             </div>
             <div class="sales-item__amount">$${item.amount}</div>
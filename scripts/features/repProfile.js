@@ -1,13 +1,22 @@
 import { api } from '../data/api.js';
 import { store } from '../data/store.js';
+import { blobStore } from '../data/blobStore.js';
 import { resolve } from '../boot/paths.js';
+import { SG_BANKS, parseBankAccount, formatBankAccount } from '../data/sgFormats.js';
+import { FormValidator, ValidationRules } from '../ui/forms.js';
+import { initAccountData } from './accountData.js';
 
 function maskNRIC(s=''){ return s.replace(/^(\w)\w+(\w)$/, '$1*****$2'); }
+function renderVerified(user){
+  const badge = document.getElementById('verifiedBadge');
+  badge.textContent = user.verified ? 'Verified rep' : 'Not verified yet';
+  badge.classList.toggle('badge--ok', !!user.verified);
+}
 function pct(n){ return Math.max(0, Math.min(100, Math.round(n))); }
 
 function completionScore(m){
   let score = 0;
-  const fields = ['name','phone','address','nationalId','bank','experience','skills','links','avatar'];
+  const fields = ['name','phone','address','nationalId','bank','experience','skills','links','avatarId'];
   fields.forEach(f => { if (m[f] && String(m[f]).trim().length >= 2) score += 100/fields.length; });
   return pct(score);
 }
@@ -21,52 +30,88 @@ async function main(){
   const key = `profile.rep.${auth.user.id}`;
   const existing = JSON.parse(localStorage.getItem(key) || 'null');
   const mock = await api.singpassRep().catch(()=>({}));
+  // Details given at signup come first
+  const signup = auth.user.profile || {};
   const model = Object.assign({
     name: auth.user.name || mock.name || '',
     email: auth.user.email,
-    phone: mock.phone || '',
-    address: mock.address || '',
-    nationalId: mock.nationalId || '',
-    bank: mock.bankAccount || '',
+    phone: auth.user.phone || mock.phone || '',
+    address: signup.address || mock.address || '',
+    nationalId: signup.nationalId || mock.nationalId || '',
+    bank: auth.user.bankAccount || mock.bankAccount || '',
     experience: '',
     skills: '',
     links: '',
     publicProfile: false,
-    avatar: ''
+    avatarId: ''
   }, existing || {});
 
+  // Profiles saved before avatars moved to IndexedDB carry a base64 data URL
+  if (model.avatar) {
+    const ref = await blobStore.importDataURL(model.avatar, { owner: auth.user.id, kind: 'avatar', name: 'avatar' }).catch(()=>null);
+    delete model.avatar;
+    if (ref) model.avatarId = ref.id;
+    localStorage.setItem(key, JSON.stringify(model));
+  }
+
   // Bind UI
   el('email').textContent = model.email;
   ['name','phone','address','nationalId','bank','experience','skills','links'].forEach(id => el(id).value = model[id] || '');
   el('publicProfile').checked = !!model.publicProfile;
+  renderVerified(auth.user);
+  // Pick up a review that happened since this session started
+  api.request('auth/verify', { method: 'POST' }).then(res => {
+    if (!res.success || !res.data.valid) return;
+    store.updateUser({ verified: !!res.data.user.verified });
+    renderVerified(res.data.user);
+  });
+  SG_BANKS.forEach(bank => el('bankName').add(new Option(bank.name, bank.code)));
+  const savedBank = parseBankAccount(model.bank);
+  el('bankName').value = savedBank.bank;
+  el('bank').value = savedBank.number;
 
-  // Avatar
-  if (model.avatar) {
-    el('avatarPreview').src = model.avatar;
+  // Inline errors for the SG formats; nothing is saved while one shows
+  const validator = new FormValidator('#repForm');
+  validator.addRule('phone', ValidationRules.sgPhone('mobile'));
+  validator.addRule('address', ValidationRules.sgAddress());
+  validator.addRule('nationalId', ValidationRules.nric());
+  validator.addRule('bank', ValidationRules.bankAccount('bankName'));
+  el('bankName').addEventListener('change', () => { if (el('bank').value) validator.validateField(el('bank')); });
+
+  // Avatar (bytes in IndexedDB, only the id in the profile)
+  function showAvatar(url){
+    if (!url) return;
+    el('avatarPreview').src = url;
     el('avatarPreview').style.display = 'block';
     el('avatarPlaceholder').style.display = 'none';
   }
-  el('avatarFile').addEventListener('change', (e)=>{
+  let savedAvatarId = model.avatarId;
+  if (model.avatarId) showAvatar(await blobStore.url(model.avatarId).catch(()=>null));
+  el('avatarFile').addEventListener('change', async (e)=>{
     const f = e.target.files?.[0]; if(!f) return;
-    if (f.size > 1_048_576) { alert('Image too large (max 1MB).'); e.target.value=''; return; }
-    const reader = new FileReader();
-    reader.onload = () => { 
-      model.avatar = reader.result; 
-      el('avatarPreview').src = model.avatar;
-      el('avatarPreview').style.display = 'block';
-      el('avatarPlaceholder').style.display = 'none';
-      paintMeter(); 
-    };
-    reader.readAsDataURL(f);
+    try {
+      const ref = await blobStore.put(f, { owner: auth.user.id, kind: 'avatar' });
+      if (model.avatarId !== savedAvatarId) blobStore.remove(model.avatarId);
+      model.avatarId = ref.id;
+      showAvatar(await blobStore.url(ref.id));
+      paintMeter();
+    } catch (err) {
+      alert(err.message);
+      e.target.value = '';
+    }
   });
 
   // Save
   el('saveBtn').addEventListener('click', ()=>{
+    if (!validator.validateForm()) { validator.focusFirstError(); return; }
     ['name','phone','address','nationalId','bank','experience','skills','links'].forEach(id => model[id] = document.getElementById(id).value.trim());
+    if (model.bank) model.bank = formatBankAccount(el('bankName').value, model.bank);
     model.publicProfile = document.getElementById('publicProfile').checked;
     // Mask NRIC in UI but store full value locally for the demo
     el('nationalId').value = model.nationalId;
     localStorage.setItem(key, JSON.stringify(model));
+    if (savedAvatarId && savedAvatarId !== model.avatarId) blobStore.remove(savedAvatarId);
+    savedAvatarId = model.avatarId;
     alert('Profile saved');
     paintMeter();
   });
@@ -78,6 +123,7 @@ async function main(){
     document.getElementById('meterText').textContent = `${c}% complete`;
   }
   paintMeter();
+  initAccountData();
 }
 
 document.addEventListener('DOMContentLoaded', main);
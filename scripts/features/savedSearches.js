@@ -0,0 +1,101 @@
+/**
+ * Saved Searches
+ * The "Saved Searches" card on the rep dashboard: each search a rep saved on
+ * the opportunities page, how many opportunities matching it went live since
+ * they last opened it, and whether it sends alerts
+ */
+
+import { api } from '../data/api.js';
+import { Toast } from '../ui/components.js';
+
+const toast = new Toast();
+
+function esc(s = '') {
+    return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Links from the backend are root-relative ('pages/opportunities.html?…')
+function linkHref(link) {
+    return new URL(`../../${link}`, import.meta.url).href;
+}
+
+const $ = id => document.getElementById(id);
+const send = (method, route, body) => api.request(route, { method, ...(body && { body: JSON.stringify(body) }) });
+
+function showError(message) {
+    $('saved-searches-error').textContent = message || '';
+    $('saved-searches-error').classList.toggle('hidden', !message);
+}
+
+function renderSearches(searches) {
+    if (searches.length === 0) {
+        $('saved-search-list').innerHTML = `<li class="text-muted">Set up a search on the opportunities page and choose
+            "Save search" to keep it here.</li>`;
+        return;
+    }
+    $('saved-search-list').innerHTML = searches.map(s => `
+        <li class="alert-item">
+            <div>
+                <a class="alert-item__title" href="${esc(linkHref(s.link))}">${esc(s.name)}</a>
+                ${s.newCount ? `<span class="badge badge--success">${s.newCount} new</span>` : ''}
+                <div class="alert-item__meta">${esc(s.summary)}</div>
+            </div>
+            <div class="alert-item__actions">
+                <label class="checkbox-label">
+                    <input type="checkbox" data-saved-search-alerts="${esc(s.id)}"${s.alerts ? ' checked' : ''}>
+                    <span class="checkmark"></span>
+                    Alerts
+                </label>
+                <button type="button" class="btn btn--secondary btn--small" data-saved-search-delete="${esc(s.id)}"
+                    aria-label="Delete ${esc(s.name)}">Delete</button>
+            </div>
+        </li>`).join('');
+}
+
+export async function refreshSavedSearches() {
+    if (!$('saved-searches')) return;
+    const res = await api.request('saved-searches');
+    if (!res.success) {
+        showError(res.error || 'Could not load your saved searches.');
+        return;
+    }
+    showError('');
+    renderSearches(res.data);
+}
+
+async function setAlerts(checkbox) {
+    showError('');
+    const res = await send('PATCH', `saved-searches/${encodeURIComponent(checkbox.dataset.savedSearchAlerts)}`, { alerts: checkbox.checked });
+    if (!res.success) {
+        showError(res.error || 'Could not change the alerts.');
+        checkbox.checked = !checkbox.checked;
+        return;
+    }
+    toast.show(res.data.alerts ? `Alerts on for "${res.data.name}"` : `Alerts off for "${res.data.name}"`, 'success');
+}
+
+async function deleteSearch(id) {
+    if (!confirm('Delete this saved search? Its alerts stop too.')) return;
+    showError('');
+    const res = await send('DELETE', `saved-searches/${encodeURIComponent(id)}`);
+    if (!res.success) {
+        showError(res.error || 'Could not delete the saved search.');
+        return;
+    }
+    toast.show('Saved search deleted', 'success');
+    refreshSavedSearches();
+}
+
+export async function initSavedSearchesSection() {
+    if (!$('saved-searches')) return;
+
+    $('saved-searches').addEventListener('change', (e) => {
+        if (e.target.matches('[data-saved-search-alerts]')) setAlerts(e.target);
+    });
+    $('saved-searches').addEventListener('click', (e) => {
+        const remove = e.target.closest('[data-saved-search-delete]');
+        if (remove) deleteSearch(remove.dataset.savedSearchDelete);
+    });
+
+    await refreshSavedSearches();
+}
@@ -6,10 +6,13 @@
 'use strict';
 
 import { qs, qsa, debounce } from '../ui/dom.js';
+import { DEFAULT_SORT, searchQueryString } from '../data/opportunitySearch.js';
 
 /**
  * Search and Filters Manager
- * Handles search and filtering functionality
+ * Handles search and filtering functionality. State lives in the URL
+ * (?search=, one param per .filter-select name, ?tags=a&tags=b, ?sort=) so a
+ * shared link or Back restores it; pages listen for 'search:updated'.
  */
 export class SearchFiltersManager {
     constructor() {
@@ -24,6 +27,12 @@ export class SearchFiltersManager {
     init() {
         this.setupEventListeners();
         this.loadFiltersFromURL();
+
+        // Back/Forward: the URL is the state
+        window.addEventListener('popstate', () => {
+            this.loadFiltersFromURL();
+            this.emitSearchEvent();
+        });
     }
 
     setupEventListeners() {
@@ -31,7 +40,7 @@ export class SearchFiltersManager {
         const searchInput = qs('.search-bar__input');
         if (searchInput) {
             const debouncedSearch = debounce((query) => {
-                this.setSearchQuery(query);
+                this.setSearchQuery(query.trim());
             }, 300);
             
             searchInput.addEventListener('input', (event) => {
@@ -46,12 +55,14 @@ export class SearchFiltersManager {
             });
         });
 
-        // Tag filters
-        qsa('.tag').forEach(tag => {
-            tag.addEventListener('click', (event) => {
-                this.toggleTagFilter(event.target.textContent);
+        // Tag filters; chips may be rendered after this runs
+        const tagsContainer = qs('.tags-container');
+        if (tagsContainer) {
+            tagsContainer.addEventListener('click', (event) => {
+                const tag = event.target.closest('[data-tag]');
+                if (tag && !tag.disabled) this.toggleTagFilter(tag.dataset.tag);
             });
-        });
+        }
 
         // Sort options
         const sortSelect = qs('.sort-select');
@@ -71,8 +82,10 @@ export class SearchFiltersManager {
     }
 
     setSearchQuery(query) {
+        if (query === this.searchQuery) return;
+        // Typing refines one search rather than adding history entries
         this.searchQuery = query;
-        this.updateURL();
+        this.updateURL({ replace: true });
         this.emitSearchEvent();
     }
 
@@ -87,7 +100,7 @@ export class SearchFiltersManager {
     }
 
     toggleTagFilter(tag) {
-        const tagFilters = this.filters.tags || [];
+        const tagFilters = [...(this.filters.tags || [])];
         const index = tagFilters.indexOf(tag);
         
         if (index > -1) {
@@ -108,13 +121,30 @@ export class SearchFiltersManager {
     }
 
     setSort(sortValue) {
-        const [sortBy, sortOrder] = sortValue.split('_');
+        const [sortBy, sortOrder] = this.validSort(sortValue).split('_');
         this.sortBy = sortBy;
         this.sortOrder = sortOrder;
         this.updateURL();
         this.emitSearchEvent();
     }
 
+    /**
+     * A value the sort select offers, else the default
+     */
+    validSort(sortValue) {
+        const sortSelect = qs('.sort-select');
+        if (!sortSelect) return sortValue || DEFAULT_SORT;
+        return [...sortSelect.options].some(option => option.value === sortValue) ? sortValue : DEFAULT_SORT;
+    }
+
+    /**
+     * Anything narrowing or reordering the results
+     */
+    hasActiveFilters() {
+        return !!this.searchQuery || Object.keys(this.filters).length > 0
+            || `${this.sortBy}_${this.sortOrder}` !== DEFAULT_SORT;
+    }
+
     clearAllFilters() {
         this.searchQuery = '';
         this.filters = {};
@@ -130,62 +160,43 @@ export class SearchFiltersManager {
         });
         
         const sortSelect = qs('.sort-select');
-        if (sortSelect) sortSelect.value = 'relevance_desc';
+        if (sortSelect) sortSelect.value = DEFAULT_SORT;
         
         this.updateURL();
         this.emitSearchEvent();
         this.updateTagFilters();
     }
 
-    updateURL() {
-        const params = new URLSearchParams();
-        
-        if (this.searchQuery) {
-            params.set('search', this.searchQuery);
-        }
-        
-        Object.entries(this.filters).forEach(([key, value]) => {
-            if (Array.isArray(value)) {
-                params.set(key, value.join(','));
-            } else {
-                params.set(key, value);
-            }
-        });
-        
-        if (this.sortBy !== 'relevance' || this.sortOrder !== 'desc') {
-            params.set('sort', `${this.sortBy}_${this.sortOrder}`);
-        }
-        
-        const newURL = `${window.location.pathname}${params.toString() ? '?' + params.toString() : ''}`;
-        window.history.pushState({}, '', newURL);
+    updateURL({ replace = false } = {}) {
+        const query = searchQueryString(this.getSearchParams());
+        const newURL = `${window.location.pathname}${query ? '?' + query : ''}${window.location.hash}`;
+        if (newURL === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+        window.history[replace ? 'replaceState' : 'pushState']({}, '', newURL);
     }
 
     loadFiltersFromURL() {
         const params = new URLSearchParams(window.location.search);
         
-        this.searchQuery = params.get('search') || '';
-        this.sortBy = 'relevance';
-        this.sortOrder = 'desc';
+        this.searchQuery = (params.get('search') || '').trim();
+        this.filters = {};
+        [this.sortBy, this.sortOrder] = this.validSort(params.get('sort')).split('_');
         
-        // Load filters from URL
-        params.forEach((value, key) => {
-            if (key === 'search') return;
-            if (key === 'sort') {
-                const [sortBy, sortOrder] = value.split('_');
-                this.sortBy = sortBy;
-                this.sortOrder = sortOrder;
-                return;
-            }
-            
-            if (key === 'tags') {
-                this.filters.tags = value.split(',');
-            } else {
-                this.filters[key] = value;
+        // Only the filters this page has controls for
+        qsa('.filter-select').forEach(select => {
+            const value = params.get(select.name);
+            if (value && [...select.options].some(option => option.value === value)) {
+                this.filters[select.name] = value;
             }
         });
         
+        const tags = [...new Set(params.getAll('tags').filter(Boolean))];
+        if (tags.length > 0) {
+            this.filters.tags = tags;
+        }
+        
         this.updateFormInputs();
         this.updateTagFilters();
+        this.updateClearButton();
     }
 
     updateFormInputs() {
@@ -195,12 +206,9 @@ export class SearchFiltersManager {
             searchInput.value = this.searchQuery;
         }
         
-        // Update filter selects
-        Object.entries(this.filters).forEach(([key, value]) => {
-            const select = qs(`[name="${key}"]`);
-            if (select) {
-                select.value = value;
-            }
+        // Update filter selects, clearing the ones the URL leaves out
+        qsa('.filter-select').forEach(select => {
+            select.value = this.filters[select.name] || '';
         });
         
         // Update sort select
@@ -211,19 +219,20 @@ export class SearchFiltersManager {
     }
 
     updateTagFilters() {
-        qsa('.tag').forEach(tag => {
-            const tagText = tag.textContent;
-            const isActive = this.filters.tags && this.filters.tags.includes(tagText);
-            
-            if (isActive) {
-                tag.classList.add('tag--active');
-            } else {
-                tag.classList.remove('tag--active');
-            }
+        qsa('.tags-container [data-tag]').forEach(tag => {
+            const isActive = !!this.filters.tags?.includes(tag.dataset.tag);
+            tag.classList.toggle('tag--active', isActive);
+            tag.setAttribute('aria-pressed', String(isActive));
         });
     }
 
+    updateClearButton() {
+        const clearBtn = qs('.btn--clear-filters');
+        if (clearBtn) clearBtn.disabled = !this.hasActiveFilters();
+    }
+
     emitSearchEvent() {
+        this.updateClearButton();
         const event = new CustomEvent('search:updated', {
             detail: {
                 searchQuery: this.searchQuery,
@@ -1,27 +1,48 @@
 /**
  * Signup Flow
- * 2-step signup with mock Singpass integration
+ * 2-step signup; step 2 links Singpass and prefills from MyInfo. Progress is
+ * saved as a draft in this browser, and ?step=2 opens a saved draft at step 2.
  */
 
-import { api } from '../data/api.js';
 import { store } from '../data/store.js';
+import { api } from '../data/api.js';
+import { singpass } from '../data/singpass.js';
+import { SG_BANKS, formatBankAccount } from '../data/sgFormats.js';
+import { loadSignupDraft, saveSignupDraft, clearSignupDraft } from '../data/signupDraft.js';
+import { FormValidator, ValidationRules } from '../ui/forms.js';
+import { dashboardHrefFor } from '../app.js';
+
+// Step-2 fields MyInfo can fill, per role
+const MYINFO_FIELDS = {
+    business: ['company', 'uen', 'billingEmail', 'contact'],
+    rep: ['address', 'nationalId']
+};
+
+// Step-2 fields sent with the registration, per role
+const STEP2_FIELDS = {
+    business: ['company', 'uen', 'billingEmail', 'contact'],
+    rep: ['address', 'nationalId', 'bankAccount']
+};
+
+const STEP1_FIELDS = ['fullName', 'email', 'phone'];
 
 let signupData = {};
+let step2Validator = null;
+let currentStep = 1;
+// A saved draft waiting for "Continue" or "Start over"; nothing is saved meanwhile
+let pendingDraft = null;
 
 export function initSignup() {
     const urlParams = new URLSearchParams(window.location.search);
-    const role = urlParams.get('role') || 'rep';
+    const roleParam = urlParams.get('role');
+    const role = roleParam || 'rep';
     
     // Set initial role from URL parameter
     signupData.role = role;
     
     // Update role selection if present
     const roleRadios = document.querySelectorAll('input[name="role"]');
-    roleRadios.forEach(radio => {
-        if (radio.value === role) {
-            radio.checked = true;
-        }
-    });
+    setRole(role);
 
     // Handle step navigation
     const step1Form = document.getElementById('step1-form');
@@ -41,20 +62,166 @@ export function initSignup() {
         continueBtn.addEventListener('click', handleStep2);
     }
 
+    if (step2Form) {
+        setupStep2Validation();
+    }
+
+    // Save as the user types; the password field is never included
+    step1Form?.addEventListener('input', saveProgress);
+    step2Form?.addEventListener('input', saveProgress);
+
     // Handle role changes to show/hide appropriate fields
-    const roleRadios = document.querySelectorAll('input[name="role"]');
     roleRadios.forEach(radio => {
         radio.addEventListener('change', handleRoleChange);
     });
 
-    // Show appropriate step
-    showStep(1);
+    const draft = loadSignupDraft();
+    const requestedStep = Number(urlParams.get('step')) || null;
+    if (draft && requestedStep) {
+        // Deep link, or a reload mid-signup: straight back in
+        resumeDraft(draft, { step: requestedStep, role: roleParam });
+    } else if (draft) {
+        offerDraft(draft, roleParam);
+        showStep(1);
+    } else {
+        // Step 2 needs step 1's details first
+        showStep(1);
+    }
+    handleRoleChange();
+}
+
+function setRole(role) {
+    document.querySelectorAll('input[name="role"]').forEach(radio => {
+        radio.checked = radio.value === role;
+    });
+}
+
+/**
+ * "Continue where you left off" banner for a draft from an earlier visit
+ */
+function offerDraft(draft, roleParam) {
+    pendingDraft = draft;
+    const banner = document.getElementById('draft-banner');
+    if (!banner) return;
+    const when = new Date(draft.savedAt).toLocaleString('en-SG', { dateStyle: 'medium', timeStyle: 'short' });
+    const who = draft.email ? ` as ${draft.email}` : '';
+    document.getElementById('draft-banner-text').textContent =
+        `You started signing up${who} on ${when}. Continue where you left off?`;
+    banner.classList.remove('hidden');
+
+    document.getElementById('draft-continue').addEventListener('click', () => {
+        banner.classList.add('hidden');
+        resumeDraft(pendingDraft, { step: pendingDraft.step, role: roleParam });
+    }, { once: true });
+    document.getElementById('draft-discard').addEventListener('click', () => {
+        banner.classList.add('hidden');
+        pendingDraft = null;
+        clearSignupDraft();
+        saveProgress();
+    }, { once: true });
+}
+
+/**
+ * Put a saved draft back into both forms and open the step asked for
+ * @param {Object} draft - From loadSignupDraft()
+ * @param {Object} options
+ * @param {number} [options.step] - Falls back to step 1 while its details are missing
+ * @param {string} [options.role] - ?role= from the link, which wins over the draft's
+ */
+function resumeDraft(draft, { step, role }) {
+    pendingDraft = null;
+    const { step: savedStep, savedAt, ...fields } = draft;
+    signupData = { ...fields, role: role || fields.role || 'rep' };
+
+    [...STEP1_FIELDS, ...STEP2_FIELDS.business, ...STEP2_FIELDS.rep, 'bankName'].forEach(name => {
+        const field = document.getElementById(name);
+        if (field && fields[name] !== undefined) field.value = fields[name];
+    });
+    setRole(signupData.role);
     handleRoleChange();
+
+    // MyInfo scopes differ by role, and the link ticket only lasts minutes
+    if (signupData.singpassTicket && signupData.role !== fields.role) {
+        dropSingpassLink();
+    } else if (signupData.singpassTicket && singpassExpired()) {
+        dropSingpassLink();
+        showError('Your Singpass link has expired. Link Singpass again to fill in your details.');
+    } else if (signupData.singpassTicket) {
+        lockPrefilled(signupData.prefilled || []);
+        const button = document.getElementById('singpass-btn');
+        if (button) button.disabled = true;
+    }
+
+    const ready = STEP1_FIELDS.slice(0, 2).every(name => signupData[name]);
+    showStep(ready && (step || savedStep) === 2 ? 2 : 1);
+}
+
+/**
+ * Fields MyInfo filled are verified by Singpass, so not editable here
+ */
+function lockPrefilled(names) {
+    names.forEach(name => {
+        const field = document.getElementById(name);
+        if (!field) return;
+        field.classList.add('prefilled');
+        field.setAttribute('readonly', 'true');
+    });
+}
+
+function singpassExpired() {
+    return !!signupData.singpassTicketExpiresAt && Date.parse(signupData.singpassTicketExpiresAt) <= Date.now();
+}
+
+function dropSingpassLink() {
+    ['singpassTicket', 'singpassTicketExpiresAt', 'singpassLinked', 'prefilled'].forEach(key => delete signupData[key]);
+    document.querySelectorAll('#step2-form .prefilled').forEach(field => {
+        field.classList.remove('prefilled');
+        field.removeAttribute('readonly');
+    });
+    const button = document.getElementById('singpass-btn');
+    if (button) button.disabled = false;
+    saveProgress();
+}
+
+/**
+ * Write what both forms hold now as the draft (signupDraft.js leaves out the
+ * password, identity and bank details)
+ */
+function saveProgress() {
+    if (pendingDraft) return;
+    const values = {};
+    [...STEP1_FIELDS, ...STEP2_FIELDS.business, ...STEP2_FIELDS.rep, 'bankName'].forEach(name => {
+        const field = document.getElementById(name);
+        if (field) values[name] = field.value;
+    });
+    // Nothing typed (or all of it cleared): nothing to come back to
+    if (!Object.values(values).some(Boolean)) {
+        clearSignupDraft();
+        return;
+    }
+    const role = document.querySelector('input[name="role"]:checked')?.value || signupData.role;
+    saveSignupDraft({ ...signupData, ...values, role, step: currentStep });
+}
+
+function setupStep2Validation() {
+    const bankSelect = document.getElementById('bankName');
+    SG_BANKS.forEach(bank => bankSelect?.add(new Option(bank.name, bank.code)));
+
+    const required = ValidationRules.required('This field is required');
+    step2Validator = new FormValidator('#step2-form');
+    [...STEP2_FIELDS.business, ...STEP2_FIELDS.rep, 'bankName'].forEach(name => step2Validator.addRule(name, required));
+    step2Validator.addRule('address', ValidationRules.sgAddress());
+    step2Validator.addRule('nationalId', ValidationRules.nric());
+    step2Validator.addRule('bankAccount', ValidationRules.bankAccount('bankName'));
+    step2Validator.addRule('uen', ValidationRules.uen());
+    step2Validator.addRule('billingEmail', ValidationRules.email());
+    step2Validator.addRule('contact', ValidationRules.sgPhone());
 }
 
 function showStep(step) {
     const step1 = document.getElementById('step1');
     const step2 = document.getElementById('step2');
+    currentStep = step;
     
     if (step === 1) {
         step1?.classList.remove('hidden');
@@ -63,12 +230,43 @@ function showStep(step) {
         step1?.classList.add('hidden');
         step2?.classList.remove('hidden');
     }
+    // A resumed draft has no password yet
+    document.getElementById('step2-password-group')?.classList.toggle('hidden', !!signupData.password);
+
+    document.querySelectorAll('.stepper__step[data-step]').forEach(el => {
+        const n = Number(el.dataset.step);
+        el.classList.toggle('stepper__step--active', n === step);
+        el.classList.toggle('stepper__step--completed', n < step);
+    });
+    const bar = document.querySelector('.stepper__progress-bar');
+    if (bar) bar.style.width = `${step * 50}%`;
+
+    updateUrl();
+    saveProgress();
+}
+
+/**
+ * Reloading comes back to this step and role, unless the banner is still asking
+ */
+function updateUrl() {
+    if (pendingDraft) return;
+    const url = new URL(location.href);
+    url.searchParams.set('step', currentStep);
+    if (signupData.role) url.searchParams.set('role', signupData.role);
+    history.replaceState(null, '', url);
 }
 
 function handleRoleChange() {
     const selectedRole = document.querySelector('input[name="role"]:checked')?.value;
     const repFields = document.getElementById('rep-fields');
     const businessFields = document.getElementById('business-fields');
+
+    if (selectedRole && selectedRole !== signupData.role) {
+        // A Singpass link fetched the other role's MyInfo
+        if (signupData.singpassTicket) dropSingpassLink();
+        signupData.role = selectedRole;
+        updateUrl();
+    }
     
     if (selectedRole === 'business') {
         repFields?.classList.add('hidden');
@@ -83,7 +281,9 @@ function handleStep1(e) {
     e.preventDefault();
     
     const formData = new FormData(e.target);
+    // Keep step 2's details and any Singpass link from a resumed draft
     signupData = {
+        ...signupData,
         fullName: formData.get('fullName'),
         email: formData.get('email'),
         phone: formData.get('phone'),
@@ -96,82 +296,123 @@ function handleStep1(e) {
         showError('Please fill in all required fields');
         return;
     }
+    if (signupData.password.length < 8) {
+        showError('Password must be at least 8 characters');
+        return;
+    }
 
+    hideMessages();
     showStep(2);
 }
 
 async function handleSingpassLink() {
+    const button = document.getElementById('singpass-btn');
+    if (button) button.disabled = true;
     try {
-        const singpassData = signupData.role === 'business' 
-            ? await api.singpassBiz()
-            : await api.singpassRep();
-
-        // Prefill form fields
-        if (signupData.role === 'business') {
-            document.getElementById('company')?.setAttribute('value', singpassData.company);
-            document.getElementById('uen')?.setAttribute('value', singpassData.uen);
-            document.getElementById('billingEmail')?.setAttribute('value', singpassData.billingEmail);
-            document.getElementById('contact')?.setAttribute('value', singpassData.contact);
-        } else {
-            document.getElementById('address')?.setAttribute('value', singpassData.address);
-            document.getElementById('nationalId')?.setAttribute('value', singpassData.nationalId);
-            document.getElementById('bankAccount')?.setAttribute('value', singpassData.bankAccount);
-        }
+        // Popup, so the details typed in step 1 survive the round trip
+        const { profile, singpassTicket, singpassTicketExpiresAt } = await singpass.authorize({
+            purpose: 'signup',
+            role: signupData.role,
+            popup: true
+        });
+        signupData.singpassTicket = singpassTicket;
+        signupData.singpassTicketExpiresAt = singpassTicketExpiresAt;
+        signupData.singpassLinked = true;
 
-        // Mark fields as prefilled
-        const prefilledFields = document.querySelectorAll('[data-singpass]');
-        prefilledFields.forEach(field => {
-            field.classList.add('prefilled');
-            field.setAttribute('readonly', 'true');
+        const filled = MYINFO_FIELDS[signupData.role === 'business' ? 'business' : 'rep'].filter(name => {
+            const field = document.getElementById(name);
+            if (!field || !profile[name]) return false;
+            field.value = profile[name];
+            return true;
         });
+        signupData.prefilled = filled;
+        lockPrefilled(filled);
+        saveProgress();
 
-        showSuccess('Singpass data linked successfully!');
+        showSuccess('Singpass linked. Your details were filled in from MyInfo.');
     } catch (error) {
-        showError('Failed to link Singpass data. Please try again.');
+        if (button) button.disabled = false;
+        showError(error.message || 'Failed to link Singpass. Please try again.');
         console.error('Singpass error:', error);
     }
 }
 
-function handleStep2() {
+async function handleStep2() {
     // Collect additional data from step 2
     const formData = new FormData(document.getElementById('step2-form'));
-    
-    if (signupData.role === 'business') {
-        signupData.company = formData.get('company');
-        signupData.uen = formData.get('uen');
-        signupData.billingEmail = formData.get('billingEmail');
-        signupData.contact = formData.get('contact');
-    } else {
-        signupData.address = formData.get('address');
-        signupData.nationalId = formData.get('nationalId');
-        signupData.bankAccount = formData.get('bankAccount');
-    }
-
-    // Create user profile (mock - no persistence)
-    const newUser = {
-        id: `u-${signupData.role}-${Date.now()}`,
-        name: signupData.fullName,
-        email: signupData.email,
-        phone: signupData.phone,
-        role: signupData.role,
-        ...signupData
-    };
+    const role = signupData.role === 'business' ? 'business' : 'rep';
+    const fields = STEP2_FIELDS[role];
 
-    // Auto-login the new user
-    store.setAuth({
-        isAuthed: true,
-        user: newUser,
-        token: 'mock-token-' + Date.now()
+    const passwordGroup = document.getElementById('step2-password-group');
+    if (passwordGroup && !passwordGroup.classList.contains('hidden')) {
+        const password = String(formData.get('password') || '');
+        if (password.length < 8) {
+            showError('Enter a password of at least 8 characters');
+            document.getElementById('step2Password')?.focus();
+            return;
+        }
+        signupData.password = password;
+    }
+    if (signupData.singpassTicket && singpassExpired()) {
+        dropSingpassLink();
+        showError('Your Singpass link has expired. Link Singpass again to fill in your details.');
+        return;
+    }
+
+    // Only the visible role's fields; the other role's stay empty
+    const checked = role === 'rep' ? [...fields, 'bankName'] : fields;
+    const invalid = checked
+        .map(name => document.getElementById(name))
+        .filter(field => field && !step2Validator.validateField(field));
+    if (invalid.length > 0) {
+        showError('Please correct the highlighted fields');
+        invalid[0].focus();
+        return;
+    }
+
+    fields.forEach(name => { signupData[name] = String(formData.get(name) || '').trim(); });
+    if (role === 'rep') {
+        signupData.bankAccount = formatBankAccount(formData.get('bankName'), signupData.bankAccount);
+    }
+
+    const continueBtn = document.getElementById('continue-btn');
+    if (continueBtn) continueBtn.disabled = true;
+    hideMessages();
+
+    // The backend stores the user (password hashed) and signs them in
+    const { prefilled, singpassTicketExpiresAt, ...registration } = signupData;
+    const response = await api.request('auth/register', {
+        method: 'POST',
+        body: JSON.stringify({ ...registration, name: signupData.fullName })
     });
 
-    // Redirect to appropriate dashboard
-    const dashboardUrl = signupData.role === 'business' 
-        ? '/pages/business-dashboard.html'
-        : '/pages/rep-dashboard.html';
-    
-    showSuccess('Account created successfully! Redirecting...');
+    if (!response.success) {
+        if (continueBtn) continueBtn.disabled = false;
+        if (response.code === 'account_exists') {
+            // Taken email: back to step 1 to change it
+            showError('An account with this email already exists. Log in, or use another email.');
+            showStep(1);
+            document.getElementById('email')?.focus();
+        } else if (response.code === 'singpass_linked') {
+            // The details stay; only the Singpass link has to go
+            dropSingpassLink();
+            showError('This Singpass account is already linked to a Rep-Link account. Log in to that account, or sign up without Singpass.');
+        } else {
+            showError(response.error || 'Could not create your account. Please try again.');
+        }
+        return;
+    }
+
+    // Nothing past this point needs the password or the draft
+    delete signupData.password;
+    clearSignupDraft();
+
+    const { user, token, expiresAt } = response.data;
+    store.setAuth({ isAuthed: true, user, token, expiresAt, lastLogin: new Date().toISOString() });
+
+    showSuccess('Account created! Check your email to verify your address. Redirecting...');
     setTimeout(() => {
-        location.href = dashboardUrl;
+        location.href = dashboardHrefFor(user);
     }, 1500);
 }
 
@@ -183,6 +424,10 @@ function showError(message) {
     }
 }
 
+function hideMessages() {
+    ['error-message', 'success-message'].forEach(id => document.getElementById(id)?.classList.add('hidden'));
+}
+
 function showSuccess(message) {
     const successEl = document.getElementById('success-message');
     if (successEl) {
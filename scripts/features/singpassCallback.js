@@ -0,0 +1,50 @@
+/**
+ * Singpass Callback
+ * redirect_uri of the Singpass flow: completes the code exchange, then signs
+ * in (login) or hands MyInfo back to the signup form that opened the popup
+ */
+
+import { store } from '../data/store.js';
+import { singpass } from '../data/singpass.js';
+import { dashboardHrefFor } from '../app.js';
+import { safeNext } from './guards.js';
+
+function showError(message) {
+    document.getElementById('callback-status').classList.add('hidden');
+    const el = document.getElementById('callback-error');
+    el.textContent = message;
+    el.classList.remove('hidden');
+    document.getElementById('callback-actions').classList.remove('hidden');
+}
+
+async function initCallback() {
+    let flow = null;
+    try {
+        const done = await singpass.complete();
+        flow = done.flow;
+
+        if (flow.popup) {
+            singpass.reportToOpener(flow, { result: done.result });
+            window.close();
+            return;
+        }
+        if (flow.purpose !== 'login') {
+            throw new Error('Link Singpass from the signup form to continue.');
+        }
+
+        const { user, token, expiresAt } = done.result;
+        store.setAuth({ isAuthed: true, user, token, expiresAt, lastLogin: new Date().toISOString() });
+        location.replace(safeNext(flow.next) || dashboardHrefFor(user));
+    } catch (error) {
+        console.error('[singpass]', error);
+        flow = flow || error.flow;
+        if (flow?.popup) {
+            singpass.reportToOpener(flow, { error: error.message });
+            window.close();
+            return;
+        }
+        showError(error.message || 'Singpass sign-in failed');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initCallback);
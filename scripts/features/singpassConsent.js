@@ -0,0 +1,110 @@
+/**
+ * Singpass Consent
+ * Consent screen of the local Singpass stand-in: checks the authorization
+ * request, lets the user pick a test persona and returns a code to the
+ * relying party's redirect_uri
+ */
+
+import { api } from '../data/api.js';
+import { SCOPE_LABELS } from '../data/myinfo.js';
+
+const params = new URLSearchParams(location.search);
+
+function showError(message) {
+    const el = document.getElementById('consent-error');
+    el.textContent = message;
+    el.classList.remove('hidden');
+}
+
+/**
+ * Send an OAuth error back to the client. Only done for a redirect_uri on
+ * this origin; anything else is shown here instead of followed.
+ */
+function redirectWithError(error, description) {
+    const target = new URL(params.get('redirect_uri') || '', location.href);
+    if (target.origin !== location.origin) {
+        showError(description);
+        return;
+    }
+    target.search = '';
+    target.searchParams.set('error', error);
+    target.searchParams.set('error_description', description);
+    if (params.get('state')) target.searchParams.set('state', params.get('state'));
+    location.href = target.href;
+}
+
+function renderScopes(scopes) {
+    const list = document.getElementById('consent-scopes');
+    list.innerHTML = '';
+    scopes.forEach(scope => {
+        const item = document.createElement('li');
+        item.textContent = SCOPE_LABELS[scope] || scope;
+        list.appendChild(item);
+    });
+}
+
+function renderPersonas(personas, scopes) {
+    // Entity scopes come from MyInfo Business, so offer personas acting for a company first
+    const role = scopes.some(scope => scope.startsWith('entity.')) ? 'business' : 'rep';
+    const container = document.getElementById('consent-personas');
+    container.innerHTML = '';
+    [...personas].sort((a, b) => (b.role === role) - (a.role === role)).forEach((persona, index) => {
+        const label = document.createElement('label');
+        label.className = 'idp__persona';
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.name = 'persona';
+        input.value = persona.id;
+        input.checked = index === 0;
+        label.append(input, document.createTextNode(persona.label));
+        container.appendChild(label);
+    });
+}
+
+async function agree(e) {
+    e.preventDefault();
+    const persona = new FormData(e.target).get('persona');
+    const button = document.getElementById('consent-agree');
+    button.disabled = true;
+
+    const res = await api.request('singpass/authorize', {
+        method: 'POST',
+        body: JSON.stringify({ ...Object.fromEntries(params), persona })
+    });
+    if (!res.success) {
+        button.disabled = false;
+        showError(res.error || 'Could not complete the Singpass request');
+        return;
+    }
+    location.href = res.data.redirect;
+}
+
+async function initConsent() {
+    const scopes = (params.get('scope') || '').split(' ').filter(Boolean);
+    if (!params.get('client_id') || !params.get('redirect_uri') || !params.get('code_challenge')) {
+        showError('This Singpass request is incomplete. Go back and start again.');
+        return;
+    }
+    if (!scopes.includes('openid')) {
+        redirectWithError('invalid_scope', 'The openid scope is required');
+        return;
+    }
+
+    const res = await api.request('singpass/personas');
+    if (!res.success || res.data.length === 0) {
+        showError(res.error || 'No test personas are available');
+        return;
+    }
+
+    renderScopes(scopes);
+    renderPersonas(res.data, scopes);
+
+    const form = document.getElementById('consent-form');
+    form.classList.remove('hidden');
+    form.addEventListener('submit', agree);
+    document.getElementById('consent-cancel').addEventListener('click', () => {
+        redirectWithError('access_denied', 'The user cancelled the request');
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initConsent);
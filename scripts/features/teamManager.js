@@ -0,0 +1,164 @@
+/**
+ * Team Manager
+ * The "Team" card on the business dashboard: who acts for the company, in
+ * which role, and the invitations owners send to bring colleagues in
+ */
+
+import { api } from '../data/api.js';
+import { store } from '../data/store.js';
+import { TEAM_ROLES, teamCan, teamRoleLabel } from '../data/teamRoles.js';
+import { Toast } from '../ui/components.js';
+
+const toast = new Toast();
+
+function esc(s = '') {
+    return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function formatDate(iso) {
+    return iso ? new Date(iso).toLocaleDateString('en-SG', { dateStyle: 'medium' }) : '';
+}
+
+const $ = id => document.getElementById(id);
+const send = (method, route, body) => api.request(route, { method, ...(body && { body: JSON.stringify(body) }) });
+
+function showError(message) {
+    $('team-error').textContent = message || '';
+    $('team-error').classList.toggle('hidden', !message);
+}
+
+function roleOptions(selected) {
+    return TEAM_ROLES.map(r =>
+        `<option value="${r.value}"${r.value === selected ? ' selected' : ''}>${r.label}</option>`).join('');
+}
+
+function renderMembers(team, me) {
+    const manage = teamCan(team.role, 'team.manage');
+    $('team-members').innerHTML = team.members.map(m => {
+        const self = m.userId === me;
+        const controls = manage
+            ? `<label class="sr-only" for="team-role-${esc(m.userId)}">Role for ${esc(m.name)}</label>
+               <select id="team-role-${esc(m.userId)}" class="form-select" data-team-role="${esc(m.userId)}">${roleOptions(m.role)}</select>`
+            : `<span class="badge badge--neutral">${teamRoleLabel(m.role)}</span>`;
+        const remove = self
+            ? `<button type="button" class="btn btn--secondary btn--small" data-team-remove="${esc(m.userId)}">Leave</button>`
+            : manage ? `<button type="button" class="btn btn--danger btn--small" data-team-remove="${esc(m.userId)}">Remove</button>` : '';
+        return `
+            <li class="team-member">
+                <div>
+                    <div class="team-member__name">${esc(m.name)}${self ? ' <span class="team-muted">(you)</span>' : ''}</div>
+                    <div class="team-muted">${esc(m.email)} · joined ${formatDate(m.joinedAt)}</div>
+                </div>
+                <div class="team-member__actions">${controls}${remove}</div>
+            </li>`;
+    }).join('');
+}
+
+function renderInvitations(invitations) {
+    $('team-invitations').classList.toggle('hidden', invitations.length === 0);
+    $('team-invitation-list').innerHTML = invitations.map(i => `
+        <li class="team-member">
+            <div>
+                <div class="team-member__name">${esc(i.email)}</div>
+                <div class="team-muted">${teamRoleLabel(i.role)} · ${i.status === 'expired' ? 'expired' : `expires ${formatDate(i.expiresAt)}`}</div>
+            </div>
+            <div class="team-member__actions">
+                <button type="button" class="btn btn--secondary btn--small" data-team-revoke="${esc(i.id)}">Revoke</button>
+            </div>
+        </li>`).join('');
+}
+
+async function refresh() {
+    const res = await api.request('team');
+    if (!res.success) {
+        showError(res.error || 'Could not load your team.');
+        return;
+    }
+    const team = res.data;
+    // The role can change while signed in; later pages read it from the session
+    if (store.get('auth.user.teamRole') !== team.role) store.updateUser({ teamRole: team.role });
+
+    $('team-company').textContent = `${team.company.name} · you are ${teamRoleLabel(team.role)}`;
+    renderMembers(team, store.get('auth.user.id'));
+    renderInvitations(team.invitations);
+    $('team-invite-form').classList.toggle('hidden', !teamCan(team.role, 'team.manage'));
+}
+
+async function changeRole(select) {
+    showError('');
+    const res = await send('PUT', `team/members/${encodeURIComponent(select.dataset.teamRole)}`, { role: select.value });
+    if (!res.success) showError(res.error || 'Could not change the role.');
+    else toast.show('Role updated', 'success');
+    refresh();
+}
+
+async function removeMember(userId) {
+    const leaving = userId === store.get('auth.user.id');
+    if (!confirm(leaving
+        ? 'Leave this team? You will no longer act for the company.'
+        : 'Remove this member? They will be signed out and lose access to the company.')) return;
+    showError('');
+    const res = await send('DELETE', `team/members/${encodeURIComponent(userId)}`);
+    if (!res.success) {
+        showError(res.error || 'Could not remove the member.');
+        return;
+    }
+    toast.show(leaving ? 'You left the team' : 'Member removed', 'success');
+    refresh();
+}
+
+async function revokeInvitation(id) {
+    showError('');
+    const res = await send('DELETE', `team/invitations/${encodeURIComponent(id)}`);
+    if (!res.success) showError(res.error || 'Could not revoke the invitation.');
+    refresh();
+}
+
+async function invite(e) {
+    e.preventDefault();
+    const form = e.target;
+    const email = form.email.value.trim();
+    if (!email) {
+        showError('Enter your colleague\'s email address.');
+        return;
+    }
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+    showError('');
+    const res = await send('POST', 'team/invitations', { email, role: form.role.value });
+    button.disabled = false;
+    if (!res.success) {
+        showError(res.error || 'Could not send the invitation.');
+        return;
+    }
+    form.email.value = '';
+    toast.show(`Invitation sent to ${res.data.email}`, 'success');
+    refresh();
+}
+
+function describeRole(select) {
+    $('team-role-help').textContent = TEAM_ROLES.find(r => r.value === select.value)?.summary || '';
+}
+
+export async function initTeamSection() {
+    if (!$('team')) return;
+
+    const roleSelect = $('team-invite-role');
+    roleSelect.innerHTML = roleOptions('viewer');
+    describeRole(roleSelect);
+    roleSelect.addEventListener('change', () => describeRole(roleSelect));
+    $('team-invite-form').addEventListener('submit', invite);
+
+    $('team').addEventListener('change', (e) => {
+        if (e.target.matches('[data-team-role]')) changeRole(e.target);
+    });
+    $('team').addEventListener('click', (e) => {
+        const remove = e.target.closest('[data-team-remove]');
+        if (remove) removeMember(remove.dataset.teamRemove);
+        const revoke = e.target.closest('[data-team-revoke]');
+        if (revoke) revokeInvitation(revoke.dataset.teamRevoke);
+    });
+
+    await refresh();
+    if (location.hash === '#team') $('team').scrollIntoView();
+}
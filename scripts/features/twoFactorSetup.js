@@ -0,0 +1,129 @@
+/**
+ * Two-factor Setup
+ * The "Two-factor authentication" card on the business profile: enrol an
+ * authenticator app from a QR code, keep recovery codes, turn 2FA off
+ */
+
+import { api } from '../data/api.js';
+import { store } from '../data/store.js';
+import { qrSvg } from '../ui/qrcode.js';
+
+const $ = id => document.getElementById(id);
+const post = (route, body = {}) => api.request(route, { method: 'POST', body: JSON.stringify(body) });
+
+function showPanel(name) {
+  ['tfaOff', 'tfaEnrol', 'tfaCodes', 'tfaOn'].forEach(id => { $(id).hidden = id !== name; });
+}
+
+function showError(message) {
+  $('tfaError').textContent = message || '';
+  $('tfaError').hidden = !message;
+}
+
+function renderStatus(status) {
+  $('tfaBadge').textContent = status.enabled ? 'On' : 'Off';
+  $('tfaBadge').classList.toggle('badge--ok', status.enabled);
+  if (status.enabled) {
+    const since = status.enabledAt ? ` since ${new Date(status.enabledAt).toLocaleDateString('en-SG')}` : '';
+    $('tfaStatus').textContent = `Turned on${since}. ${status.recoveryCodesLeft} recovery codes left.`;
+  } else {
+    $('tfaStatus').textContent = status.required
+      ? 'Your administrator requires two-factor authentication. Set it up to approve milestones and change bank details.'
+      : 'Not set up.';
+  }
+  showPanel(status.enabled ? 'tfaOn' : 'tfaOff');
+}
+
+function showRecoveryCodes(codes) {
+  const list = $('tfaCodeList');
+  list.innerHTML = '';
+  codes.forEach(code => {
+    const item = document.createElement('li');
+    item.textContent = code;
+    list.appendChild(item);
+  });
+  showPanel('tfaCodes');
+}
+
+function codesText(codes) {
+  const email = store.get('auth.user.email');
+  return `Rep-Link recovery codes for ${email}\nEach code works once.\n\n${codes.join('\n')}\n`;
+}
+
+export async function initTwoFactorSetup() {
+  if (!$('two-factor')) return;
+  let recoveryCodes = [];
+
+  async function refresh() {
+    const res = await api.request('auth/2fa');
+    if (!res.success) { showError(res.error || 'Could not load two-factor settings.'); return; }
+    renderStatus(res.data);
+  }
+
+  $('tfaStart').addEventListener('click', async () => {
+    showError('');
+    const res = await post('auth/2fa/setup');
+    if (!res.success) { showError(res.error); return; }
+    $('tfaQr').innerHTML = qrSvg(res.data.otpauthUri, { label: 'QR code for your authenticator app' });
+    $('tfaSecret').textContent = res.data.secret.replace(/(.{4})/g, '$1 ').trim();
+    $('tfaCode').value = '';
+    showPanel('tfaEnrol');
+    $('tfaCode').focus();
+  });
+
+  $('tfaCancel').addEventListener('click', () => { showError(''); refresh(); });
+
+  $('tfaEnable').addEventListener('click', async () => {
+    const res = await post('auth/2fa/enable', { code: $('tfaCode').value.trim() });
+    if (!res.success) { showError(res.error); return; }
+    showError('');
+    store.updateUser({ twoFactorEnabled: true });
+    recoveryCodes = res.data.recoveryCodes;
+    showRecoveryCodes(recoveryCodes);
+  });
+
+  $('tfaCopy').addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(codesText(recoveryCodes));
+      $('tfaCopy').textContent = 'Copied';
+    } catch {
+      showError('Copying is blocked in this browser. Download the codes instead.');
+    }
+  });
+
+  $('tfaDownload').addEventListener('click', () => {
+    const url = URL.createObjectURL(new Blob([codesText(recoveryCodes)], { type: 'text/plain' }));
+    const link = Object.assign(document.createElement('a'), { href: url, download: 'replink-recovery-codes.txt' });
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  });
+
+  $('tfaDone').addEventListener('click', () => {
+    recoveryCodes = [];
+    $('tfaCodeList').innerHTML = '';
+    $('tfaCopy').textContent = 'Copy';
+    refresh();
+  });
+
+  $('tfaRegenerate').addEventListener('click', async () => {
+    const res = await post('auth/2fa/recovery-codes', { code: $('tfaManageCode').value.trim() });
+    $('tfaManageCode').value = '';
+    if (!res.success) { showError(res.error); return; }
+    showError('');
+    recoveryCodes = res.data.recoveryCodes;
+    showRecoveryCodes(recoveryCodes);
+  });
+
+  $('tfaDisable').addEventListener('click', async () => {
+    if (!confirm('Turn off two-factor authentication? Your password alone will be enough to sign in and approve payments.')) return;
+    const res = await post('auth/2fa/disable', { code: $('tfaManageCode').value.trim() });
+    $('tfaManageCode').value = '';
+    if (!res.success) { showError(res.error); return; }
+    showError('');
+    store.updateUser({ twoFactorEnabled: false });
+    refresh();
+  });
+
+  await refresh();
+  if (location.hash === '#two-factor') $('two-factor').scrollIntoView();
+}
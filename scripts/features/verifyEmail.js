@@ -0,0 +1,72 @@
+/**
+ * Verify Email
+ * Redeems the emailed verification link and unlocks the signed-in account
+ */
+
+import { api } from '../data/api.js';
+import { store } from '../data/store.js';
+import { dashboardHrefFor } from '../app.js';
+
+function setStatus(message) {
+    document.getElementById('verify-status').textContent = message;
+}
+
+function showError(message) {
+    const el = document.getElementById('verify-error');
+    el.textContent = message;
+    el.classList.remove('hidden');
+}
+
+async function resend(button) {
+    button.disabled = true;
+    const res = await api.request('auth/email/resend', { method: 'POST' });
+    if (!res.success) {
+        button.disabled = false;
+        showError(res.error || 'Could not send a new link.');
+        return;
+    }
+    setStatus(res.data.alreadyVerified ? 'Your email address is already verified.' : 'A new verification link is on its way.');
+    document.getElementById('verify-error').classList.add('hidden');
+}
+
+async function initVerifyEmail() {
+    const token = new URLSearchParams(location.search).get('token');
+    const auth = store.get('auth');
+    const resendBtn = document.getElementById('verify-resend');
+    const continueLink = document.getElementById('verify-continue');
+
+    // Resending needs a session; without one the user logs in first
+    if (auth?.isAuthed) {
+        resendBtn.addEventListener('click', () => resend(resendBtn));
+    }
+
+    if (!token) {
+        setStatus(auth?.isAuthed
+            ? `We sent a verification link to ${auth.user.email}. Open it to finish.`
+            : 'Open the link in your verification email to finish.');
+        resendBtn.classList.toggle('hidden', !auth?.isAuthed);
+        return;
+    }
+
+    const res = await api.request('auth/email/verify', { method: 'POST', body: JSON.stringify({ token }) });
+    history.replaceState(null, '', location.pathname);
+    if (!res.success) {
+        setStatus('We could not verify your email address.');
+        showError(res.error || 'This link is invalid.');
+        resendBtn.classList.toggle('hidden', !auth?.isAuthed);
+        return;
+    }
+
+    const user = res.data;
+    if (auth?.isAuthed && auth.user?.id === user.id) {
+        store.updateUser({ emailVerified: true, emailVerifiedAt: user.emailVerifiedAt });
+        continueLink.href = dashboardHrefFor(user);
+        continueLink.textContent = 'Go to your dashboard';
+    } else {
+        continueLink.textContent = 'Log in';
+    }
+    setStatus(`Thanks, ${user.email} is verified.`);
+    continueLink.classList.remove('hidden');
+}
+
+document.addEventListener('DOMContentLoaded', initVerifyEmail);
@@ -3,7 +3,7 @@
  * Handles chat interface for authenticated users
  */
 
-import { store } from '../data/store.js';
+import { store, AUTH_CHANGED } from '../data/store.js';
 
 // Helper functions
 function now() { return new Date().toISOString(); }
@@ -159,4 +159,4 @@ async function init(){
 }
 
 document.addEventListener('DOMContentLoaded', init);
-window.addEventListener('auth:changed', init);
+window.addEventListener(AUTH_CHANGED, init);
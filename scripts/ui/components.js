@@ -103,6 +103,8 @@ export class Toast {
             if (toast.parentNode) {
                 toast.parentNode.removeChild(toast);
             }
+            // Lets a page wait for the message to be read, e.g. before navigating away
+            toast.dispatchEvent(new CustomEvent('toast:dismissed'));
         }, 120);
     }
 
@@ -6,6 +6,7 @@
 'use strict';
 
 import { qs, qsa, addClass, removeClass, show, hide } from './dom.js';
+import { isValidNric, isValidUen, isValidSgPhone, isValidPostalCode, postalCodeIn, bankAccountError } from '../data/sgFormats.js';
 
 /**
  * Form Validator
@@ -245,6 +246,54 @@ export const ValidationRules = {
         return null;
     },
 
+    nric: (message = 'Please enter a valid NRIC or FIN, e.g. S1234567D') => (value) => {
+        if (value && !isValidNric(value)) {
+            return message;
+        }
+        return null;
+    },
+
+    uen: (message = 'Please enter a valid UEN, e.g. 202012345A') => (value) => {
+        if (value && !isValidUen(value)) {
+            return message;
+        }
+        return null;
+    },
+
+    // type: 'any', 'mobile' or 'landline'
+    sgPhone: (type = 'any', message) => (value) => {
+        if (value && !isValidSgPhone(value, { type })) {
+            return message || (type === 'any'
+                ? 'Please enter a Singapore number, e.g. +65 9123 4567'
+                : `Please enter a Singapore ${type} number`);
+        }
+        return null;
+    },
+
+    postalCode: (message = 'Please enter a valid 6-digit postal code') => (value) => {
+        if (value && !isValidPostalCode(value.trim())) {
+            return message;
+        }
+        return null;
+    },
+
+    // One-line address that has to end in a postal code
+    sgAddress: (message = 'Include a valid 6-digit postal code, e.g. Singapore 238863') => (value) => {
+        if (value && !isValidPostalCode(postalCodeIn(value))) {
+            return message;
+        }
+        return null;
+    },
+
+    // Account number checked against the bank picked in another field
+    bankAccount: (bankField) => (value, field) => {
+        const bank = qs(`[name="${bankField}"], #${bankField}`, field.form || document);
+        if (value && bank) {
+            return bankAccountError(bank.value, value);
+        }
+        return null;
+    },
+
     custom: (validator, message) => (value, field) => {
         if (!validator(value, field)) {
             return message;
@@ -0,0 +1,347 @@
+/**
+ * QR Code Component
+ * Minimal QR encoder (byte mode, error correction level M, versions 1-40)
+ * rendered as SVG, enough for otpauth:// enrolment links
+ */
+
+'use strict';
+
+const QUIET_ZONE = 4;
+
+// Level M per version (index 0 unused), from ISO/IEC 18004 table 9
+const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const ECC_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+const FORMAT_BITS_M = 0;
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+function bit(value, index) {
+    return ((value >>> index) & 1) !== 0;
+}
+
+function rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const align = Math.floor(version / 7) + 2;
+        result -= (25 * align - 10) * align - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function dataCodewords(version) {
+    return Math.floor(rawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * ECC_BLOCKS[version];
+}
+
+function alignmentPositions(version, size) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+    const positions = [6];
+    for (let pos = size - 7; positions.length < count; pos -= step) positions.splice(1, 0, pos);
+    return positions;
+}
+
+// ---------------------------------------------------------------------
+// Reed-Solomon over GF(2^8), polynomial 0x11D
+// ---------------------------------------------------------------------
+
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function rsDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function rsRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+    });
+    return result;
+}
+
+// ---------------------------------------------------------------------
+// Encoding
+// ---------------------------------------------------------------------
+
+function chooseVersion(length) {
+    for (let version = 1; version <= 40; version++) {
+        const countBits = version <= 9 ? 8 : 16;
+        if (4 + countBits + length * 8 <= dataCodewords(version) * 8) return version;
+    }
+    throw new Error('Text is too long for a QR code');
+}
+
+function encodeData(bytes, version) {
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4);
+    push(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+
+    const capacity = dataCodewords(version) * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) codewords.push(bits.slice(i, i + 8).reduce((acc, b) => (acc << 1) | b, 0));
+    return codewords;
+}
+
+function interleave(data, version) {
+    const blocks = ECC_BLOCKS[version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+    const raw = Math.floor(rawDataModules(version) / 8);
+    const shortBlocks = blocks - raw % blocks;
+    const shortLength = Math.floor(raw / blocks);
+    const divisor = rsDivisor(eccLength);
+
+    const split = [];
+    for (let i = 0, k = 0; i < blocks; i++) {
+        const block = data.slice(k, k + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+        k += block.length;
+        const ecc = rsRemainder(block, divisor);
+        if (i < shortBlocks) block.push(0);
+        split.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < split[0].length; i++) {
+        split.forEach((block, j) => {
+            if (i !== shortLength - eccLength || j >= shortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+// ---------------------------------------------------------------------
+// Symbol layout
+// ---------------------------------------------------------------------
+
+class QrSymbol {
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    setFunction(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.reserved[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        const { size } = this;
+        for (let i = 0; i < size; i++) {
+            this.setFunction(6, i, i % 2 === 0);
+            this.setFunction(i, 6, i % 2 === 0);
+        }
+        this.drawFinder(3, 3);
+        this.drawFinder(size - 4, 3);
+        this.drawFinder(3, size - 4);
+
+        const positions = alignmentPositions(this.version, size);
+        const last = positions.length - 1;
+        positions.forEach((x, i) => positions.forEach((y, j) => {
+            // The corners with finder patterns get none
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            this.drawAlignment(x, y);
+        }));
+
+        this.drawFormatBits(0);
+        this.drawVersion();
+    }
+
+    drawFinder(x, y) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                const xx = x + dx;
+                const yy = y + dy;
+                if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) this.setFunction(xx, yy, dist !== 2 && dist !== 4);
+            }
+        }
+    }
+
+    drawAlignment(x, y) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) this.setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+    }
+
+    drawFormatBits(mask) {
+        const data = (FORMAT_BITS_M << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((data << 10) | rem) ^ 0x5412;
+        const { size } = this;
+
+        for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(bits, i));
+        this.setFunction(8, 7, bit(bits, 6));
+        this.setFunction(8, 8, bit(bits, 7));
+        this.setFunction(7, 8, bit(bits, 8));
+        for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(bits, i));
+
+        for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(bits, i));
+        for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(bits, i));
+        this.setFunction(8, size - 8, true);
+    }
+
+    drawVersion() {
+        if (this.version < 7) return;
+        let rem = this.version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+        const bits = (this.version << 12) | rem;
+        for (let i = 0; i < 18; i++) {
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunction(a, b, bit(bits, i));
+            this.setFunction(b, a, bit(bits, i));
+        }
+    }
+
+    drawCodewords(codewords) {
+        const { size } = this;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (!this.reserved[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = bit(codewords[i >>> 3], 7 - (i & 7));
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        const test = MASKS[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.reserved[y][x] && test(x, y)) this.modules[y][x] = !this.modules[y][x];
+            }
+        }
+    }
+
+    /**
+     * ISO/IEC 18004 mask penalty: long runs, 2x2 blocks, finder look-alikes
+     * and dark/light imbalance
+     */
+    penalty() {
+        const { size, modules } = this;
+        let score = 0;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+        lines.forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) score += run - 2;
+                    run = 1;
+                }
+            }
+            const text = line.map(dark => (dark ? '1' : '0')).join('');
+            score += 40 * ((text.match(/(?=10111010000)/g) || []).length + (text.match(/(?=00001011101)/g) || []).length);
+        });
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const c = modules[y][x];
+                    if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+                }
+            }
+        }
+        const total = size * size;
+        score += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+        return score;
+    }
+}
+
+/**
+ * Encode text as a QR symbol
+ * @returns {boolean[][]} Rows of modules, true for dark
+ */
+export function qrMatrix(text) {
+    const bytes = Array.from(new TextEncoder().encode(String(text)));
+    const version = chooseVersion(bytes.length);
+    const codewords = interleave(encodeData(bytes, version), version);
+
+    const symbol = new QrSymbol(version);
+    symbol.drawFunctionPatterns();
+    symbol.drawCodewords(codewords);
+
+    let best = null;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        symbol.applyMask(mask);
+        symbol.drawFormatBits(mask);
+        const score = symbol.penalty();
+        if (!best || score < best.score) best = { mask, score };
+        symbol.applyMask(mask);
+    }
+    symbol.applyMask(best.mask);
+    symbol.drawFormatBits(best.mask);
+    return symbol.modules;
+}
+
+/**
+ * QR code as an SVG string that scales to its container
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.label] - Accessible name
+ */
+export function qrSvg(text, { label = 'QR code' } = {}) {
+    const modules = qrMatrix(text);
+    const size = modules.length + QUIET_ZONE * 2;
+    let path = '';
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (dark) path += `M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z`;
+    }));
+    const title = String(label).replace(/[&<>"]/g, c => `&#${c.charCodeAt(0)};`);
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" role="img" aria-label="${title}" shape-rendering="crispEdges">`
+        + `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
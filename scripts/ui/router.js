@@ -6,6 +6,7 @@
 'use strict';
 
 import { qs, qsa, show, hide } from './dom.js';
+import { store } from '../data/store.js';
 
 /**
  * Router Class
@@ -335,8 +336,7 @@ export class Router {
      * @returns {boolean}
      */
     isAuthenticated() {
-        // This would integrate with your auth system
-        return localStorage.getItem('auth-token') !== null;
+        return !!store.get('auth.isAuthed');
     }
 
     /**
@@ -345,9 +345,7 @@ export class Router {
      * @returns {boolean}
      */
     hasRequiredRole(roles) {
-        // This would integrate with your auth system
-        const userRole = localStorage.getItem('user-role');
-        return roles.includes(userRole);
+        return roles.includes(store.get('auth.user.role'));
     }
 
     /**
@@ -0,0 +1,146 @@
+/**
+ * Session Watch
+ * Keeps the signed-in session alive while the user is active: refreshes the
+ * token before it expires, warns 60s before an idle logout and signs out
+ * when the session can't be extended
+ */
+
+import { store } from '../data/store.js';
+import { api } from '../data/api.js';
+import { loginHref, isGuarded } from '../features/guards.js';
+import { Modal, Toast } from './components.js';
+
+const IDLE_MS = 15 * 60 * 1000;
+const WARN_MS = 60 * 1000;
+const REFRESH_AHEAD_MS = 5 * 60 * 1000;
+
+// Shared by every tab, so activity in one keeps the others signed in too
+const ACTIVE_KEY = 'replink_active_at';
+// Per tab: tells the login page why the user landed there
+export const NOTICE_KEY = 'replink_auth_notice';
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+const toast = new Toast();
+const modal = new Modal({ closable: false, keyboard: false });
+let refreshing = null;
+let ending = false;
+
+function lastActive() {
+  return Number(localStorage.getItem(ACTIVE_KEY)) || Date.now();
+}
+
+// At most one write every few seconds; every keystroke would be wasteful
+function markActive() {
+  const now = Date.now();
+  if (now - (Number(localStorage.getItem(ACTIVE_KEY)) || 0) < 5000) return;
+  try { localStorage.setItem(ACTIVE_KEY, String(now)); } catch { /* private mode */ }
+}
+
+function showWarning(seconds) {
+  const text = `You'll be logged out in ${seconds}s due to inactivity.`;
+  if (modal.isOpen) {
+    const count = modal.modal?.querySelector('[data-session-countdown]');
+    if (count) count.textContent = text;
+    return;
+  }
+  modal.show(`
+    <p data-session-countdown aria-live="polite">${text}</p>
+    <div class="modal__footer">
+      <button type="button" class="btn btn--secondary" data-session-logout>Log out</button>
+      <button type="button" class="btn btn--primary" data-session-stay>Stay signed in</button>
+    </div>`, 'Still there?');
+  modal.modal.querySelector('[data-session-stay]').addEventListener('click', () => {
+    localStorage.setItem(ACTIVE_KEY, String(Date.now()));
+    modal.hide();
+    refresh();
+  });
+  modal.modal.querySelector('[data-session-logout]').addEventListener('click', () => endSession());
+}
+
+/**
+ * Trade the token for a fresh one; a 401 means the backend already ended
+ * the session, anything else (offline) is retried on the next tick
+ */
+function refresh() {
+  if (refreshing) return refreshing;
+  refreshing = api.refreshSession()
+    .then(({ user, token, expiresAt }) => {
+      store.setAuth({ ...store.get('auth'), isAuthed: true, user, token, expiresAt });
+    })
+    .catch(error => {
+      if (error.status === 401) expire('Your session has expired. Please log in again.');
+      else console.warn('Session refresh failed:', error);
+    })
+    .finally(() => { refreshing = null; });
+  return refreshing;
+}
+
+function expire(notice) {
+  if (ending) return;
+  try { sessionStorage.setItem(NOTICE_KEY, notice); } catch { /* private mode */ }
+  endSession({ notice, returnHere: true });
+}
+
+/**
+ * Sign out here and on the backend. Protected pages go to the login page
+ * with ?next= so signing back in returns to them.
+ * @param {Object} options - { notice, returnHere, redirect }
+ */
+export async function endSession({ notice = '', returnHere = false, redirect = '/index.html' } = {}) {
+  if (ending) return;
+  ending = true;
+  modal.hide();
+  await api.logout();
+  store.clearAuth();
+  ending = false;
+
+  if (returnHere) {
+    if (isGuarded()) location.href = loginHref();
+    else if (notice) toast.show(notice, 'warning', 6000);
+  } else if (redirect) {
+    location.href = redirect;
+  }
+}
+
+function tick() {
+  const auth = store.get('auth');
+  if (!auth?.isAuthed || ending) {
+    if (modal.isOpen) modal.hide();
+    return;
+  }
+
+  const now = Date.now();
+  const idleFor = now - lastActive();
+  const expiresAt = Date.parse(auth.expiresAt) || 0;
+
+  if (idleFor >= IDLE_MS) return expire('You were logged out after 15 minutes of inactivity.');
+  if (expiresAt <= now) return refresh();
+
+  if (idleFor >= IDLE_MS - WARN_MS) {
+    showWarning(Math.ceil((IDLE_MS - idleFor) / 1000));
+    return;
+  }
+  if (modal.isOpen) modal.hide();
+  if (expiresAt - now < REFRESH_AHEAD_MS) refresh();
+}
+
+// Back on a tab that slept: make sure the backend still knows the session
+function verifyOnReturn() {
+  if (document.hidden || !store.get('auth.isAuthed')) return;
+  api.request('auth/verify', { method: 'POST' }).then(res => {
+    if (res.success && !res.data.valid) expire('Your session has ended. Please log in again.');
+  });
+}
+
+function start() {
+  if (store.get('auth.isAuthed')) markActive();
+  ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, markActive, { passive: true }));
+  document.addEventListener('visibilitychange', verifyOnReturn);
+  // Activity in another tab dismisses the warning here straight away
+  window.addEventListener('storage', (e) => { if (e.key === ACTIVE_KEY) tick(); });
+  setInterval(tick, 1000);
+  tick();
+}
+
+start();
@@ -0,0 +1,66 @@
+/**
+ * Step-up
+ * Sensitive requests (approving milestones, changing bank details) need a
+ * recent authenticator code when 2FA is on. On step_up_required this asks
+ * for one, confirms it with the backend and retries the request once.
+ */
+
+import { api } from '../data/api.js';
+import { Modal } from './components.js';
+
+function promptForCode(action) {
+  const modal = new Modal({ closable: false, keyboard: false });
+  return new Promise(resolve => {
+    modal.show(`
+      <form data-step-up novalidate>
+        <p>Enter the 6-digit code from your authenticator app to confirm ${action}. A recovery code also works.</p>
+        <div class="form-group">
+          <label for="step-up-code" class="form-label">Code</label>
+          <input id="step-up-code" name="code" class="form-input" autocomplete="one-time-code" inputmode="numeric" required>
+        </div>
+        <div class="form-error hidden" data-step-up-error role="alert"></div>
+        <div class="modal__footer">
+          <button type="button" class="btn btn--secondary" data-step-up-cancel>Cancel</button>
+          <button type="submit" class="btn btn--primary">Confirm</button>
+        </div>
+      </form>`, 'Confirm it\'s you');
+
+    const form = modal.modal.querySelector('[data-step-up]');
+    const error = form.querySelector('[data-step-up-error]');
+    form.querySelector('[data-step-up-cancel]').addEventListener('click', () => {
+      modal.hide();
+      resolve(false);
+    });
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const code = form.code.value.trim();
+      if (!code) return;
+      const button = form.querySelector('button[type="submit"]');
+      button.disabled = true;
+      const res = await api.request('auth/2fa/step-up', { method: 'POST', body: JSON.stringify({ code }) });
+      button.disabled = false;
+      if (res.success) {
+        modal.hide();
+        resolve(true);
+        return;
+      }
+      error.textContent = res.error || 'That code is not valid';
+      error.classList.remove('hidden');
+      form.code.select();
+    });
+  });
+}
+
+/**
+ * Run a request, confirming a code first if the backend asks for one
+ * @param {Function} send - () => api.request(...); called again after step-up
+ * @param {Object} [options]
+ * @param {string} [options.action] - Completes "to confirm …", e.g. 'this payment'
+ * @returns {Promise<Object>} The response envelope; { cancelled: true } if the user backed out
+ */
+export async function withStepUp(send, { action = 'this change' } = {}) {
+  const res = await send();
+  if (res.code !== 'step_up_required') return res;
+  if (!await promptForCode(action)) return { ...res, cancelled: true };
+  return send();
+}
@@ -0,0 +1,103 @@
+/**
+ * Sync Status
+ * Floating "pending sync" indicator for writes waiting in the offline outbox
+ */
+
+import { store } from '../data/store.js';
+import { outbox } from '../data/api.js';
+import { Toast } from './components.js';
+
+const toast = new Toast();
+
+function esc(s = '') {
+  return String(s).replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[c]));
+}
+
+function summary(entry) {
+  let body = {};
+  try { body = JSON.parse(entry.body || '{}'); } catch { /* keep empty */ }
+  const text = body.body || body.cover || body.notes || '';
+  return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+}
+
+function ensureUI() {
+  let el = document.querySelector('[data-sync-status]');
+  if (el) return el;
+  document.body.insertAdjacentHTML('beforeend', `
+    <div class="sync-status" data-sync-status hidden>
+      <button type="button" class="sync-status__pill" data-sync-toggle aria-expanded="false"></button>
+      <div class="sync-status__panel" data-sync-panel hidden></div>
+    </div>`);
+  return document.querySelector('[data-sync-status]');
+}
+
+function paint() {
+  const entries = store.get('outbox', []);
+  const root = ensureUI();
+  const pill = root.querySelector('[data-sync-toggle]');
+  const panel = root.querySelector('[data-sync-panel]');
+
+  if (entries.length === 0) {
+    root.hidden = true;
+    panel.hidden = true;
+    pill.setAttribute('aria-expanded', 'false');
+    return;
+  }
+
+  const conflicts = entries.filter(e => e.status === 'conflict').length;
+  const pending = entries.length - conflicts;
+  root.hidden = false;
+  root.classList.toggle('sync-status--conflict', conflicts > 0);
+  pill.textContent = [
+    pending ? `${pending} pending sync` : '',
+    conflicts ? `${conflicts} need attention` : ''
+  ].filter(Boolean).join(' · ');
+
+  panel.innerHTML = `
+    <ul class="sync-status__list">
+      ${entries.map(e => `
+        <li class="sync-status__item">
+          <div>
+            <strong>${esc(e.label)}</strong>
+            <span class="badge badge--${e.status === 'conflict' ? 'danger' : 'warning'}">${e.status === 'conflict' ? 'Rejected' : 'Pending sync'}</span>
+            <div class="sync-status__text">${esc(summary(e))}</div>
+            ${e.error ? `<div class="sync-status__error">${esc(e.error)}</div>` : ''}
+          </div>
+          <div class="sync-status__actions">
+            ${e.status === 'conflict' ? `<button type="button" class="btn btn--secondary btn--small" data-sync-retry="${e.id}">Retry</button>` : ''}
+            <button type="button" class="btn btn--secondary btn--small" data-sync-discard="${e.id}">Discard</button>
+          </div>
+        </li>`).join('')}
+    </ul>
+    <button type="button" class="btn btn--primary btn--small" data-sync-now>Sync now</button>`;
+}
+
+function init() {
+  const root = ensureUI();
+
+  root.addEventListener('click', (e) => {
+    if (e.target.closest('[data-sync-toggle]')) {
+      const panel = root.querySelector('[data-sync-panel]');
+      panel.hidden = !panel.hidden;
+      e.target.closest('[data-sync-toggle]').setAttribute('aria-expanded', String(!panel.hidden));
+      return;
+    }
+    const retry = e.target.closest('[data-sync-retry]');
+    if (retry) { outbox.retry(retry.dataset.syncRetry); return; }
+    const discard = e.target.closest('[data-sync-discard]');
+    if (discard) { outbox.discard(discard.dataset.syncDiscard); return; }
+    if (e.target.closest('[data-sync-now]')) outbox.flush();
+  });
+
+  store.subscribe('outbox', paint);
+  window.addEventListener('online', paint);
+  window.addEventListener('offline', () => toast.show('You are offline. Changes will sync when you reconnect.', 'warning'));
+  window.addEventListener('outbox:synced', (e) => toast.show(`${e.detail.entry.label} synced`, 'success'));
+  window.addEventListener('outbox:conflict', (e) => {
+    toast.show(`${e.detail.entry.label} was rejected: ${e.detail.response.error || 'conflict'}`, 'error', 8000);
+  });
+  paint();
+}
+
+if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', init);
+else init();
@@ -1 +1,237 @@
-const http = require("http"); const fs = require("fs"); const path = require("path"); const server = http.createServer((req, res) => { let filePath = "." + req.url; if (filePath === "./") { filePath = "./index.html"; } const extname = String(path.extname(filePath)).toLowerCase(); const mimeTypes = { ".html": "text/html", ".js": "text/javascript", ".css": "text/css", ".json": "application/json", ".png": "image/png", ".jpg": "image/jpg", ".gif": "image/gif", ".svg": "image/svg+xml", ".wav": "audio/wav", ".mp4": "video/mp4", ".woff": "application/font-woff", ".ttf": "application/font-ttf", ".eot": "application/vnd.ms-fontobject", ".otf": "application/font-otf", ".wasm": "application/wasm" }; const contentType = mimeTypes[extname] || "application/octet-stream"; fs.readFile(filePath, (error, content) => { if (error) { if (error.code === "ENOENT") { res.writeHead(404, { "Content-Type": "text/html" }); res.end("<h1>404 - File Not Found</h1>", "utf-8"); } else { res.writeHead(500); res.end("Sorry, check with the site admin for error: " + error.code + " ..\n"); } } else { res.writeHead(200, { "Content-Type": contentType }); res.end(content, "utf-8"); } }); }); const PORT = 8004; server.listen(PORT, () => { console.log(`Server running at http://localhost:${PORT}/`); });
+/**
+ * Local development server
+ * Serves the static site and a JSON REST backend under /api/* that persists
+ * to a local data directory, so every browser and tab shares one dataset.
+ *
+ *   node server.cjs                      # http://localhost:8004/
+ *   PORT=9000 REPLINK_DATA_DIR=/tmp/rl node server.cjs
+ *   REPLINK_TOKEN_SECRET=... node server.cjs   # fixed key for signing session tokens
+ *   REPLINK_REQUIRE_2FA=1 node server.cjs      # business accounts must set up 2FA
+ *   REPLINK_DEV_MAIL=1 node server.cjs         # serve the mail outbox at /api/dev/mail
+ *
+ * The /api routes are the same ones the in-browser mock answers
+ * (scripts/data/mockBackend.js); only the Store behind them differs.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = __dirname;
+const PORT = Number(process.env.PORT) || 8004;
+const DATA_DIR = path.resolve(process.env.REPLINK_DATA_DIR || path.join(ROOT, 'data'));
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const MIME_TYPES = {
+  '.html': 'text/html',
+  '.js': 'text/javascript',
+  '.cjs': 'text/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.wav': 'audio/wav',
+  '.mp4': 'video/mp4',
+  '.woff': 'application/font-woff',
+  '.ttf': 'application/font-ttf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.otf': 'application/font-otf',
+  '.wasm': 'application/wasm'
+};
+
+/**
+ * File-backed stand-in for the browser Store: one JSON file per key
+ */
+class FileStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.cache = new Map();
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  file(key) {
+    if (!/^[\w.-]+$/.test(key)) throw new Error(`Invalid store key: ${key}`);
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  get(key) {
+    if (!this.cache.has(key)) {
+      let value;
+      try {
+        value = JSON.parse(fs.readFileSync(this.file(key), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') console.warn(`[store] ${key}.json unreadable, starting empty:`, error.message);
+      }
+      this.cache.set(key, value);
+    }
+    return this.cache.get(key);
+  }
+
+  set(key, value) {
+    this.cache.set(key, value);
+    // Write-then-rename so a crash never leaves a half-written file behind
+    const target = this.file(key);
+    const tmp = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+    fs.renameSync(tmp, target);
+  }
+}
+
+function sendJSON(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * True when the client's If-None-Match already names this ETag
+ */
+function isNotModified(req, etag) {
+  const header = req.headers['if-none-match'];
+  return !!header && header.split(',').some(tag => tag.trim() === etag || tag.trim() === '*');
+}
+
+/**
+ * Send a successful GET with an ETag, or 304 when the client's copy is current
+ */
+function sendCacheable(req, res, status, contentType, body, etag) {
+  if (isNotModified(req, etag)) {
+    res.writeHead(304, { ETag: etag });
+    res.end();
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': contentType, ETag: etag, 'Cache-Control': 'no-cache' });
+  res.end(body);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function setCorsHeaders(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-None-Match, X-RepLink-Client');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag');
+  res.setHeader('Vary', 'Origin');
+}
+
+async function handleApi(backend, req, res, url) {
+  setCorsHeaders(req, res);
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  try {
+    const body = ['GET', 'HEAD'].includes(req.method) ? '' : await readBody(req);
+    const route = url.pathname.replace(/^\/api\/?/, '') + url.search;
+    // Login limits count per client; the socket address can't be set by the browser
+    const headers = { ...req.headers, 'x-replink-client': req.socket.remoteAddress };
+    const result = await backend.handle(route, { method: req.method, body, headers });
+    const status = result.status || (result.success ? 200 : 500);
+    if (req.method === 'GET' && result.success) {
+      const json = JSON.stringify(result);
+      const etag = `"${crypto.createHash('sha1').update(json).digest('base64url')}"`;
+      sendCacheable(req, res, status, 'application/json; charset=utf-8', json, etag);
+    } else {
+      if (result.retryAfter) res.setHeader('Retry-After', String(result.retryAfter));
+      sendJSON(res, status, result);
+    }
+  } catch (error) {
+    sendJSON(res, error.status || 500, { success: false, error: error.message, status: error.status || 500 });
+  }
+}
+
+function serveStatic(req, res, url) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(url.pathname);
+  } catch {
+    res.writeHead(400, { 'Content-Type': 'text/html' });
+    res.end('<h1>400 - Bad Request</h1>', 'utf-8');
+    return;
+  }
+  if (pathname.endsWith('/')) pathname += 'index.html';
+
+  const filePath = path.join(ROOT, pathname);
+  if (!filePath.startsWith(ROOT + path.sep) || filePath.startsWith(DATA_DIR + path.sep)) {
+    res.writeHead(403, { 'Content-Type': 'text/html' });
+    res.end('<h1>403 - Forbidden</h1>', 'utf-8');
+    return;
+  }
+
+  const contentType = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+  fs.stat(filePath, (statError, stats) => fs.readFile(filePath, (error, content) => {
+    if (error) {
+      if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+        res.writeHead(404, { 'Content-Type': 'text/html' });
+        res.end('<h1>404 - File Not Found</h1>', 'utf-8');
+      } else {
+        res.writeHead(500);
+        res.end('Sorry, check with the site admin for error: ' + error.code + ' ..\n');
+      }
+    } else {
+      // Weak validator from size and mtime; good enough for files edited by hand
+      const etag = statError ? null : `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+      if (etag) {
+        sendCacheable(req, res, 200, contentType, content, etag);
+      } else {
+        res.writeHead(200, { 'Content-Type': contentType });
+        res.end(content, 'utf-8');
+      }
+    }
+  }));
+}
+
+async function main() {
+  const { MockBackend } = await import('./scripts/data/mockBackend.js');
+  const backend = new MockBackend(new FileStore(DATA_DIR), {
+    latency: 0,
+    // Unset: a key is generated once and kept in the data dir
+    secret: process.env.REPLINK_TOKEN_SECRET,
+    // Set: business accounts must use two-factor authentication, whatever admins chose
+    requireTwoFactor: process.env.REPLINK_REQUIRE_2FA ? process.env.REPLINK_REQUIRE_2FA === '1' : undefined,
+    // The server listens on every interface, so the outbox (with its reset links) is opt-in
+    devMail: process.env.REPLINK_DEV_MAIL === '1',
+    load: async (file) => JSON.parse(await fs.promises.readFile(path.join(ROOT, file), 'utf8'))
+  });
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
+      handleApi(backend, req, res, url);
+    } else {
+      serveStatic(req, res, url);
+    }
+  });
+
+  server.listen(PORT, () => {
+    console.log(`Server running at http://localhost:${PORT}/`);
+    console.log(`API at http://localhost:${PORT}/api/ (data in ${DATA_DIR})`);
+  });
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,63 @@
+/**
+ * Validate every JSON file under mock/ against scripts/data/schemas.js
+ *
+ *   node validate-mock.cjs
+ *
+ * Reports each problem as `file[index].field: message` and exits 1 if any
+ * file is invalid, unparseable, missing a schema, or links to an id that
+ * does not exist in another dataset.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = __dirname;
+const MOCK_DIR = path.join(ROOT, 'mock');
+
+function findJsonFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(item => {
+    const fullPath = path.join(dir, item.name);
+    if (item.isDirectory()) return findJsonFiles(fullPath);
+    return item.isFile() && item.name.endsWith('.json') ? [fullPath] : [];
+  });
+}
+
+async function main() {
+  const { MOCK_FILES } = await import('./scripts/data/schemas.js');
+  const { validateFile, checkReferences, formatErrors } = await import('./scripts/data/validator.js');
+
+  const errors = [];
+  const datasets = {};
+
+  for (const fullPath of findJsonFiles(MOCK_DIR)) {
+    const file = '/' + path.relative(ROOT, fullPath).split(path.sep).join('/');
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+    } catch (error) {
+      errors.push({ path: file, message: `invalid JSON: ${error.message}` });
+      continue;
+    }
+    const problems = validateFile(file, data);
+    errors.push(...problems);
+    console.log(`${problems.length ? '✗' : '✓'} ${file}`);
+
+    const collection = MOCK_FILES[file]?.collection;
+    if (collection && Array.isArray(data)) datasets[collection] = data;
+  }
+
+  errors.push(...checkReferences(datasets));
+
+  if (errors.length) {
+    console.error(`\n${errors.length} problem(s):\n${formatErrors(errors)}`);
+    process.exit(1);
+  }
+  console.log('\nAll mock data matches its schema.');
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});